@@ -4,6 +4,14 @@ const { RESTv1, RESTv2 } = require('bfx-api-node-rest')
 const WSv1 = require('bfx-api-node-ws1')
 const WSv2 = require('./lib/transports/ws2')
 const WS2Manager = require('./lib/ws2_manager')
+const WS2Recorder = require('./lib/ws2_recorder')
+const WS2Replay = require('./lib/ws2_replay')
+const MemorySocket = require('./lib/memory_socket')
+const WS2Metrics = require('./lib/ws2_metrics')
+const CandleBuilder = require('./lib/candle_builder')
+const OBAnalytics = require('./lib/ob_analytics')
+const CompositeOrderBook = require('./lib/composite_order_book')
+const errors = require('./lib/errors')
 
 /**
  * Provides access to versions 1 & 2 of the HTTP & WebSocket Bitfinex APIs
@@ -124,3 +132,11 @@ module.exports.RESTv2 = RESTv2
 module.exports.WSv1 = WSv1
 module.exports.WSv2 = WSv2
 module.exports.WS2Manager = WS2Manager
+module.exports.WS2Recorder = WS2Recorder
+module.exports.WS2Replay = WS2Replay
+module.exports.MemorySocket = MemorySocket
+module.exports.WS2Metrics = WS2Metrics
+module.exports.CandleBuilder = CandleBuilder
+module.exports.OBAnalytics = OBAnalytics
+module.exports.CompositeOrderBook = CompositeOrderBook
+module.exports.errors = errors
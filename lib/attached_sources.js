@@ -0,0 +1,58 @@
+'use strict'
+
+const { OrderBook } = require('bfx-api-node-models')
+
+/**
+ * Tracks the listener groups that a consumer (candle builder, book
+ * analytics, composite book) registers on the WSv2 or WS2Manager instances it
+ * is attached to, so that they can all be removed on detach.
+ */
+class AttachedSources {
+  /**
+   * @param {string} prefix - listener group ID prefix, i.e. 'ob-analytics'
+   */
+  constructor (prefix) {
+    this._prefix = prefix
+    this._sources = [] // [{ ws, cbGID }]
+  }
+
+  /**
+   * Tracks a new source and returns a unique listener group ID to register
+   * its listeners under
+   *
+   * @param {WSv2|WS2Manager} ws - source
+   * @param {string} id - identifies what is being listened to, i.e. a symbol
+   * @returns {string} cbGID
+   */
+  add (ws, id) {
+    const cbGID = `${this._prefix}-${id}-${Date.now()}-${this._sources.length}`
+
+    this._sources.push({ ws, cbGID })
+
+    return cbGID
+  }
+
+  /**
+   * Removes the listeners of all tracked sources
+   */
+  removeAll () {
+    this._sources.forEach(({ ws, cbGID }) => ws.removeListeners(cbGID))
+    this._sources = []
+  }
+
+  /**
+   * Wraps book data received by an order book listener in an OrderBook, raw
+   * if the data comes from an R0 channel
+   *
+   * @param {OrderBook|Array[]} data - book, or levels
+   * @param {object} [chanData] - channel data passed to the listener
+   * @returns {OrderBook} ob
+   */
+  static toOrderBook (data, chanData = {}) {
+    return data instanceof OrderBook
+      ? data
+      : new OrderBook(data, chanData.prec === 'R0')
+  }
+}
+
+module.exports = AttachedSources
@@ -0,0 +1,397 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const { Candle } = require('bfx-api-node-models')
+const debug = require('debug')('bfx:ws2:candle-builder')
+const _isFinite = require('lodash/isFinite')
+const _isNil = require('lodash/isNil')
+const AttachedSources = require('./attached_sources')
+
+const DEDUPE_WINDOW = 1000 // trade IDs remembered to drop te/tu duplicates
+
+const TIMEFRAME_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  D: 24 * 60 * 60 * 1000,
+  W: 7 * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Parses a timeframe into a bucket width in ms
+ *
+ * @param {string|number} timeframe - i.e. '2m', '4h', or a width in ms
+ * @returns {number} width - NaN if invalid
+ * @private
+ */
+const parseTimeframe = (timeframe) => {
+  if (_isFinite(timeframe)) {
+    return timeframe
+  }
+
+  const [, n, unit] = /^(\d+)([mhDW])$/.exec(timeframe) || []
+
+  return n && +n > 0 ? +n * TIMEFRAME_UNITS[unit] : NaN
+}
+
+/**
+ * Converts a trade field to a number; fields are exact strings if the source
+ * socket parses messages losslessly
+ *
+ * @param {number|string} value - field value
+ * @returns {number} value - NaN if missing
+ * @private
+ */
+const toNumber = (value) => (
+  value === null || value === undefined || value === '' ? NaN : +value
+)
+
+/**
+ * Converts a trade array, model or POJO to a POJO
+ *
+ * @param {Array|object} trade - trade
+ * @returns {object} trade - `{ id, mts, amount, price }`
+ * @private
+ */
+const parseTrade = (trade) => {
+  if (Array.isArray(trade)) {
+    const [id, mts, amount, price] = trade
+    return { id, mts, amount, price }
+  }
+
+  const { id, mts, amount, price, rate } = trade
+  return { id, mts, amount, price: _isNil(price) ? rate : price }
+}
+
+/**
+ * Splits a trade listener payload into individual trades
+ *
+ * @param {Array|Array[]|object} data - trade, trade array, model or collection
+ * @returns {object[]} trades - `{ id, mts, amount, price }`
+ * @private
+ */
+const parseTrades = (data) => {
+  if (Array.isArray(data)) {
+    return Array.isArray(data[0])
+      ? data.map(parseTrade)
+      : [parseTrade(data)]
+  }
+
+  if (_isFinite(data.length)) { // model collection
+    return Array.from({ length: data.length }, (_, i) => parseTrade(data[i]))
+  }
+
+  return [parseTrade(data)]
+}
+
+/**
+ * Aggregates public trades into OHLCV candles for timeframes not offered by
+ * the API, or for tick-count or volume buckets. Candles have the same
+ * `[mts, open, close, high, low, volume]` layout as those returned by
+ * {@link WSv2#getCandles}, and are kept newest-first.
+ *
+ * Exactly one of `timeframe`, `ticks` or `volume` must be given:
+ *
+ * - time candles start on a multiple of the timeframe (shifted by
+ *   `utcOffset`), and close when the first trade of a later bucket arrives or
+ *   {@link CandleBuilder#flush} is called
+ * - tick candles start with their first trade and close after `ticks` trades
+ * - volume candles start with their first trade and close once their
+ *   absolute volume reaches `volume`; trades that overflow a candle are split
+ *   across the next ones
+ *
+ * Events:
+ * - 'update' (candle) on every trade applied to the open candle
+ * - 'close' (candle) when a candle is complete
+ *
+ * @example
+ *   const builder = new CandleBuilder({ timeframe: '2m' })
+ *
+ *   builder.on('close', (candle) => {
+ *     console.log('2m candle closed: %j', candle)
+ *   })
+ *
+ *   builder.attach(ws, { symbol: 'tBTCUSD' })
+ *   await ws.subscribeTrades('tBTCUSD')
+ */
+class CandleBuilder extends EventEmitter {
+  /**
+   * @param {object} opts - options
+   * @param {string|number} [opts.timeframe] - i.e. '2m', '10m', '4h', or ms
+   * @param {number} [opts.utcOffset] - ms added to UTC to align time buckets
+   *   to local time, i.e. `-new Date().getTimezoneOffset() * 60 * 1000`
+   * @param {number} [opts.ticks] - number of trades per candle
+   * @param {number} [opts.volume] - absolute volume per candle
+   * @param {number} [opts.maxCandles] - max candles kept, default Infinity
+   * @param {boolean} [opts.transform] - if true, candles are Candle models
+   */
+  constructor (opts = {}) {
+    super()
+
+    const {
+      timeframe, utcOffset = 0, ticks, volume, maxCandles = Infinity,
+      transform = false
+    } = opts
+
+    const types = ['timeframe', 'ticks', 'volume'].filter(t => (
+      opts[t] !== undefined
+    ))
+
+    if (types.length !== 1) {
+      throw new Error('exactly one of timeframe, ticks or volume is required')
+    }
+
+    this._type = types[0]
+
+    if (this._type === 'timeframe') {
+      this._width = parseTimeframe(timeframe)
+
+      if (!(this._width > 0)) {
+        throw new Error(`invalid timeframe: ${timeframe}`)
+      }
+    } else if (this._type === 'ticks' && !(Number.isInteger(ticks) && ticks > 0)) {
+      throw new Error(`invalid tick count: ${ticks}`)
+    } else if (this._type === 'volume' && !(_isFinite(volume) && volume > 0)) {
+      throw new Error(`invalid volume: ${volume}`)
+    }
+
+    this._utcOffset = utcOffset
+    this._ticks = ticks
+    this._volume = volume
+    this._maxCandles = maxCandles
+    this._transform = transform
+
+    this._candles = [] // newest first, [0] is open if this._isOpen
+    this._isOpen = false
+    this._nTrades = 0 // in the open candle
+    this._seenIDs = new Set()
+    this._seenIDQueue = []
+    this._sources = new AttachedSources('candle-builder')
+  }
+
+  /**
+   * Feeds trades for a symbol received by a WSv2 or WS2Manager instance into
+   * the builder. Both trade updates and `'te'` entries are consumed where
+   * available; trades seen on both are only applied once.
+   *
+   * @param {WSv2|WS2Manager} ws - source of trade events
+   * @param {object} opts - options
+   * @param {string} opts.symbol - symbol to aggregate trades for
+   * @see CandleBuilder#detach
+   */
+  attach (ws, { symbol }) {
+    const cbGID = this._sources.add(ws, symbol)
+    const cb = data => this.addTrades(data)
+
+    ws.onTrades({ symbol, cbGID }, cb)
+
+    if (typeof ws.onTradeEntry === 'function') {
+      ws.onTradeEntry({ symbol, cbGID }, cb)
+    }
+  }
+
+  /**
+   * Removes all listeners added by {@link CandleBuilder#attach}
+   */
+  detach () {
+    this._sources.removeAll()
+  }
+
+  /**
+   * Applies trades to the candle set, oldest first. Duplicate trades (by ID)
+   * are ignored, as are trades older than the open time candle.
+   *
+   * @param {Array|Array[]|object} data - trade, trade array, model or
+   *   collection, as received by `onTrades` or `onTradeEntry` listeners
+   */
+  addTrades (data) {
+    if (!data) return
+
+    parseTrades(data)
+      .sort((a, b) => toNumber(a.mts) - toNumber(b.mts))
+      .forEach(trade => this._addTrade(trade))
+  }
+
+  /**
+   * Closes the open candle, if any
+   */
+  flush () {
+    if (this._isOpen) {
+      this._closeCandle()
+    }
+  }
+
+  /**
+   * @returns {Array[]|Candle[]} candles - newest first, open candle included
+   */
+  getCandles () {
+    return this._transform
+      ? this._candles.map(c => new Candle(c))
+      : this._candles
+  }
+
+  /**
+   * @returns {Array|Candle} candle - open candle, null if none
+   */
+  getOpenCandle () {
+    if (!this._isOpen) {
+      return null
+    }
+
+    return this._transform ? new Candle(this._candles[0]) : this._candles[0]
+  }
+
+  /**
+   * @param {object} trade - `{ id, mts, amount, price }`
+   * @private
+   */
+  _addTrade (trade) {
+    const { id } = trade
+    const mts = toNumber(trade.mts)
+    const price = toNumber(trade.price)
+    const amount = Math.abs(toNumber(trade.amount))
+
+    if (!_isFinite(mts) || !_isFinite(price) || !_isFinite(amount)) {
+      debug('ignoring invalid trade: %j', trade)
+      return
+    }
+
+    if (this._isDuplicate(id)) {
+      return
+    }
+
+    if (this._type === 'timeframe') {
+      this._addTimeTrade(mts, price, amount)
+    } else if (this._type === 'ticks') {
+      this._applyTrade(mts, price, amount)
+
+      if (++this._nTrades === this._ticks) {
+        this._closeCandle()
+      }
+    } else {
+      this._addVolumeTrade(mts, price, amount)
+    }
+  }
+
+  /**
+   * @param {number} mts - trade timestamp
+   * @param {number} price - trade price
+   * @param {number} amount - absolute trade amount
+   * @private
+   */
+  _addTimeTrade (mts, price, amount) {
+    const start = this._getBucketStart(mts)
+    const open = this._isOpen ? this._candles[0] : null
+
+    if (open && start < open[0]) {
+      debug('ignoring trade older than open candle (%d < %d)', mts, open[0])
+      return
+    }
+
+    if (open && start > open[0]) {
+      this._closeCandle()
+    }
+
+    this._applyTrade(start, price, amount)
+  }
+
+  /**
+   * @param {number} mts - trade timestamp
+   * @param {number} price - trade price
+   * @param {number} amount - absolute trade amount
+   * @private
+   */
+  _addVolumeTrade (mts, price, amount) {
+    let remaining = amount
+
+    do {
+      const filled = this._isOpen ? this._candles[0][5] : 0
+      const part = Math.min(remaining, this._volume - filled)
+
+      this._applyTrade(mts, price, part)
+      remaining -= part
+
+      if (this._candles[0][5] >= this._volume) {
+        this._closeCandle()
+      }
+    } while (remaining > 0)
+  }
+
+  /**
+   * Applies a trade to the open candle, opening one if needed, and emits
+   * 'update'
+   *
+   * @param {number} mts - candle timestamp, used if a candle is opened
+   * @param {number} price - trade price
+   * @param {number} amount - absolute trade amount
+   * @private
+   */
+  _applyTrade (mts, price, amount) {
+    if (!this._isOpen) {
+      this._candles.unshift([mts, price, price, price, price, 0])
+      this._isOpen = true
+      this._nTrades = 0
+
+      if (this._candles.length > this._maxCandles) {
+        this._candles.splice(this._maxCandles)
+      }
+    }
+
+    const candle = this._candles[0]
+
+    candle[2] = price
+    candle[3] = Math.max(candle[3], price)
+    candle[4] = Math.min(candle[4], price)
+    candle[5] += amount
+
+    this.emit('update', this._transform ? new Candle(candle) : candle)
+  }
+
+  /**
+   * @private
+   */
+  _closeCandle () {
+    const candle = this._candles[0]
+
+    this._isOpen = false
+    this.emit('close', this._transform ? new Candle(candle) : candle)
+  }
+
+  /**
+   * @param {number} mts - timestamp
+   * @returns {number} start - start of the time bucket containing mts
+   * @private
+   */
+  _getBucketStart (mts) {
+    const local = mts + this._utcOffset
+    return local - (((local % this._width) + this._width) % this._width) -
+      this._utcOffset
+  }
+
+  /**
+   * Records a trade ID, remembering the last DEDUPE_WINDOW IDs
+   *
+   * @param {number} id - trade ID
+   * @returns {boolean} seen - true if the ID was already seen
+   * @private
+   */
+  _isDuplicate (id) {
+    if (id === undefined || id === null) {
+      return false
+    }
+
+    if (this._seenIDs.has(id)) {
+      return true
+    }
+
+    this._seenIDs.add(id)
+    this._seenIDQueue.push(id)
+
+    if (this._seenIDQueue.length > DEDUPE_WINDOW) {
+      this._seenIDs.delete(this._seenIDQueue.shift())
+    }
+
+    return false
+  }
+}
+
+module.exports = CandleBuilder
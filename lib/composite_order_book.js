@@ -0,0 +1,240 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const debug = require('debug')('bfx:ws2:composite-ob')
+const _isEqual = require('lodash/isEqual')
+const _isFinite = require('lodash/isFinite')
+const AttachedSources = require('./attached_sources')
+const OBAnalytics = require('./ob_analytics')
+const WSv2 = require('./transports/ws2')
+
+/**
+ * Resolves a conversion rate from a ticker, as the mid of the top bid & ask,
+ * falling back to the last price. Values may be strings if the source socket
+ * parses messages losslessly.
+ *
+ * @param {Array|object} ticker - ticker array or model
+ * @returns {number} rate - null if the ticker carries no price
+ * @private
+ */
+const getTickerRate = (ticker) => {
+  const [bid, , ask, , , , lastPrice] = (Array.isArray(ticker)
+    ? ticker
+    : [ticker.bid, 0, ticker.ask, 0, 0, 0, ticker.lastPrice]
+  ).map(v => +v)
+
+  if (bid > 0 && ask > 0) {
+    return (bid + ask) / 2
+  }
+
+  return lastPrice > 0 ? lastPrice : null
+}
+
+/**
+ * Consolidates several managed order books, i.e. the same asset quoted in
+ * different currencies, into a single book. Prices of each book are
+ * multiplied by a conversion rate into a common quote currency; rates can be
+ * supplied up front, updated with {@link CompositeOrderBook#setRate}, or
+ * tracked from a ticker channel. Books without a known rate are left out of
+ * the composite until one is available.
+ *
+ * Books are identified by symbol, precision & length, so several books of a
+ * symbol can be attached; rates apply to all books of a symbol.
+ *
+ * Levels are `[price, amount, symbol]`, with the converted price, absolute
+ * amount and the symbol of the book the level comes from. Levels at the same
+ * price on different books are kept separate.
+ *
+ * Sockets must be created with `manageOrderBooks: true`, so that listeners
+ * receive the full book on every update.
+ *
+ * Events:
+ * - 'top' ({ bid, ask, spread, mid }) when the consolidated top bid or ask
+ *   level changes
+ *
+ * @example
+ *   const book = new CompositeOrderBook()
+ *
+ *   book.attach(ws, { symbol: 'tBTCUSD', prec: 'P0', len: '25' })
+ *   book.attach(ws, {
+ *     symbol: 'tBTCEUR', prec: 'P0', len: '25', rateSymbol: 'tEURUSD'
+ *   })
+ *
+ *   book.on('top', ({ bid, ask }) => {
+ *     console.log('best bid %f on %s, best ask %f on %s', bid[0], bid[2],
+ *       ask[0], ask[2])
+ *   })
+ */
+class CompositeOrderBook extends EventEmitter {
+  /**
+   * @param {object} [opts] - options
+   * @param {object} [opts.rates] - conversion rates by book symbol, books
+   *   without a rate (and no rate symbol) are taken as-is
+   */
+  constructor ({ rates = {} } = {}) {
+    super()
+
+    this._rates = { ...rates } // { [symbol]: rate }
+    this._rateSymbols = {} // { [symbol]: rateSymbol }
+    this._books = {} // { [symbol:prec:len]: { symbol, bids, asks } } in book currency
+    this._top = { bid: null, ask: null, spread: null, mid: null }
+    this._sources = new AttachedSources('composite-ob')
+  }
+
+  /**
+   * Adds a managed book to the composite
+   *
+   * @param {WSv2|WS2Manager} ws - source of book (& ticker) updates
+   * @param {object} opts - book selector
+   * @param {string} opts.symbol - symbol, i.e. 'tBTCEUR'
+   * @param {string} [opts.prec] - precision, defaults to 'P0'
+   * @param {string} [opts.len] - length, defaults to '25'
+   * @param {number} [opts.rate] - conversion rate for book prices
+   * @param {string} [opts.rateSymbol] - ticker symbol to track the conversion
+   *   rate from, i.e. 'tEURUSD'. The ticker channel must be subscribed to
+   *   separately.
+   * @see CompositeOrderBook#detach
+   */
+  attach (ws, { symbol, prec = 'P0', len = '25', rate, rateSymbol }) {
+    const bookKey = WSv2.getChannelIdentifier({
+      channel: 'book', symbol, prec, len
+    })
+
+    if (this._books[bookKey]) {
+      throw new Error(`book already attached: ${bookKey}`)
+    }
+
+    const cbGID = this._sources.add(ws, bookKey)
+
+    this._books[bookKey] = { symbol, bids: [], asks: [] }
+
+    if (_isFinite(rate)) {
+      this._rates[symbol] = rate
+    }
+
+    ws.onOrderBook({ symbol, prec, len, cbGID }, (data, chanData) => {
+      const ob = AttachedSources.toOrderBook(data, chanData)
+      const { bids, asks } = OBAnalytics.depth(ob)
+
+      this._books[bookKey] = { symbol, bids, asks }
+      this._updateTop()
+    })
+
+    if (rateSymbol) {
+      this._rateSymbols[symbol] = rateSymbol
+
+      ws.onTicker({ symbol: rateSymbol, cbGID }, (ticker) => {
+        const tickerRate = getTickerRate(ticker)
+
+        if (tickerRate === null) {
+          debug('no price in %s ticker, keeping rate for %s', rateSymbol, symbol)
+          return
+        }
+
+        this.setRate(symbol, tickerRate)
+      })
+    }
+  }
+
+  /**
+   * Removes all listeners added by {@link CompositeOrderBook#attach}, and
+   * clears the consolidated book
+   */
+  detach () {
+    this._sources.removeAll()
+    this._books = {}
+    this._rateSymbols = {}
+    this._updateTop()
+  }
+
+  /**
+   * Sets the conversion rate for a book's prices
+   *
+   * @param {string} symbol - book symbol
+   * @param {number} rate - rate
+   */
+  setRate (symbol, rate) {
+    this._rates[symbol] = rate
+    this._updateTop()
+  }
+
+  /**
+   * @param {string} symbol - book symbol
+   * @returns {number} rate - null if unknown; 1 for books taken as-is
+   */
+  getRate (symbol) {
+    if (_isFinite(this._rates[symbol])) {
+      return this._rates[symbol]
+    }
+
+    return this._rateSymbols[symbol] ? null : 1
+  }
+
+  /**
+   * Returns the consolidated book
+   *
+   * @param {number} [levels] - max levels per side, default all
+   * @returns {object} book - `{ bids, asks }`, each an array of
+   *   `[price, amount, symbol]`, best first
+   */
+  getBook (levels = Infinity) {
+    const bids = []
+    const asks = []
+
+    Object.values(this._books).forEach((book) => {
+      const { symbol } = book
+      const rate = this.getRate(symbol)
+
+      if (rate === null) {
+        return
+      }
+
+      const convert = ([price, amount]) => [price * rate, amount, symbol]
+
+      bids.push(...book.bids.map(convert))
+      asks.push(...book.asks.map(convert))
+    })
+
+    bids.sort((a, b) => b[0] - a[0])
+    asks.sort((a, b) => a[0] - b[0])
+
+    return {
+      bids: bids.slice(0, levels),
+      asks: asks.slice(0, levels)
+    }
+  }
+
+  /**
+   * @returns {object} top - `{ bid, ask, spread, mid }`, bid & ask are
+   *   `[price, amount, symbol]` or null
+   */
+  getTop () {
+    return this._top
+  }
+
+  /**
+   * Recomputes the consolidated top of book, and emits 'top' if it changed
+   *
+   * @private
+   */
+  _updateTop () {
+    const { bids, asks } = this.getBook(1)
+    const bid = bids[0] || null
+    const ask = asks[0] || null
+
+    if (_isEqual(bid, this._top.bid) && _isEqual(ask, this._top.ask)) {
+      return
+    }
+
+    this._top = {
+      bid,
+      ask,
+      spread: bid && ask ? ask[0] - bid[0] : null,
+      mid: bid && ask ? (ask[0] + bid[0]) / 2 : null
+    }
+
+    this.emit('top', this._top)
+  }
+}
+
+module.exports = CompositeOrderBook
@@ -0,0 +1,36 @@
+'use strict'
+
+/**
+ * Base class for errors that settle pending order operations (submit, update
+ * or cancel) without a server confirmation.
+ */
+class OrderOpError extends Error {
+  /**
+   * @param {string} message - error message
+   * @param {object} [op] - pending op, see {@link WSv2#getPendingOrderOps}
+   */
+  constructor (message, op = {}) {
+    super(message)
+
+    this.name = this.constructor.name
+    this.op = op
+  }
+}
+
+/**
+ * Raised when no confirmation notification is received for an order
+ * operation within the configured `orderOpTimeout`.
+ */
+class OrderOpTimeoutError extends OrderOpError {}
+
+/**
+ * Raised for order operations still pending when the connection closes, if
+ * an `orderOpTimeout` is configured.
+ */
+class OrderOpConnectionClosedError extends OrderOpError {}
+
+module.exports = {
+  OrderOpError,
+  OrderOpTimeoutError,
+  OrderOpConnectionClosedError
+}
@@ -0,0 +1,126 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const debug = require('debug')('bfx:ws2:memory')
+
+/**
+ * In-process socket implementing the transport interface expected by WSv2
+ * (`send()`, `close()` & 'open', 'message', 'error' & 'close' events). Sockets
+ * are created in connected pairs; frames sent on one end are emitted as
+ * 'message' on the other, asynchronously and in order.
+ *
+ * @example
+ *   const ws = new WSv2({
+ *     transport: () => {
+ *       const [client, server] = MemorySocket.createPair()
+ *
+ *       server.on('message', (msg) => { ... })
+ *       return client
+ *     }
+ *   })
+ */
+class MemorySocket extends EventEmitter {
+  /**
+   * Creates two connected sockets, both of which emit 'open' on the next tick
+   *
+   * @returns {MemorySocket[]} pair - [client, server]
+   */
+  static createPair () {
+    const a = new MemorySocket()
+    const b = new MemorySocket()
+
+    a._peer = b
+    b._peer = a
+
+    process.nextTick(() => {
+      a._open()
+      b._open()
+    })
+
+    return [a, b]
+  }
+
+  constructor () {
+    super()
+
+    this._peer = null
+    this._isOpen = false
+    this._isClosed = false
+  }
+
+  /**
+   * @returns {boolean} isOpen
+   */
+  isOpen () {
+    return this._isOpen
+  }
+
+  /**
+   * Delivers a frame to the other end of the pair
+   *
+   * @param {string} data - frame
+   */
+  send (data) {
+    if (!this._isOpen) {
+      this.emit('error', new Error('memory socket not open'))
+      return
+    }
+
+    const peer = this._peer
+
+    process.nextTick(() => {
+      if (peer._isOpen) {
+        peer.emit('message', data)
+      }
+    })
+  }
+
+  /**
+   * Closes both ends of the pair; each emits 'close' on the next tick
+   *
+   * @param {number} [code] - close code
+   * @param {string} [reason] - close reason
+   */
+  close (code, reason) {
+    if (this._isClosed) {
+      return
+    }
+
+    debug('closing (code %s, reason %s)', code, reason)
+
+    this._close(code, reason)
+    this._peer._close(code, reason)
+  }
+
+  /**
+   * @private
+   */
+  _open () {
+    if (this._isClosed) {
+      return
+    }
+
+    this._isOpen = true
+    this.emit('open')
+  }
+
+  /**
+   * @param {number} [code] - close code
+   * @param {string} [reason] - close reason
+   * @private
+   */
+  _close (code, reason) {
+    if (this._isClosed) {
+      return
+    }
+
+    this._isOpen = false
+    this._isClosed = true
+
+    process.nextTick(() => {
+      this.emit('close', code, reason)
+    })
+  }
+}
+
+module.exports = MemorySocket
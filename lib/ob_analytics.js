@@ -0,0 +1,313 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const { OrderBook } = require('bfx-api-node-models')
+const debug = require('debug')('bfx:ws2:ob-analytics')
+const AttachedSources = require('./attached_sources')
+
+/**
+ * Returns the price levels on one side of a book as numbers, best first.
+ * Works with P* & R* books, trading & funding, and lossless (string) books.
+ * Arrays of levels are taken to be P* books; wrap R* levels in an OrderBook
+ * with `raw` set.
+ *
+ * @param {OrderBook|Array[]|object} ob - book, array of levels or
+ *   `{ bids, asks }`
+ * @param {string} side - 'bids' or 'asks'
+ * @returns {number[][]} levels - [[price, amount]], amounts are absolute
+ * @private
+ */
+const getLevels = (ob, side) => {
+  const book = ob instanceof OrderBook ? ob : new OrderBook(ob)
+  const rows = book[side] || []
+
+  const levels = rows.map((row) => {
+    const priceI = book.raw ? (row.length === 4 ? 2 : 1) : 0
+
+    return [+row[priceI], Math.abs(+row[row.length - 1])]
+  })
+
+  return side === 'bids'
+    ? levels.sort((a, b) => b[0] - a[0])
+    : levels.sort((a, b) => a[0] - b[0])
+}
+
+/**
+ * @param {number[][]} bids - bid levels, best first
+ * @param {number[][]} asks - ask levels, best first
+ * @returns {number} mid - null if both sides are empty
+ * @private
+ */
+const getMidPrice = (bids, asks) => {
+  if (bids.length === 0 && asks.length === 0) return null
+  if (bids.length === 0) return asks[0][0]
+  if (asks.length === 0) return bids[0][0]
+
+  return (bids[0][0] + asks[0][0]) / 2
+}
+
+/**
+ * @param {number[][]} levels - levels, best first
+ * @returns {number} amount - sum of level amounts
+ * @private
+ */
+const sumAmounts = levels => levels.reduce((total, [, amount]) => (
+  total + amount
+), 0)
+
+/**
+ * @param {string} side - 'buy' or 'sell'
+ * @returns {string} bookSide - side of the book consumed by a market order
+ * @private
+ */
+const getTakerSide = (side) => {
+  if (side !== 'buy' && side !== 'sell') {
+    throw new Error(`invalid side: ${side}`)
+  }
+
+  return side === 'buy' ? 'asks' : 'bids'
+}
+
+/**
+ * Derives depth & liquidity metrics from order books. The static helpers
+ * accept any book returned by {@link WSv2#getOB} or
+ * {@link WSv2#getLosslessOB} (or a raw array of levels); an instance computes
+ * a configured set of metrics, and can be attached to a socket to emit them
+ * on every update of a managed book.
+ *
+ * Events:
+ * - 'update' ({ symbol, prec, len, ...metrics }) on every book update, see
+ *   {@link OBAnalytics#compute}
+ *
+ * @example
+ *   const ws = new WSv2({ manageOrderBooks: true })
+ *   const analytics = new OBAnalytics({ sizes: [1, 10], bps: [10, 50] })
+ *
+ *   analytics.on('update', ({ symbol, imbalance, vwap }) => {
+ *     console.log('%s imbalance %f, 10 BTC buy vwap %f', symbol, imbalance,
+ *       vwap.buy[10])
+ *   })
+ *
+ *   analytics.attach(ws, { symbol: 'tBTCUSD', prec: 'P0', len: '25' })
+ *
+ *   await ws.open()
+ *   await ws.subscribeOrderBook('tBTCUSD', 'P0', '25')
+ */
+class OBAnalytics extends EventEmitter {
+  /**
+   * @param {object} [opts] - options
+   * @param {number[]} [opts.sizes] - order sizes to compute VWAPs & price
+   *   impact for
+   * @param {number[]} [opts.bps] - distances from mid, in basis points, to
+   *   compute liquidity for
+   * @param {number} [opts.levels] - number of levels per side used for the
+   *   imbalance ratio, default all
+   */
+  constructor ({ sizes = [], bps = [], levels = Infinity } = {}) {
+    super()
+
+    this._sizes = sizes
+    this._bps = bps
+    this._levels = levels
+    this._sources = new AttachedSources('ob-analytics')
+  }
+
+  /**
+   * Computes cumulative depth per side
+   *
+   * @param {OrderBook|Array[]} ob - book
+   * @param {number} [levels] - max levels per side, default all
+   * @returns {object} depth - `{ bids, asks }`, each an array of
+   *   `[price, amount, cumulativeAmount]`, best first
+   */
+  static depth (ob, levels = Infinity) {
+    const cumulate = (side) => {
+      let total = 0
+
+      return getLevels(ob, side).slice(0, levels).map(([price, amount]) => {
+        total += amount
+        return [price, amount, total]
+      })
+    }
+
+    return {
+      bids: cumulate('bids'),
+      asks: cumulate('asks')
+    }
+  }
+
+  /**
+   * Computes the average price paid to fill a market order against the book
+   *
+   * @param {OrderBook|Array[]} ob - book
+   * @param {string} side - 'buy' (fills against asks) or 'sell' (bids)
+   * @param {number} size - absolute order size
+   * @returns {number} vwap - null if the book can't fill the order
+   */
+  static vwap (ob, side, size) {
+    const levels = getLevels(ob, getTakerSide(side))
+    let remaining = Math.abs(size)
+    let notional = 0
+
+    for (let i = 0; i < levels.length && remaining > 0; i++) {
+      const [price, amount] = levels[i]
+      const filled = Math.min(amount, remaining)
+
+      notional += filled * price
+      remaining -= filled
+    }
+
+    if (remaining > 0 || size === 0) {
+      return null
+    }
+
+    return notional / Math.abs(size)
+  }
+
+  /**
+   * Computes the price impact of a market order, as the relative distance of
+   * its VWAP from the mid price. Positive values are adverse, i.e. buying
+   * above or selling below mid.
+   *
+   * @param {OrderBook|Array[]} ob - book
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} size - absolute order size
+   * @returns {number} impact - i.e. 0.001 for 10 bps, null if the book can't
+   *   fill the order
+   */
+  static priceImpact (ob, side, size) {
+    const vwap = OBAnalytics.vwap(ob, side, size)
+    const mid = getMidPrice(getLevels(ob, 'bids'), getLevels(ob, 'asks'))
+
+    if (vwap === null || !mid) {
+      return null
+    }
+
+    return side === 'buy'
+      ? (vwap - mid) / mid
+      : (mid - vwap) / mid
+  }
+
+  /**
+   * Computes the bid/ask volume imbalance
+   *
+   * @param {OrderBook|Array[]} ob - book
+   * @param {number} [levels] - max levels per side, default all
+   * @returns {number} imbalance - (bids - asks) / (bids + asks), from -1 (all
+   *   asks) to 1 (all bids), 0 for an empty book
+   */
+  static imbalance (ob, levels = Infinity) {
+    const bidAmount = sumAmounts(getLevels(ob, 'bids').slice(0, levels))
+    const askAmount = sumAmounts(getLevels(ob, 'asks').slice(0, levels))
+    const total = bidAmount + askAmount
+
+    return total === 0 ? 0 : (bidAmount - askAmount) / total
+  }
+
+  /**
+   * Computes the volume available within a distance of the mid price
+   *
+   * @param {OrderBook|Array[]} ob - book
+   * @param {number} bps - distance from mid, in basis points
+   * @returns {object} liquidity - `{ bids, asks, total }` amounts
+   */
+  static liquidity (ob, bps) {
+    const bids = getLevels(ob, 'bids')
+    const asks = getLevels(ob, 'asks')
+    const mid = getMidPrice(bids, asks)
+    const bidLimit = mid * (1 - (bps / 10000))
+    const askLimit = mid * (1 + (bps / 10000))
+    const bidAmount = sumAmounts(bids.filter(([price]) => price >= bidLimit))
+    const askAmount = sumAmounts(asks.filter(([price]) => price <= askLimit))
+
+    return {
+      bids: bidAmount,
+      asks: askAmount,
+      total: bidAmount + askAmount
+    }
+  }
+
+  /**
+   * Computes the configured metrics for a book
+   *
+   * @param {OrderBook|Array[]} ob - book
+   * @returns {object} metrics - `{ mid, spread, imbalance, vwap, impact,
+   *   liquidity }`; vwap & impact are keyed by side ('buy'/'sell') then size,
+   *   liquidity by bps
+   */
+  compute (ob) {
+    const bids = getLevels(ob, 'bids')
+    const asks = getLevels(ob, 'asks')
+    const book = { bids, asks } // parsed once, [price, amount] levels
+    const metrics = {
+      mid: getMidPrice(bids, asks),
+      spread: bids.length > 0 && asks.length > 0
+        ? asks[0][0] - bids[0][0]
+        : null,
+      imbalance: OBAnalytics.imbalance(book, this._levels),
+      vwap: { buy: {}, sell: {} },
+      impact: { buy: {}, sell: {} },
+      liquidity: {}
+    }
+
+    this._sizes.forEach((size) => {
+      ['buy', 'sell'].forEach((side) => {
+        metrics.vwap[side][size] = OBAnalytics.vwap(book, side, size)
+        metrics.impact[side][size] = OBAnalytics.priceImpact(book, side, size)
+      })
+    })
+
+    this._bps.forEach((bps) => {
+      metrics.liquidity[bps] = OBAnalytics.liquidity(book, bps)
+    })
+
+    return metrics
+  }
+
+  /**
+   * Emits 'update' with freshly computed metrics on every update of a
+   * managed book. The socket (or all sockets of a WS2Manager) must be created
+   * with `manageOrderBooks: true`, so listeners receive the full book.
+   *
+   * @param {WSv2|WS2Manager} ws - source of book updates
+   * @param {object} opts - book selector
+   * @param {string} opts.symbol - symbol
+   * @param {string} [opts.prec] - precision, i.e. 'P0'
+   * @param {string} [opts.len] - length, i.e. '25'
+   * @param {boolean} [opts.lossless] - if true, metrics are computed from the
+   *   lossless book; WSv2 only
+   * @see OBAnalytics#detach
+   */
+  attach (ws, { symbol, prec, len, lossless }) {
+    if (lossless && typeof ws.getLosslessOB !== 'function') {
+      throw new Error('lossless books are only available on WSv2 instances')
+    }
+
+    const cbGID = this._sources.add(ws, symbol)
+
+    ws.onOrderBook({ symbol, prec, len, cbGID }, (data, chanData = {}) => {
+      const { prec: bookPrec = prec, len: bookLen = len } = chanData
+      const ob = lossless
+        ? ws.getLosslessOB(symbol, { prec: bookPrec, len: bookLen })
+        : data
+
+      if (!ob) {
+        debug('no managed book for %s', symbol)
+        return
+      }
+
+      const book = AttachedSources.toOrderBook(ob, chanData)
+
+      this.emit('update', { symbol, prec, len, ...this.compute(book) })
+    })
+  }
+
+  /**
+   * Removes all listeners added by {@link OBAnalytics#attach}
+   */
+  detach () {
+    this._sources.removeAll()
+  }
+}
+
+module.exports = OBAnalytics
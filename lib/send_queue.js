@@ -0,0 +1,188 @@
+'use strict'
+
+const _isFinite = require('lodash/isFinite')
+
+const isLimited = limit => _isFinite(limit) && limit > 0
+
+/**
+ * Token bucket rate limiter for outgoing messages. Each category has its own
+ * bucket holding up to `limit` tokens (min 1), refilled at `limit` tokens per
+ * second. Messages are sent immediately while tokens are available and queued
+ * in order otherwise; nothing is dropped. Categories without a limit are sent
+ * straight through.
+ */
+class SendQueue {
+  /**
+   * @param {object} args - arguments
+   * @param {Function} args.send - called with each message when it may be sent
+   * @param {object} [args.limits] - max messages per second, keyed by category
+   */
+  constructor ({ send, limits = {} }) {
+    this._send = send
+    this._limits = limits
+    this._buckets = {}
+    this._flushTimeout = null
+
+    this._flush = this._flush.bind(this)
+  }
+
+  /**
+   * Sends the message if the category has a token available, otherwise
+   * queues it. Priority messages are queued ahead of regular ones, but
+   * behind other priority messages.
+   *
+   * @param {string} category - rate limit category
+   * @param {*} msg - message to be sent
+   * @param {object} [opts] - options
+   * @param {boolean} [opts.priority] - queue ahead of non-priority messages
+   */
+  push (category, msg, { priority = false } = {}) {
+    const bucket = this._getBucket(category)
+
+    if (!isLimited(bucket.limit)) {
+      bucket.sent++
+      this._send(msg)
+      return
+    }
+
+    const { queue } = bucket
+    let i = queue.length
+
+    if (priority) {
+      i = queue.findIndex(item => !item.priority)
+
+      if (i === -1) i = queue.length
+    }
+
+    queue.splice(i, 0, { msg, priority })
+    bucket.maxDepth = Math.max(bucket.maxDepth, queue.length)
+
+    this._flush()
+  }
+
+  /**
+   * Drops all queued messages
+   */
+  clear () {
+    Object.values(this._buckets).forEach((bucket) => {
+      bucket.queue = []
+    })
+
+    if (this._flushTimeout !== null) {
+      clearTimeout(this._flushTimeout)
+      this._flushTimeout = null
+    }
+  }
+
+  /**
+   * @param {string} [category] - if omitted, the total for all categories
+   * @returns {number} depth - number of queued messages
+   */
+  getDepth (category) {
+    const buckets = category
+      ? [this._buckets[category]].filter(b => !!b)
+      : Object.values(this._buckets)
+
+    return buckets.reduce((depth, { queue }) => depth + queue.length, 0)
+  }
+
+  /**
+   * @returns {object} metrics - `{ [category]: { limit, depth, maxDepth, sent } }`
+   */
+  getMetrics () {
+    const metrics = {}
+
+    Object.keys(this._buckets).forEach((category) => {
+      const { limit, queue, maxDepth, sent } = this._buckets[category]
+
+      metrics[category] = {
+        limit: isLimited(limit) ? limit : null,
+        depth: queue.length,
+        maxDepth,
+        sent
+      }
+    })
+
+    return metrics
+  }
+
+  /**
+   * @param {string} category - rate limit category
+   * @returns {object} bucket
+   * @private
+   */
+  _getBucket (category) {
+    if (!this._buckets[category]) {
+      const limit = this._limits[category]
+
+      this._buckets[category] = {
+        limit,
+        capacity: Math.max(1, limit),
+        tokens: isLimited(limit) ? Math.max(1, limit) : 0,
+        lastRefillTS: Date.now(),
+        queue: [],
+        maxDepth: 0,
+        sent: 0
+      }
+    }
+
+    return this._buckets[category]
+  }
+
+  /**
+   * @param {object} bucket - bucket to refill based on elapsed time
+   * @private
+   */
+  static _refill (bucket) {
+    const now = Date.now()
+    const elapsed = now - bucket.lastRefillTS
+
+    bucket.tokens = Math.min(
+      bucket.capacity,
+      bucket.tokens + (elapsed * bucket.limit / 1000)
+    )
+    bucket.lastRefillTS = now
+  }
+
+  /**
+   * Sends as many queued messages as the buckets allow, and schedules the
+   * next flush for the earliest time a queued message can go out.
+   *
+   * @private
+   */
+  _flush () {
+    let nextFlushDelay = Infinity
+
+    if (this._flushTimeout !== null) {
+      clearTimeout(this._flushTimeout)
+      this._flushTimeout = null
+    }
+
+    Object.values(this._buckets).forEach((bucket) => {
+      if (bucket.queue.length === 0) return
+
+      SendQueue._refill(bucket)
+
+      while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+        const { msg } = bucket.queue.shift()
+
+        bucket.tokens--
+        bucket.sent++
+        this._send(msg)
+      }
+
+      if (bucket.queue.length > 0) {
+        nextFlushDelay = Math.min(
+          nextFlushDelay,
+          Math.ceil((1 - bucket.tokens) * 1000 / bucket.limit)
+        )
+      }
+    })
+
+    if (_isFinite(nextFlushDelay)) {
+      this._flushTimeout = setTimeout(this._flush, nextFlushDelay)
+    }
+  }
+}
+
+module.exports = SendQueue
@@ -4,8 +4,8 @@ const { EventEmitter } = require('events')
 const debug = require('debug')('bfx:ws2')
 const WebSocket = require('ws')
 const Promise = require('bluebird')
+const PromiseThrottle = require('promise-throttle')
 const CbQ = require('cbq')
-const _Throttle = require('lodash.throttle') // eslint-disable-line
 const _isArray = require('lodash/isArray')
 const _isEmpty = require('lodash/isEmpty')
 const _isString = require('lodash/isString')
@@ -14,9 +14,16 @@ const _includes = require('lodash/includes')
 const _pick = require('lodash/pick')
 const _isEqual = require('lodash/isEqual')
 const _isFinite = require('lodash/isFinite')
+const _isUndefined = require('lodash/isUndefined')
 const { genAuthSig, nonce } = require('bfx-api-node-util')
+const { RESTv2 } = require('bfx-api-node-rest')
 const LosslessJSON = require('lossless-json')
 const getMessagePayload = require('../util/ws2')
+const SendQueue = require('../send_queue')
+const {
+  OrderOpTimeoutError,
+  OrderOpConnectionClosedError
+} = require('../errors')
 
 const {
   BalanceInfo,
@@ -38,9 +45,153 @@ const {
   FundingTicker
 } = require('bfx-api-node-models')
 
-const DATA_CHANNEL_TYPES = ['ticker', 'book', 'candles', 'trades']
+const DATA_CHANNEL_TYPES = ['ticker', 'book', 'candles', 'trades', 'status']
+const CHANNEL_DATA_META_KEYS = ['event', 'chanId', 'pair', 'currency']
+const MAX_LATENCY_SAMPLES = 100
 const UCM_NOTIFICATION_TYPE = 'ucm-notify-ui'
 const MAX_CALC_OPS = 8
+const PRIORITY_ORDER_OPS = ['oc', 'oc_multi'] // skip ahead in the send queue
+const MAX_BACKFILL_CANDLES = 10000 // RESTv2 candles limit
+const BACKFILL_REQUESTS_PER_SECOND = 0.5 // default, see opts.backfillRequestsPerSecond
+
+// Candle timeframe lengths in ms; monthly candles are not backfilled since
+// their length varies
+const CANDLE_TIMEFRAME_WIDTHS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '3h': 3 * 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1D': 24 * 60 * 60 * 1000,
+  '7D': 7 * 24 * 60 * 60 * 1000,
+  '14D': 14 * 24 * 60 * 60 * 1000
+}
+
+// Auth channel packets maintaining each collection when manageAccountState
+// is enabled. Items are keyed by the result of getKey()
+const ACCOUNT_STATE_COLLECTIONS = {
+  orders: {
+    model: Order,
+    event: 'orders-changed',
+    getKey: o => o[0],
+    snapshot: 'os',
+    update: ['on', 'ou'],
+    remove: ['oc']
+  },
+
+  positions: {
+    model: Position,
+    event: 'positions-changed',
+    getKey: p => p[0],
+    snapshot: 'ps',
+    update: ['pn', 'pu'],
+    remove: ['pc']
+  },
+
+  wallets: {
+    model: Wallet,
+    event: 'wallets-changed',
+    getKey: w => `${w[0]}:${w[1]}`,
+    snapshot: 'ws',
+    update: ['wu'],
+    remove: []
+  },
+
+  fundingOffers: {
+    model: FundingOffer,
+    event: 'funding-offers-changed',
+    getKey: o => o[0],
+    snapshot: 'fos',
+    update: ['fon', 'fou'],
+    remove: ['foc']
+  },
+
+  fundingCredits: {
+    model: FundingCredit,
+    event: 'funding-credits-changed',
+    getKey: c => c[0],
+    snapshot: 'fcs',
+    update: ['fcn', 'fcu'],
+    remove: ['fcc']
+  },
+
+  fundingLoans: {
+    model: FundingLoan,
+    event: 'funding-loans-changed',
+    getKey: l => l[0],
+    snapshot: 'fls',
+    update: ['fln', 'flu'],
+    remove: ['flc']
+  }
+}
+
+// Timestamp fields of lossless payloads, which are delivered as numbers; all
+// other numeric payload fields are exact strings. Indices match the models.
+const ORDER_MTS_FIELDS = [4, 5, 10]
+const FUNDING_OFFER_MTS_FIELDS = [2, 3]
+const FUNDING_CREDIT_MTS_FIELDS = [3, 4, 13, 14] // also used for loans
+const POSITION_MTS_FIELDS = [12, 13]
+
+const LOSSLESS_MTS_FIELDS = {
+  trades: [1],
+  candles: [0],
+  status: [0],
+  'status:liq': [2],
+  auth: {
+    os: ORDER_MTS_FIELDS,
+    on: ORDER_MTS_FIELDS,
+    ou: ORDER_MTS_FIELDS,
+    oc: ORDER_MTS_FIELDS,
+    ps: POSITION_MTS_FIELDS,
+    pn: POSITION_MTS_FIELDS,
+    pu: POSITION_MTS_FIELDS,
+    pc: POSITION_MTS_FIELDS,
+    te: [2],
+    tu: [2],
+    fos: FUNDING_OFFER_MTS_FIELDS,
+    fon: FUNDING_OFFER_MTS_FIELDS,
+    fou: FUNDING_OFFER_MTS_FIELDS,
+    foc: FUNDING_OFFER_MTS_FIELDS,
+    fcs: FUNDING_CREDIT_MTS_FIELDS,
+    fcn: FUNDING_CREDIT_MTS_FIELDS,
+    fcu: FUNDING_CREDIT_MTS_FIELDS,
+    fcc: FUNDING_CREDIT_MTS_FIELDS,
+    fls: FUNDING_CREDIT_MTS_FIELDS,
+    fln: FUNDING_CREDIT_MTS_FIELDS,
+    flu: FUNDING_CREDIT_MTS_FIELDS,
+    flc: FUNDING_CREDIT_MTS_FIELDS,
+    fte: [2],
+    ftu: [2],
+    n: [0]
+  },
+
+  // notification info, by notification type
+  notification: {
+    'on-req': ORDER_MTS_FIELDS,
+    'ou-req': ORDER_MTS_FIELDS,
+    'oc-req': ORDER_MTS_FIELDS,
+    'fon-req': FUNDING_OFFER_MTS_FIELDS,
+    'foc-req': FUNDING_OFFER_MTS_FIELDS
+  }
+}
+
+/**
+ * Converts the timestamp fields of a lossless payload entry back to numbers
+ *
+ * @param {Array} entry - payload entry
+ * @param {number[]} fields - indices of timestamp fields
+ * @private
+ */
+const restoreMTSFields = (entry, fields = []) => {
+  fields.forEach((i) => {
+    if (typeof entry[i] === 'string') {
+      entry[i] = +entry[i]
+    }
+  })
+}
 
 /**
  * A Promise Throttle instance
@@ -65,15 +216,69 @@ class WSv2 extends EventEmitter {
    * @param {string} [opts.apiSecret] - API secret
    * @param {string} [opts.url] - ws connection url, defaults to {@link WSv2#url}
    * @param {number} [opts.orderOpBufferDelay] - multi-order op batching timeout
+   * @param {number} [opts.orderOpTimeout] - optional, time to wait for an
+   *   order submit/update/cancel confirmation before rejecting (ms), disabled
+   *   by default. If set, ops pending when the connection closes are rejected
+   *   right away with an OrderOpConnectionClosedError
    * @param {boolean} [opts.transform] - if true, packets are converted to models
+   * @param {boolean} [opts.lossless] - if true, channel messages are parsed
+   *   losslessly: all numeric payload fields (prices, amounts, IDs, etc) are
+   *   delivered as their exact strings to all handlers & models. Channel IDs,
+   *   sequence numbers, checksums & timestamps remain numbers.
    * @param {object} [opts.agent] - optional node agent for ws connection (proxy)
+   * @param {Function} [opts.transport] - optional socket factory, called
+   *   with `(url, { agent })` on each open/reconnect. Must return an object
+   *   with `send()` & `close()` that emits 'open', 'message', 'error' &
+   *   'close'. Defaults to {@link WSv2.createWebSocket}
    * @param {boolean} [opts.manageOrderBooks] - enable local OB persistence
+   * @param {boolean} [opts.resyncOrderBooks] - if true, managed books that
+   *   fail checksum verification are re-fetched via a fresh subscription
    * @param {boolean} [opts.manageCandles] - enable local candle persistence
+   * @param {boolean} [opts.backfillCandles] - if true, managed candles missing
+   *   between updates or across a reconnect are fetched via RESTv2 & merged
+   *   into the set; candles are then kept across reconnects
+   * @param {number} [opts.maxCandles] - optional, max number of managed
+   *   candles retained per key, oldest are dropped first
+   * @param {number} [opts.backfillRequestsPerSecond] - optional, max candle
+   *   backfill requests per second, defaults to 0.5 (one per 2 seconds)
+   * @param {RESTv2} [opts.rest] - optional, RESTv2 instance used for candle
+   *   backfills, one is created if needed
+   * @param {PromiseThrottle} [opts.backfillThrottler] - optional pt to limit
+   *   candle backfill request freq, overrides backfillRequestsPerSecond
+   * @param {boolean} [opts.manageAccountState] - enable local persistence of
+   *   orders, positions, wallets & funding offers/credits/loans
    * @param {boolean} [opts.seqAudit] - enable sequence numbers & verification
+   * @param {string} [opts.seqGapPolicy] - optional, action taken when seqAudit
+   *   detects a gap: 'error' (default) emits an error, 'reconnect' reconnects,
+   *   re-authenticates & resubscribes, 'resync' resubscribes public channels
+   *   on public gaps. Auth snapshots can't be refetched on the same
+   *   connection, so with 'resync' auth gaps reconnect & re-authenticate,
+   *   restoring the managed account state from the fresh snapshots.
    * @param {boolean} [opts.autoReconnect] - if true, we will reconnect on close
    * @param {number} [opts.reconnectDelay] - optional, defaults to 1000 (ms)
+   * @param {number} [opts.reconnectDelayMultiplier] - optional backoff factor
+   *   applied to the delay after each failed attempt, defaults to 1
+   * @param {number} [opts.reconnectMaxDelay] - optional upper bound for the
+   *   reconnect delay (ms)
+   * @param {number} [opts.reconnectJitter] - optional, 0-1, fraction of the
+   *   delay to randomize by in either direction, defaults to 0
+   * @param {number} [opts.reconnectMaxAttempts] - optional, number of
+   *   consecutive attempts before giving up, defaults to unlimited
+   * @param {number} [opts.reconnectResetDelay] - optional, time a connection
+   *   must stay open before the attempt counter is reset, defaults to 10000 (ms)
    * @param {PromiseThrottle} [opts.reconnectThrottler] - optional pt to limit reconnect freq
    * @param {number} [opts.packetWDDelay] - watch-dog forced reconnection delay
+   * @param {number} [opts.subscribeTimeout] - optional, time to wait for a
+   *   subscribe/unsubscribe confirmation, defaults to 10000 (ms)
+   * @param {number} [opts.pingInterval] - optional, enables a periodic ping
+   *   heartbeat with the specified interval (ms)
+   * @param {object} [opts.sendRateLimits] - optional, max outgoing messages
+   *   per second by category: 'subscriptions', 'orderOps', 'calc' & 'conf'.
+   *   Messages over the limit are queued; calc defaults to 8, others are
+   *   unlimited by default
+   * @param {number} [opts.pingTimeout] - optional, time to wait for a pong
+   *   before a ping fails, defaults to 10000 (ms). With the heartbeat enabled,
+   *   a missed pong triggers a reconnect
    * @example
    *   const ws = new WSv2()
    *
@@ -98,23 +303,64 @@ class WSv2 extends EventEmitter {
     this.setMaxListeners(1000)
     this._affCode = opts.affCode
     this._agent = opts.agent
+    this._transport = opts.transport || WSv2.createWebSocket
     this._url = opts.url || WSv2.url
     this._transform = opts.transform === true
+    this._lossless = opts.lossless === true
     this._orderOpBufferDelay = opts.orderOpBufferDelay || -1
     this._orderOpBuffer = []
     this._orderOpTimeout = null
+    this._pendingMultiOps = [] // [<op payloads>], in order sent
+    this._pendingOrderOps = [] // [{ key, op }], see getPendingOrderOps()
+    this._orderOpTimeoutDelay = opts.orderOpTimeout || 0
     this._seqAudit = opts.seqAudit === true
+    this._seqGapPolicy = opts.seqGapPolicy || 'error'
+    this._isResyncingChannels = false
     this._autoReconnect = opts.autoReconnect === true
     this._reconnectDelay = opts.reconnectDelay || 1000
+    this._reconnectDelayMultiplier = opts.reconnectDelayMultiplier || 1
+    this._reconnectMaxDelay = opts.reconnectMaxDelay || Infinity
+    this._reconnectJitter = opts.reconnectJitter || 0
+    this._reconnectMaxAttempts = opts.reconnectMaxAttempts || Infinity
+    this._reconnectResetDelay = _isFinite(opts.reconnectResetDelay)
+      ? opts.reconnectResetDelay
+      : 10000
+    this._reconnectAttempts = 0
     this._reconnectThrottler = opts.reconnectThrottler
     this._manageOrderBooks = opts.manageOrderBooks === true
+    this._resyncOrderBooks = opts.resyncOrderBooks === true
     this._manageCandles = opts.manageCandles === true
+    this._backfillCandles = opts.backfillCandles === true
+    this._maxCandles = opts.maxCandles || Infinity
+    this._rest = opts.rest || null
+    this._backfillThrottler = opts.backfillThrottler ||
+      WSv2.createBackfillThrottler(opts.backfillRequestsPerSecond)
+    this._candleBackfills = {} // { [key]: [{ start, end }] } in flight
+    this._manageAccountState = opts.manageAccountState === true
     this._packetWDDelay = opts.packetWDDelay
+    this._subscribeTimeout = opts.subscribeTimeout || 10000
+    this._pingInterval = opts.pingInterval
+    this._pingTimeout = opts.pingTimeout || 10000
+    this._pingHeartbeatInterval = null
+    this._heartbeatPingPending = false
+    this._lastPingCID = 0
+    this._latencySamples = []
+    this._stats = {
+      connects: 0,
+      messagesIn: 0,
+      messagesOut: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+      lastMessageTS: 0
+    }
     this._packetWDTimeout = null
     this._packetWDLastTS = 0
-    this._orderBooks = {}
+    this._orderBooks = {} // { [symbol:prec:len]: <book> }
     this._losslessOrderBooks = {}
+    this._orderBookTops = {} // { [symbol:prec:len]: { bid, bidSize, ... } }
+    this._resyncingOrderBooks = {} // { [symbol:prec:len]: true }
     this._candles = {}
+    this._accountState = {} // { [collection]: { [key]: <array> } }
     this._authArgs = {
       apiKey: opts.apiKey,
       apiSecret: opts.apiSecret
@@ -136,7 +382,14 @@ class WSv2 extends EventEmitter {
     this._listeners = {}
     this._infoListeners = {} // { [code]: <listeners> }
     this._subscriptionRefs = {}
+    this._prevSubscriptionRefs = {}
+    this._pendingSubscriptions = [] // [{ packet, cb }]
+    this._pendingUnsubscriptions = [] // [{ chanId, cb }]
+    this._pendingManagedSubscriptions = {} // { [channel:identifier]: <promise> }
+    this._subscribePayloads = {} // { [chanId]: <original subscribe packet> }
+    this._transferredChanIds = {} // { [chanId]: true }, see transferSubscriptionRefs
     this._channelMap = {}
+    this._prevChannelMap = {}
     this._orderBooks = {}
     this._enabledFlags = this._seqAudit ? WSv2.flags.SEQ_ALL : 0
     this._eventCallbacks = new CbQ()
@@ -148,13 +401,20 @@ class WSv2 extends EventEmitter {
     this._ws = null
     this._isClosing = false // used to block reconnect on direct close() call
     this._isReconnecting = false
+    this._lastOpenTS = 0
 
     this._onWSOpen = this._onWSOpen.bind(this)
     this._onWSClose = this._onWSClose.bind(this)
     this._onWSError = this._onWSError.bind(this)
     this._onWSMessage = this._onWSMessage.bind(this)
     this._triggerPacketWD = this._triggerPacketWD.bind(this)
-    this._sendCalc = _Throttle(this._sendCalc.bind(this), 1000 / MAX_CALC_OPS)
+    this._sendQueue = new SendQueue({
+      send: msg => this.send(msg),
+      limits: {
+        calc: MAX_CALC_OPS,
+        ...opts.sendRateLimits
+      }
+    })
   }
 
   /**
@@ -207,13 +467,23 @@ class WSv2 extends EventEmitter {
    * @see WSv2#subscribeTrades
    * @see WSv2#subscribeTicker
    * @see WSv2#subscribeCandles
+   * @see WSv2#subscribeStatus
    * @see WSv2#subscribeOrderBook
    */
   getDataChannelCount () {
+    return this.getDataChannels().length
+  }
+
+  /**
+   * Returns the channel data of all subscribed data channels (ticker, book,
+   * candles, trades & status)
+   *
+   * @returns {object[]} channels
+   */
+  getDataChannels () {
     return Object
       .values(this._channelMap)
       .filter(c => _includes(DATA_CHANNEL_TYPES, c.channel))
-      .length
   }
 
   /**
@@ -230,13 +500,20 @@ class WSv2 extends EventEmitter {
    * Check if a channel/identifier pair has been subscribed too
    *
    * @param {string} channel - channel type
-   * @param {string} identifier - unique identifier for the reference
+   * @param {string} identifier - unique identifier for the reference; for
+   *   books, a symbol matches any book subscribed for it
    * @returns {boolean} hasRef
    * @see WSv2#managedSubscribe
    */
   hasSubscriptionRef (channel, identifier) {
     const key = `${channel}:${identifier}`
-    return !!Object.keys(this._subscriptionRefs).find(ref => ref === key)
+    const refs = Object.keys(this._subscriptionRefs)
+
+    if (channel === 'book' && WSv2._matchBookKeys(refs, key).length > 0) {
+      return true // symbol only, any book for the symbol
+    }
+
+    return !!refs.find(ref => ref === key)
   }
 
   /**
@@ -281,13 +558,57 @@ class WSv2 extends EventEmitter {
 
     debug('connecting to %s...', this._url)
 
-    this._ws = new WebSocket(this._url, {
+    return this._openSocket(this._transport(this._url, {
       agent: this._agent
+    }))
+  }
+
+  /**
+   * Creates a throttler for candle backfill requests
+   *
+   * @param {number} [requestsPerSecond] - max requests per second, defaults
+   *   to 0.5
+   * @returns {PromiseThrottle} throttler
+   */
+  static createBackfillThrottler (requestsPerSecond) {
+    return new PromiseThrottle({
+      requestsPerSecond: requestsPerSecond || BACKFILL_REQUESTS_PER_SECOND,
+      promiseImplementation: Promise
     })
+  }
+
+  /**
+   * Default transport, opens a connection with the ws module
+   *
+   * @param {string} url - ws connection url
+   * @param {object} [opts] - options
+   * @param {object} [opts.agent] - optional node agent (proxy)
+   * @returns {WebSocket} ws
+   */
+  static createWebSocket (url, { agent } = {}) {
+    return new WebSocket(url, { agent })
+  }
 
+  /**
+   * Binds to a socket created by the transport factory, resets local state
+   * and resolves once the socket emits 'open'.
+   *
+   * @param {object} socket - socket to use as the connection
+   * @returns {Promise} p
+   * @private
+   */
+  _openSocket (socket) {
+    this._ws = socket
     this._subscriptionRefs = {}
-    this._candles = {}
+
+    if (!this._backfillCandles) {
+      this._candles = {}
+    }
+
     this._orderBooks = {}
+    this._losslessOrderBooks = {}
+    this._orderBookTops = {}
+    this._accountState = {}
 
     this._ws.on('message', this._onWSMessage)
     this._ws.on('error', this._onWSError)
@@ -406,6 +727,71 @@ class WSv2 extends EventEmitter {
     return this.reconnectAfterClose() // we are already closed, so reopen and re-auth
   }
 
+  /**
+   * Returns the number of consecutive reconnect attempts made since the last
+   * stable connection.
+   *
+   * @returns {number} attempts
+   */
+  getReconnectAttempts () {
+    return this._reconnectAttempts
+  }
+
+  /**
+   * Computes the delay before the specified reconnect attempt, applying the
+   * configured multiplier, max delay & jitter.
+   *
+   * @param {number} attempt - attempt number, starting at 1
+   * @returns {number} delay - in ms
+   * @private
+   */
+  _getReconnectDelay (attempt) {
+    const baseDelay = Math.min(
+      this._reconnectDelay * Math.pow(this._reconnectDelayMultiplier, attempt - 1),
+      this._reconnectMaxDelay
+    )
+
+    const jitter = baseDelay * this._reconnectJitter * (Math.random() * 2 - 1)
+
+    return Math.max(0, Math.min(baseDelay + jitter, this._reconnectMaxDelay))
+  }
+
+  /**
+   * Schedules the next reconnect attempt, or emits `reconnect-failed` if the
+   * max number of attempts has been reached.
+   *
+   * @private
+   */
+  _scheduleReconnect () {
+    if (this._reconnectAttempts >= this._reconnectMaxAttempts) {
+      debug('giving up after %d reconnect attempts', this._reconnectAttempts)
+
+      this._isReconnecting = false
+      this.emit('reconnect-failed', { attempts: this._reconnectAttempts })
+      return
+    }
+
+    this._reconnectAttempts++
+
+    const attempt = this._reconnectAttempts
+    const delay = this._getReconnectDelay(attempt)
+
+    debug('reconnect attempt %d in %dms', attempt, delay)
+    this.emit('reconnecting', { attempt, delay })
+
+    setTimeout(async () => {
+      try {
+        if (this._reconnectThrottler) {
+          await this._reconnectThrottler.add(this.reconnectAfterClose.bind(this))
+        } else {
+          await this.reconnectAfterClose()
+        }
+      } catch (err) {
+        debug('error reconnectAfterClose: %s', err.stack)
+      }
+    }, delay)
+  }
+
   /**
    * @private
    */
@@ -459,7 +845,10 @@ class WSv2 extends EventEmitter {
       }
 
       if (seq !== this._lastPubSeq + 1) { // check pub seq
-        return new Error(`invalid pub seq #; last ${this._lastPubSeq}, got ${seq}`)
+        return WSv2._getSeqGapError(
+          `invalid pub seq #; last ${this._lastPubSeq}, got ${seq}`,
+          { type: 'pub', expected: this._lastPubSeq + 1, received: seq, chanId: msg[0] }
+        )
       }
 
       this._lastPubSeq = seq
@@ -471,22 +860,25 @@ class WSv2 extends EventEmitter {
     // notifications don't advance seq
     if (msg[1] === 'n') {
       return authSeq !== this._lastAuthSeq
-        ? new Error(
-          `invalid auth seq #, expected no advancement but got ${authSeq}`
+        ? WSv2._getSeqGapError(
+          `invalid auth seq #, expected no advancement but got ${authSeq}`,
+          { type: 'auth', expected: this._lastAuthSeq, received: authSeq, chanId: 0 }
           )
         : null
     }
 
     if (authSeq === this._lastAuthSeq) {
-      return new Error(
-        `expected auth seq # advancement but got same seq: ${authSeq}`
+      return WSv2._getSeqGapError(
+        `expected auth seq # advancement but got same seq: ${authSeq}`,
+        { type: 'auth', expected: this._lastAuthSeq + 1, received: authSeq, chanId: 0 }
       )
     }
 
     // check
     if (this._lastAuthSeq !== -1 && authSeq !== this._lastAuthSeq + 1) {
-      return new Error(
-        `invalid auth seq #; last ${this._lastAuthSeq}, got ${authSeq}`
+      return WSv2._getSeqGapError(
+        `invalid auth seq #; last ${this._lastAuthSeq}, got ${authSeq}`,
+        { type: 'auth', expected: this._lastAuthSeq + 1, received: authSeq, chanId: 0 }
       )
     }
 
@@ -494,6 +886,106 @@ class WSv2 extends EventEmitter {
     return null
   }
 
+  /**
+   * @param {string} message - error message
+   * @param {object} seqGap - gap details, exposed on the error as `seqGap`
+   * @param {string} seqGap.type - 'pub' or 'auth'
+   * @param {number} seqGap.expected - expected sequence #
+   * @param {number} seqGap.received - received sequence #
+   * @param {number} seqGap.chanId - ID of the channel the packet arrived on
+   * @returns {Error} err
+   * @private
+   */
+  static _getSeqGapError (message, seqGap) {
+    const err = new Error(message)
+    err.seqGap = seqGap
+    return err
+  }
+
+  /**
+   * Emits a `seq-gap` event for the error returned by _validateMessageSeq and
+   * applies the configured gap policy.
+   *
+   * @param {Error} err - sequence error
+   * @private
+   */
+  _handleSeqGap (err) {
+    const { type, expected, received, chanId } = err.seqGap
+    const { channel } = this._channelMap[chanId] || {}
+
+    this.emit('seq-gap', { type, expected, received, chanId, channel })
+
+    if (this._seqGapPolicy === 'error') {
+      this.emit('error', err)
+      return
+    }
+
+    if (this._seqGapPolicy === 'resync' && type === 'pub') {
+      this._lastPubSeq = received // fresh snapshots follow, accept new seq #s
+
+      if (this._isResyncingChannels) return
+
+      debug('%s, resyncing public channels', err.message)
+
+      this._resyncPublicChannels().catch((resyncErr) => {
+        this.emit('error', resyncErr)
+      })
+
+      return
+    }
+
+    if (this._isReconnecting) return
+
+    debug('%s, reconnecting', err.message)
+
+    this.reconnect().catch((reconnectErr) => {
+      this.emit('error', reconnectErr)
+    })
+  }
+
+  /**
+   * Unsubscribes & resubscribes all public channels to receive fresh
+   * snapshots, replaying the original subscribe packets. Used to recover from
+   * a public sequence gap.
+   *
+   * @returns {Promise} p - resolves with `{ restored, failed }`
+   * @private
+   */
+  async _resyncPublicChannels () {
+    const channels = Object.keys(this._channelMap)
+      .map(chanId => this._channelMap[chanId])
+      .filter(chanData => chanData.channel !== 'auth')
+
+    const restored = []
+    const failed = []
+
+    this._isResyncingChannels = true
+
+    try {
+      await Promise.all(channels.map(async (chanData) => {
+        const packet = this._getSubscribePacket(chanData.chanId, chanData)
+
+        try {
+          await this.unsubscribe(chanData.chanId)
+          restored.push(await this._sendSubscribe(packet))
+        } catch (error) {
+          debug('failed to resync channel %j: %s', packet, error.message)
+          failed.push({ packet, error })
+        }
+      }))
+    } finally {
+      this._isResyncingChannels = false
+    }
+
+    failed.forEach(({ packet, error }) => {
+      this.emit('error', new Error(
+        `failed to resync ${packet.channel} channel: ${error.message}`
+      ))
+    })
+
+    return { restored, failed }
+  }
+
   /**
    * Trigger the packet watch-dog; called when we haven't seen a new WS packet
    * for longer than our WD duration (if provided)
@@ -537,193 +1029,839 @@ class WSv2 extends EventEmitter {
   }
 
   /**
-   * Subscribes to previously subscribed channels, used after reconnecting
+   * Sends a ping to the server and resolves with the round-trip time once the
+   * matching pong is received. Rejects if no pong arrives within the ping
+   * timeout. Each RTT is recorded & emitted as a `latency` event.
    *
-   * @private
+   * @returns {Promise} p - resolves with the RTT in ms
+   * @see WSv2#getLatencyStats
+   * @example
+   * const rtt = await ws.ping()
+   *
+   * console.log('server RTT: %dms', rtt)
    */
-  resubscribePreviousChannels () {
-    Object.values(this._prevChannelMap).forEach((chan) => {
-      const { channel } = chan
+  async ping () {
+    if (!this._isOpen) {
+      throw new Error('not open')
+    }
 
-      switch (channel) {
-        case 'ticker': {
-          const { symbol } = chan
-          this.subscribeTicker(symbol)
-          break
-        }
+    const cid = ++this._lastPingCID
+    const k = this._getPingEventKey(cid)
+    const sentTS = Date.now()
+    const timeout = setTimeout(() => {
+      this._eventCallbacks.trigger(k, new Error(`ping timed out: ${cid}`))
+    }, this._pingTimeout)
 
-        case 'trades': {
-          const { symbol } = chan
-          this.subscribeTrades(symbol)
-          break
-        }
+    const p = this._getEventPromise(k).finally(() => clearTimeout(timeout))
 
-        case 'book': {
-          const { symbol, len, prec } = chan
-          this.subscribeOrderBook(symbol, prec, len)
-          break
-        }
+    this.send({ event: 'ping', cid })
 
-        case 'candles': {
-          const { key } = chan
-          this.subscribeCandles(key)
-          break
-        }
+    await p
 
-        default: {
-          debug('unknown previously subscribed channel type: %s', channel)
-        }
-      }
-    })
+    const rtt = Date.now() - sentTS
+    this._addLatencySample(rtt)
+
+    return rtt
   }
 
   /**
-   * @private
+   * Returns statistics over the most recent ping round-trip times, or null if
+   * no pong has been received yet.
+   *
+   * @returns {object} stats - `{ last, min, max, avg, p99, samples }`, in ms
+   * @see WSv2#ping
    */
-  _onWSOpen () {
-    this._isOpen = true
-    this._isReconnecting = false
-    this._packetWDLastTS = Date.now()
-    this._lastAuthSeq = -1
-    this._lastPubSeq = -1
-    this.emit('open')
+  getLatencyStats () {
+    const n = this._latencySamples.length
 
-    if (!_isEmpty(this._prevChannelMap)) {
-      this.resubscribePreviousChannels()
-      this._prevChannelMap = {}
+    if (n === 0) {
+      return null
     }
 
-    debug('connection open')
+    const sorted = [...this._latencySamples].sort((a, b) => a - b)
+    const sum = sorted.reduce((total, rtt) => total + rtt, 0)
+
+    return {
+      last: this._latencySamples[n - 1],
+      min: sorted[0],
+      max: sorted[n - 1],
+      avg: sum / n,
+      p99: sorted[Math.min(n - 1, Math.ceil(n * 0.99) - 1)],
+      samples: n
+    }
   }
 
   /**
+   * Returns connection statistics. Message & byte counters cover the lifetime
+   * of the instance, across reconnects.
+   *
+   * @returns {object} stats - `{ isOpen, isAuthenticated, uptime, reconnects,
+   *   messagesIn, messagesOut, bytesIn, bytesOut, lastMessageAge, latency }`;
+   *   uptime & lastMessageAge in ms, latency is the average ping RTT or null
+   * @see WSv2#getLatencyStats
+   */
+  getStats () {
+    const now = Date.now()
+    const latencyStats = this.getLatencyStats()
+    const {
+      connects, messagesIn, messagesOut, bytesIn, bytesOut, lastMessageTS
+    } = this._stats
+
+    return {
+      isOpen: this._isOpen,
+      isAuthenticated: this._isAuthenticated,
+      uptime: this._isOpen && this._lastOpenTS > 0 ? now - this._lastOpenTS : 0,
+      reconnects: Math.max(0, connects - 1),
+      messagesIn,
+      messagesOut,
+      bytesIn,
+      bytesOut,
+      lastMessageAge: lastMessageTS > 0 ? now - lastMessageTS : null,
+      latency: latencyStats ? latencyStats.avg : null
+    }
+  }
+
+  /**
+   * @param {number} rtt - round-trip time in ms
    * @private
    */
-  async _onWSClose () {
-    this._isOpen = false
-    this._isAuthenticated = false
-    this._lastAuthSeq = -1
-    this._lastPubSeq = -1
-    this._enabledFlags = 0
-    this._ws = null
-    this._subscriptionRefs = {}
-    this.emit('close')
-
-    debug('connection closed')
-
-    // _isReconnecting = true - if a reconnection has been requested. In that case always call reconnectAfterClose
-    // _isClosing = true - if the user explicitly requested a close
-    // _autoReconnect = true - if the user likes to reconnect automatically
-    if (this._isReconnecting || (this._autoReconnect && !this._isClosing)) {
-      this._prevChannelMap = this._channelMap
+  _addLatencySample (rtt) {
+    this._latencySamples.push(rtt)
 
-      setTimeout(async () => {
-        try {
-          if (this._reconnectThrottler) {
-            await this._reconnectThrottler.add(this.reconnectAfterClose.bind(this))
-          } else {
-            await this.reconnectAfterClose()
-          }
-        } catch (err) {
-          debug('error reconnectAfterClose: %s', err.stack)
-        }
-      }, this._reconnectDelay)
+    if (this._latencySamples.length > MAX_LATENCY_SAMPLES) {
+      this._latencySamples.shift()
     }
 
-    this._channelMap = {}
-    this._isClosing = false
+    this.emit('latency', {
+      rtt,
+      ...this.getLatencyStats()
+    })
   }
 
   /**
-   * @param {Error} err - error
+   * @param {number} cid - ping client ID
+   * @returns {string} key
    * @private
    */
-  _onWSError (err) {
-    this.emit('error', err)
+  _getPingEventKey (cid) {
+    return `pong-${cid}`
+  }
 
-    debug('error: %s', err)
+  /**
+   * Starts the ping heartbeat if a ping interval was provided
+   *
+   * @private
+   */
+  _startPingHeartbeat () {
+    if (!this._pingInterval) return
+
+    this._stopPingHeartbeat()
+    this._pingHeartbeatInterval = setInterval(() => {
+      this._sendHeartbeatPing().catch((err) => {
+        debug('error triggering heartbeat reconnect: %s', err.message)
+      })
+    }, this._pingInterval)
   }
 
   /**
-   * @param {Array} arrN - notification in ws array format
    * @private
    */
-  _onWSNotification (arrN) {
-    const status = arrN[6]
-    const msg = arrN[7]
+  _stopPingHeartbeat () {
+    if (this._pingHeartbeatInterval === null) return
 
-    if (!arrN[4]) return
+    clearInterval(this._pingHeartbeatInterval)
+    this._pingHeartbeatInterval = null
+  }
 
-    if (arrN[1] === 'on-req') {
-      const [,, cid] = arrN[4]
-      const k = `order-new-${cid}`
+  /**
+   * Sends a heartbeat ping, and reconnects if the pong doesn't arrive in time
+   *
+   * @returns {Promise} p
+   * @private
+   */
+  async _sendHeartbeatPing () {
+    if (!this._isOpen || this._isClosing || this._heartbeatPingPending) return
 
-      if (status === 'SUCCESS') {
-        this._eventCallbacks.trigger(k, null, arrN[4])
-      } else {
-        this._eventCallbacks.trigger(k, new Error(`${status}: ${msg}`), arrN[4])
-      }
-    } else if (arrN[1] === 'oc-req') {
-      const [id] = arrN[4]
-      const k = `order-cancel-${id}`
+    this._heartbeatPingPending = true
 
-      if (status === 'SUCCESS') {
-        this._eventCallbacks.trigger(k, null, arrN[4])
-      } else {
-        this._eventCallbacks.trigger(k, new Error(`${status}: ${msg}`), arrN[4])
-      }
-    } else if (arrN[1] === 'ou-req') {
-      const [id] = arrN[4]
-      const k = `order-update-${id}`
+    try {
+      await this.ping()
+    } catch (err) {
+      if (!this._isOpen || this._isReconnecting) return
 
-      if (status === 'SUCCESS') {
-        this._eventCallbacks.trigger(k, null, arrN[4])
-      } else {
-        this._eventCallbacks.trigger(k, new Error(`${status}: ${msg}`), arrN[4])
-      }
+      debug('heartbeat failed (%s), reconnecting', err.message)
+      return this.reconnect()
+    } finally {
+      this._heartbeatPingPending = false
     }
   }
 
   /**
-   * @param {string} rawMsg - incoming message JSON
-   * @param {string} flags - flags
+   * Subscribes to previously subscribed channels, used after reconnecting.
+   * The original subscribe packet is replayed for each channel, so any extra
+   * parameters (i.e. book `freq`) are preserved for all channel types.
+   *
+   * Emits a `resubscribed` event once all channels have been confirmed or
+   * failed, with the new channel data for restored channels and the packet &
+   * error for failed ones.
+   *
+   * @returns {Promise} p - resolves with `{ restored, failed }`
    * @private
    */
-  _onWSMessage (rawMsg, flags) {
-    debug('recv msg: %s', rawMsg)
-
-    this._packetWDLastTS = Date.now()
-    this._resetPacketWD()
-
-    let msg
+  async resubscribePreviousChannels () {
+    const prevChannelMap = this._prevChannelMap || {}
+    const packets = Object.keys(prevChannelMap)
+      .filter(chanId => prevChannelMap[chanId].channel !== 'auth') // re-auth'ed
+      .map((chanId) => {
+        const packet = this._getSubscribePacket(chanId, prevChannelMap[chanId])
+        delete this._subscribePayloads[chanId]
+        return packet
+      })
 
-    try {
-      msg = JSON.parse(rawMsg)
-    } catch (e) {
-      this.emit('error', `invalid message JSON: ${rawMsg}`)
-      return
+    this._subscriptionRefs = {
+      ...this._prevSubscriptionRefs,
+      ...this._subscriptionRefs
     }
 
-    debug('recv msg: %j', msg)
+    this._prevSubscriptionRefs = {}
 
-    if (this._seqAudit) {
-      const seqErr = this._validateMessageSeq(msg)
+    const results = await Promise.all(packets.map(packet => (
+      this._sendSubscribe(packet)
+        .then(chanData => ({ packet, chanData }))
+        .catch(error => ({ packet, error }))
+    )))
 
-      if (seqErr !== null) {
-        this.emit('error', seqErr)
-        return
-      }
-    }
+    const restored = results.filter(r => !r.error).map(r => r.chanData)
+    const failed = results.filter(r => !!r.error).map(({ packet, error }) => {
+      debug('failed to resubscribe to %j: %s', packet, error.message)
+      return { packet, error }
+    })
 
-    this.emit('message', msg, flags)
+    this.emit('resubscribed', { restored, failed })
 
-    if (Array.isArray(msg)) {
-      this._handleChannelMessage(msg, rawMsg)
-    } else if (msg.event) {
+    return { restored, failed }
+  }
+
+  /**
+   * Returns the subscribe packet originally used for a channel, or one
+   * rebuilt from the channel data if the original is unknown.
+   *
+   * @param {number|string} chanId - channel ID
+   * @param {object} chanData - channel data as received on subscribe
+   * @returns {object} packet
+   * @private
+   */
+  _getSubscribePacket (chanId, chanData = {}) {
+    if (this._subscribePayloads[chanId]) {
+      return this._subscribePayloads[chanId]
+    }
+
+    const packet = { event: 'subscribe' }
+
+    Object.keys(chanData).forEach((k) => {
+      if (!_includes(CHANNEL_DATA_META_KEYS, k)) {
+        packet[k] = chanData[k]
+      }
+    })
+
+    return packet
+  }
+
+  /**
+   * Checks if a `subscribed` or subscribe `error` event message refers to the
+   * provided subscribe packet. Fields missing from the message are ignored.
+   *
+   * @param {object} packet - subscribe packet
+   * @param {object} msg - incoming event message
+   * @returns {boolean} matches
+   * @private
+   */
+  static _subscribePacketMatches (packet = {}, msg = {}) {
+    if (packet.channel !== msg.channel) {
+      return false
+    }
+
+    return Object.keys(packet).every(k => (
+      k === 'event' ||
+      msg[k] === undefined ||
+      `${msg[k]}` === `${packet[k]}`
+    ))
+  }
+
+  /**
+   * Sends a subscribe packet and tracks it until the server confirms or
+   * rejects it.
+   *
+   * A closed socket and server errors are emitted as 'error' besides
+   * rejecting. Timeouts, and requests failed because the connection dropped
+   * (signalled by 'close'), only reject the returned promise, which is marked
+   * handled so that calls not awaiting it don't raise unhandled rejections.
+   *
+   * @param {object} packet - subscribe packet
+   * @returns {Promise} p - resolves with the channel data on confirmation,
+   *   rejects on error, timeout or if the connection closes
+   * @private
+   */
+  _sendSubscribe (packet) {
+    if (!this._isOpen) {
+      return this._rejectNotOpen()
+    }
+
+    const p = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this._pendingSubscriptions = this._pendingSubscriptions.filter(sub => (
+          sub.packet !== packet
+        ))
+
+        debug('subscribe timed out: %j', packet)
+        reject(new Error(`subscribe timed out: ${JSON.stringify(packet)}`))
+      }, this._subscribeTimeout)
+
+      this._pendingSubscriptions.push({
+        packet,
+        cb: (err, chanData) => {
+          clearTimeout(timeout)
+
+          if (err) {
+            return reject(err)
+          }
+
+          resolve(chanData)
+        }
+      })
+
+      this._sendQueue.push('subscriptions', packet)
+    })
+
+    p.catch(() => {}) // timeout & close rejections, see above
+    return p
+  }
+
+  /**
+   * Emits an error for a (un)subscribe request made while the socket isn't
+   * open, like {@link WSv2#send} does
+   *
+   * @returns {Promise} p - rejected with the error
+   * @private
+   */
+  _rejectNotOpen () {
+    const err = new Error('no ws client or not open')
+
+    this.emit('error', err)
+
+    const p = Promise.reject(err)
+    p.catch(() => {}) // reported via 'error'
+    return p
+  }
+
+  /**
+   * Sends an unsubscribe packet and tracks it until the server confirms or
+   * rejects it.
+   *
+   * Failures are reported like those of {@link WSv2#_sendSubscribe}.
+   *
+   * @param {number} chanId - channel ID
+   * @returns {Promise} p - resolves with the channel data on confirmation,
+   *   rejects on error, timeout or if the connection closes
+   * @private
+   */
+  _sendUnsubscribe (chanId) {
+    if (!this._isOpen) {
+      return this._rejectNotOpen()
+    }
+
+    const p = new Promise((resolve, reject) => {
+      const pendingUnsub = {
+        chanId,
+        cb: (err, chanData) => {
+          clearTimeout(timeout)
+
+          if (err) {
+            return reject(err)
+          }
+
+          resolve(chanData)
+        }
+      }
+
+      const timeout = setTimeout(() => {
+        this._pendingUnsubscriptions = this._pendingUnsubscriptions.filter(u => (
+          u !== pendingUnsub
+        ))
+
+        debug('unsubscribe timed out: %d', chanId)
+        reject(new Error(`unsubscribe timed out: ${chanId}`))
+      }, this._subscribeTimeout)
+
+      this._pendingUnsubscriptions.push(pendingUnsub)
+      this._sendQueue.push('subscriptions', {
+        event: 'unsubscribe',
+        chanId
+      })
+    })
+
+    p.catch(() => {}) // timeout & close rejections, see _sendSubscribe
+    return p
+  }
+
+  /**
+   * Removes & returns the first pending unsubscription for the channel
+   *
+   * @param {number} chanId - channel ID
+   * @returns {object} pendingUnsub - undefined if none matches
+   * @private
+   */
+  _takePendingUnsubscription (chanId) {
+    const i = this._pendingUnsubscriptions.findIndex(u => (
+      `${u.chanId}` === `${chanId}`
+    ))
+
+    return i === -1
+      ? undefined
+      : this._pendingUnsubscriptions.splice(i, 1)[0]
+  }
+
+  /**
+   * Removes & returns the first pending subscription matching the event msg
+   *
+   * @param {object} msg - `subscribed` or `error` event message
+   * @returns {object} pendingSub - undefined if none matches
+   * @private
+   */
+  _takePendingSubscription (msg) {
+    const i = this._pendingSubscriptions.findIndex(({ packet }) => (
+      WSv2._subscribePacketMatches(packet, msg)
+    ))
+
+    return i === -1
+      ? undefined
+      : this._pendingSubscriptions.splice(i, 1)[0]
+  }
+
+  /**
+   * @private
+   */
+  _onWSOpen () {
+    this._isOpen = true
+    this._isReconnecting = false
+    this._lastOpenTS = Date.now()
+    this._stats.connects++
+    this._packetWDLastTS = Date.now()
+    this._lastAuthSeq = -1
+    this._lastPubSeq = -1
+    this._startPingHeartbeat()
+    this.emit('open')
+
+    if (!_isEmpty(this._prevChannelMap)) {
+      this.resubscribePreviousChannels().catch((err) => {
+        debug('error resubscribing to previous channels: %s', err.stack)
+      })
+
+      this._prevChannelMap = {}
+    }
+
+    debug('connection open')
+  }
+
+  /**
+   * @private
+   */
+  async _onWSClose () {
+    this._isOpen = false
+    this._isAuthenticated = false
+    this._lastAuthSeq = -1
+    this._lastPubSeq = -1
+    this._enabledFlags = 0
+    this._ws = null
+    this._stopPingHeartbeat()
+    this._failPendingSubscriptions(new Error('connection closed'))
+    this._failPendingOrderOps()
+    this._sendQueue.clear()
+    this.emit('close')
+
+    debug('connection closed')
+
+    // _isReconnecting = true - if a reconnection has been requested. In that case always call reconnectAfterClose
+    // _isClosing = true - if the user explicitly requested a close
+    // _autoReconnect = true - if the user likes to reconnect automatically
+    if (this._isReconnecting || (this._autoReconnect && !this._isClosing)) {
+      this._prevChannelMap = this._channelMap
+      this._prevSubscriptionRefs = this._subscriptionRefs
+
+      // a connection that stayed up long enough restarts the backoff sequence
+      if (
+        this._lastOpenTS > 0 &&
+        Date.now() - this._lastOpenTS >= this._reconnectResetDelay
+      ) {
+        this._reconnectAttempts = 0
+      }
+
+      this._scheduleReconnect()
+    }
+
+    this._lastOpenTS = 0
+    this._subscriptionRefs = {}
+    this._channelMap = {}
+    this._transferredChanIds = {}
+    this._isClosing = false
+  }
+
+  /**
+   * Calls back all pending subscriptions & unsubscriptions with the provided
+   * error, used when the connection is lost before the server responded.
+   *
+   * @param {Error} err - error
+   * @private
+   */
+  _failPendingSubscriptions (err) {
+    const pending = [
+      ...this._pendingSubscriptions,
+      ...this._pendingUnsubscriptions
+    ]
+
+    this._pendingSubscriptions = []
+    this._pendingUnsubscriptions = []
+
+    pending.forEach(({ cb }) => cb(err))
+  }
+
+  /**
+   * Drops buffered ops that were not sent. If an op timeout is configured,
+   * all order operations awaiting confirmation are rejected with an
+   * OrderOpConnectionClosedError instead of waiting for the timeout;
+   * otherwise they are no longer tracked, but their promises are left
+   * pending so that calls not awaiting them don't raise unhandled rejections.
+   *
+   * @private
+   */
+  _failPendingOrderOps () {
+    if (this._orderOpTimeout !== null) {
+      clearTimeout(this._orderOpTimeout)
+      this._orderOpTimeout = null
+    }
+
+    this._orderOpBuffer = []
+    this._pendingMultiOps = []
+
+    if (this._orderOpTimeoutDelay <= 0) {
+      this._pendingOrderOps = []
+      return
+    }
+
+    this._pendingOrderOps.forEach(({ key, op }) => {
+      this._eventCallbacks.trigger(key, new OrderOpConnectionClosedError(
+        `connection closed before ${op.type} op was confirmed`, op
+      ))
+    })
+  }
+
+  /**
+   * @param {Error} err - error
+   * @private
+   */
+  _onWSError (err) {
+    this.emit('error', err)
+
+    debug('error: %s', err)
+  }
+
+  /**
+   * @param {Array} arrN - notification in ws array format
+   * @private
+   */
+  _onWSNotification (arrN) {
+    const status = arrN[6]
+    const msg = arrN[7]
+
+    if (arrN[1] === 'ox_multi-req') {
+      this._onWSMultiOpNotification(arrN)
+      return
+    }
+
+    if (!arrN[4]) return
+
+    if (arrN[1] === 'on-req') {
+      const [,, cid] = arrN[4]
+      const k = `order-new-${cid}`
+
+      if (status === 'SUCCESS') {
+        this._eventCallbacks.trigger(k, null, arrN[4])
+      } else {
+        this._eventCallbacks.trigger(k, new Error(`${status}: ${msg}`), arrN[4])
+      }
+    } else if (arrN[1] === 'oc-req') {
+      const [id] = arrN[4]
+      const k = `order-cancel-${id}`
+
+      if (status === 'SUCCESS') {
+        this._eventCallbacks.trigger(k, null, arrN[4])
+      } else {
+        this._eventCallbacks.trigger(k, new Error(`${status}: ${msg}`), arrN[4])
+      }
+    } else if (arrN[1] === 'ou-req') {
+      const [id] = arrN[4]
+      const k = `order-update-${id}`
+
+      if (status === 'SUCCESS') {
+        this._eventCallbacks.trigger(k, null, arrN[4])
+      } else {
+        this._eventCallbacks.trigger(k, new Error(`${status}: ${msg}`), arrN[4])
+      }
+    }
+  }
+
+  /**
+   * Routes the per-op notifications contained in an ox_multi response to the
+   * pending order op promises. Ops that were rejected as a whole, without a
+   * notification of their own, are failed with the packet-level error.
+   *
+   * The packet being confirmed is found by the ops referenced in the
+   * response (per-op notifications or echoed op payloads); if it references
+   * none, the oldest pending packet is assumed.
+   *
+   * @param {Array} arrN - ox_multi-req notification in ws array format
+   * @private
+   */
+  _onWSMultiOpNotification (arrN) {
+    const status = arrN[6]
+    const msg = arrN[7]
+    const entries = Array.isArray(arrN[4])
+      ? arrN[4].filter(n => Array.isArray(n))
+      : []
+
+    const opNotifications = entries.filter(n => typeof n[1] === 'string')
+    const keys = entries.map(n => (
+      typeof n[0] === 'string'
+        ? WSv2._getOrderOpEventKey(n[0], n[1])
+        : WSv2._getOrderOpNotificationEventKey(n)
+    )).filter(k => !!k)
+
+    const i = keys.length === 0
+      ? 0
+      : this._pendingMultiOps.findIndex(opPayloads => (
+        opPayloads.some(([type, payload]) => (
+          _includes(keys, WSv2._getOrderOpEventKey(type, payload))
+        ))
+      ))
+
+    const [opPayloads = []] = i === -1 ? [] : this._pendingMultiOps.splice(i, 1)
+
+    opNotifications.forEach(n => this._onWSNotification(n))
+
+    if (status === 'SUCCESS') return
+
+    this._failOrderOps(opPayloads, new Error(`${status}: ${msg}`))
+  }
+
+  /**
+   * Rejects the promises of the given order ops
+   *
+   * @param {Array[]} opPayloads - order operations, i.e. [['oc', { id }]]
+   * @param {Error} err - error
+   * @private
+   */
+  _failOrderOps (opPayloads, err) {
+    opPayloads.forEach(([type, payload]) => {
+      const k = WSv2._getOrderOpEventKey(type, payload)
+
+      if (k) {
+        this._eventCallbacks.trigger(k, err, payload)
+      }
+    })
+  }
+
+  /**
+   * @param {Array} arrN - order op notification in ws array format
+   * @returns {string} key - event callback key of the op, null if not an
+   *   order op notification
+   * @private
+   */
+  static _getOrderOpNotificationEventKey (arrN) {
+    const [, type,,, order] = arrN
+
+    if (!Array.isArray(order)) return null
+
+    switch (type) {
+      case 'on-req': return `order-new-${order[2]}`
+      case 'ou-req': return `order-update-${order[0]}`
+      case 'oc-req': return `order-cancel-${order[0]}`
+      default: return null
+    }
+  }
+
+  /**
+   * @param {string} type - order op type, i.e. 'on'
+   * @param {object|Array} payload - order op payload
+   * @returns {string} key - event callback key of the op, null if not tracked
+   * @private
+   */
+  static _getOrderOpEventKey (type, payload = {}) {
+    switch (type) {
+      case 'on': return `order-new-${payload.cid}`
+      case 'ou': return `order-update-${payload.id}`
+      case 'oc': return `order-cancel-${payload.id}`
+      default: return null
+    }
+  }
+
+  /**
+   * Parses a message without loss of precision; all numbers in channel
+   * messages are returned as the original strings. Event messages carry no
+   * precise values, and are parsed as regular JSON.
+   *
+   * @param {string} json - message JSON
+   * @returns {*} msg
+   * @private
+   */
+  static _parseLosslessJSON (json) {
+    if (!/^\s*\[/.test(json)) {
+      return JSON.parse(json)
+    }
+
+    return LosslessJSON.parse(json, (key, value) => {
+      return value && value.isLosslessNumber
+        ? value.toString()
+        : value
+    })
+  }
+
+  /**
+   * Converts the structural fields of a losslessly parsed channel message back
+   * to numbers: the channel ID, checksum, sequence numbers and the payload
+   * timestamps (see LOSSLESS_MTS_FIELDS). All other numeric payload fields
+   * are left as strings, so their type doesn't vary between messages.
+   *
+   * @param {Array} msg - message from {@link WSv2._parseLosslessJSON}
+   * @returns {Array} msg - modified in place
+   * @private
+   */
+  _restoreLosslessMessageFields (msg) {
+    if (!Array.isArray(msg)) return msg
+
+    // all top-level values besides the packet type & payload are numbers
+    for (let i = 0; i < msg.length; i++) {
+      if (i !== 1 && typeof msg[i] === 'string') {
+        msg[i] = +msg[i]
+      }
+    }
+
+    const chanData = this._channelMap[msg[0]]
+    const payload = getMessagePayload(msg)
+
+    if (!chanData || !payload) return msg
+
+    const type = typeof msg[1] === 'string' ? msg[1] : null
+    const { channel, key = '' } = chanData
+    const fields = channel === 'auth'
+      ? LOSSLESS_MTS_FIELDS.auth[type]
+      : LOSSLESS_MTS_FIELDS[`${channel}:${key.split(':')[0]}`] ||
+        LOSSLESS_MTS_FIELDS[channel]
+
+    if (!fields) return msg
+
+    const entries = Array.isArray(payload[0]) ? payload : [payload]
+
+    entries.forEach(entry => restoreMTSFields(entry, fields))
+
+    if (type === 'n') {
+      WSv2._restoreLosslessNotificationFields(payload)
+    }
+
+    return msg
+  }
+
+  /**
+   * Converts the timestamps of a notification's info back to numbers,
+   * including those of each notification in an ox_multi-req response
+   *
+   * @param {Array} n - notification in ws array format, timestamp restored
+   * @private
+   */
+  static _restoreLosslessNotificationFields (n) {
+    const [, type, , , info] = n
+
+    if (!Array.isArray(info)) return
+
+    if (type === 'ox_multi-req') {
+      info.filter(Array.isArray).forEach((opN) => {
+        restoreMTSFields(opN, LOSSLESS_MTS_FIELDS.auth.n)
+        WSv2._restoreLosslessNotificationFields(opN)
+      })
+    } else if (LOSSLESS_MTS_FIELDS.notification[type]) {
+      restoreMTSFields(info, LOSSLESS_MTS_FIELDS.notification[type])
+    }
+  }
+
+  /**
+   * Parses & dispatches an incoming message. If there are `message-handled`
+   * listeners, handlers are timed and the event is emitted with the channel
+   * type ('event' for event messages) and the time spent in handlers (ms).
+   *
+   * @param {string} rawMsg - incoming message JSON
+   * @param {string} flags - flags
+   * @private
+   */
+  _onWSMessage (rawMsg, flags) {
+    debug('recv msg: %s', rawMsg)
+
+    this.emit('frame', 'in', rawMsg)
+
+    this._stats.messagesIn++
+    this._stats.bytesIn += Buffer.byteLength(rawMsg)
+    this._stats.lastMessageTS = Date.now()
+
+    this._packetWDLastTS = Date.now()
+    this._resetPacketWD()
+
+    let msg
+
+    try {
+      msg = this._lossless
+        ? WSv2._parseLosslessJSON(rawMsg)
+        : JSON.parse(rawMsg)
+    } catch (e) {
+      this.emit('error', `invalid message JSON: ${rawMsg}`)
+      return
+    }
+
+    if (this._lossless) {
+      this._restoreLosslessMessageFields(msg)
+    }
+
+    debug('recv msg: %j', msg)
+
+    if (this._seqAudit) {
+      const seqErr = this._validateMessageSeq(msg)
+
+      if (seqErr !== null) {
+        this._handleSeqGap(seqErr)
+        return
+      }
+    }
+
+    this.emit('message', msg, flags)
+
+    const timed = this.listenerCount('message-handled') > 0
+    const handleStart = timed ? process.hrtime() : null
+    const channel = !timed
+      ? null
+      : Array.isArray(msg)
+        ? (this._channelMap[msg[0]] || {}).channel || 'unknown'
+        : 'event'
+
+    if (Array.isArray(msg)) {
+      this._handleChannelMessage(msg, rawMsg)
+    } else if (msg.event) {
       this._handleEventMessage(msg)
     } else {
       debug('recv unidentified message: %j', msg)
     }
+
+    if (timed) {
+      const [sec, ns] = process.hrtime(handleStart)
+
+      this.emit('message-handled', { channel, duration: sec * 1e3 + ns / 1e6 })
+    }
   }
 
   /**
@@ -743,6 +1881,11 @@ class WSv2 extends EventEmitter {
     if (msg.length < 2) return
     if (msg[1] === 'hb') return
 
+    if (this._transferredChanIds[chanId]) {
+      debug('dropping msg from transferred channel %d', chanId)
+      return
+    }
+
     if (channelData.channel === 'book') {
       if (type === 'cs') {
         this._handleOBChecksumMessage(msg, channelData)
@@ -778,15 +1921,32 @@ class WSv2 extends EventEmitter {
     }
 
     const { symbol, prec } = chanData
+    const obKey = WSv2.getChannelIdentifier({ ...chanData, channel: 'book' })
     const cs = msg[2]
 
     // NOTE: Checksums are temporarily disabled for funding books, due to
     //       invalid book sorting on the backend. This change is temporary
     if (symbol[0] === 't') {
-      const err = this._verifyManagedOBChecksum(symbol, prec, cs)
+      if (this._resyncingOrderBooks[obKey]) {
+        return
+      }
+
+      const err = this._verifyManagedOBChecksum(obKey, prec, cs)
 
       if (err) {
-        this.emit('error', err)
+        this.emit('checksum-mismatch', {
+          symbol,
+          prec,
+          len: chanData.len,
+          error: err
+        })
+
+        if (this._resyncOrderBooks) {
+          this._resyncOrderBook(chanData, err)
+        } else {
+          this.emit('error', err)
+        }
+
         return
       }
     }
@@ -814,17 +1974,27 @@ class WSv2 extends EventEmitter {
   _handleOBMessage (msg, chanData, rawMsg) {
     const { symbol, prec } = chanData
     const raw = prec === 'R0'
+    const obKey = WSv2.getChannelIdentifier({ ...chanData, channel: 'book' })
+    const resynced = !!this._resyncingOrderBooks[obKey]
     let data = getMessagePayload(msg)
 
+    if (resynced) {
+      if (!Array.isArray(data[0])) { // drop updates until the new snapshot
+        return
+      }
+
+      delete this._resyncingOrderBooks[obKey]
+    }
+
     if (this._manageOrderBooks) {
-      const err = this._updateManagedOB(symbol, data, raw, rawMsg)
+      const err = this._updateManagedOB(obKey, data, raw, rawMsg)
 
       if (err) {
         this.emit('error', err)
         return
       }
 
-      data = this._orderBooks[symbol]
+      data = this._orderBooks[obKey]
     }
 
     // Always transform an array of entries
@@ -841,17 +2011,223 @@ class WSv2 extends EventEmitter {
 
     this._propagateMessageToListeners(internalMessage, chanData, false)
     this.emit('orderbook', symbol, data)
+
+    if (this._manageOrderBooks) {
+      this._updateManagedOBTop(obKey, chanData)
+    }
+
+    if (resynced) {
+      debug('OB %s resynced', obKey)
+      this.emit('ob-resync-end', { symbol, prec, len: chanData.len })
+    }
+  }
+
+  /**
+   * Recomputes the top of a managed book, and notifies 'book-top' listeners
+   * if the best bid, best ask or either of their sizes changed
+   *
+   * @param {string} obKey - managed book key, see WSv2.getChannelIdentifier
+   * @param {object} chanData - entry from _channelMap
+   * @private
+   */
+  _updateManagedOBTop (obKey, chanData) {
+    const { chanId, symbol, prec, len } = chanData
+    const top = WSv2._getOBTop(this._orderBooks[obKey], prec === 'R0')
+    const prevTop = this._orderBookTops[obKey]
+
+    if (prevTop && ['bid', 'bidSize', 'ask', 'askSize'].every(k => (
+      prevTop[k] === top[k]
+    ))) {
+      return
+    }
+
+    this._orderBookTops[obKey] = top
+
+    const data = { symbol, prec, len, ...top }
+    const internalMessage = [chanId, 'book-top', data]
+    internalMessage.filterOverride = [symbol, prec, len]
+
+    this._propagateMessageToListeners(internalMessage, chanData, false)
+    this.emit('book-top', data)
+  }
+
+  /**
+   * Finds the best bid & ask of a managed book. Sizes are absolute, and for
+   * raw books include all orders at the top price.
+   *
+   * @param {Array[]} ob - managed book entries
+   * @param {boolean} raw - if true, the order book is considered R*
+   * @returns {object} top - `{ bid, bidSize, ask, askSize, spread, mid }`,
+   *   fields are null for an empty side
+   * @private
+   */
+  static _getOBTop (ob = [], raw = false) {
+    let bid = null
+    let bidSize = null
+    let ask = null
+    let askSize = null
+
+    ob.forEach((entry) => {
+      const isFunding = entry.length === 4
+      const price = +entry[raw ? (isFunding ? 2 : 1) : 0]
+      const amount = +entry[entry.length - 1]
+
+      if (isFunding ? amount < 0 : amount > 0) {
+        if (bid === null || price > bid) {
+          bid = price
+          bidSize = 0
+        }
+
+        if (price === bid) bidSize += Math.abs(amount)
+      } else {
+        if (ask === null || price < ask) {
+          ask = price
+          askSize = 0
+        }
+
+        if (price === ask) askSize += Math.abs(amount)
+      }
+    })
+
+    const hasBoth = bid !== null && ask !== null
+
+    return {
+      bid,
+      bidSize,
+      ask,
+      askSize,
+      spread: hasBoth ? ask - bid : null,
+      mid: hasBoth ? (ask + bid) / 2 : null
+    }
+  }
+
+  /**
+   * Drops the local copy of a book that failed checksum verification and
+   * re-subscribes to its channel to receive a fresh snapshot. Updates for the
+   * symbol are ignored until the snapshot arrives.
+   *
+   * @param {object} chanData - channel definition of the corrupt book
+   * @param {Error} err - checksum error that triggered the resync
+   * @returns {Promise} p
+   * @private
+   */
+  async _resyncOrderBook (chanData, err) {
+    const { symbol, prec, len, chanId } = chanData
+    const obKey = WSv2.getChannelIdentifier({ ...chanData, channel: 'book' })
+
+    if (this._resyncingOrderBooks[obKey]) {
+      return
+    }
+
+    debug('resyncing OB %s: %s', obKey, err.message)
+
+    this._resyncingOrderBooks[obKey] = true
+
+    delete this._orderBooks[obKey]
+    delete this._losslessOrderBooks[obKey]
+    delete this._orderBookTops[obKey]
+
+    this.emit('ob-resync-start', { symbol, prec, len, error: err })
+
+    // grab the original packet before the unsubscribe clears it
+    const packet = this._getSubscribePacket(chanId, chanData)
+
+    try {
+      await this.unsubscribe(chanId)
+      await this._sendSubscribe(packet)
+    } catch (resyncErr) {
+      delete this._resyncingOrderBooks[obKey]
+
+      debug('failed to resync OB %s: %s', obKey, resyncErr.message)
+      this.emit('error', new Error(
+        `failed to resync OB ${symbol}: ${resyncErr.message}`
+      ))
+    }
   }
 
   /**
+   * Resolves a managed book key from a symbol & optional prec/len selector.
+   * Unspecified selector fields match any book for the symbol, in which case
+   * the first one subscribed to is used.
+   *
+   * @param {object} books - _orderBooks or _losslessOrderBooks
    * @param {string} symbol - symbol for order book
+   * @param {object} [selector] - optional
+   * @param {string} [selector.prec] - precision
+   * @param {string|number} [selector.len] - length
+   * @returns {string} key - null if no book matches
+   * @private
+   */
+  _findManagedOBKey (books, symbol, selector) {
+    return WSv2._matchBookKeys(Object.keys(books), symbol, selector)[0] || null
+  }
+
+  /**
+   * Filters book keys (see {@link WSv2.getChannelIdentifier}) by symbol and
+   * optional prec/len selector. Unspecified selector fields match any book.
+   *
+   * @param {string[]} keys - book keys, optionally prefixed
+   * @param {string} symbol - symbol, with the same prefix as the keys
+   * @param {object} [selector] - optional
+   * @param {string} [selector.prec] - precision
+   * @param {string|number} [selector.len] - length
+   * @returns {string[]} keys - matching keys, in the original order
+   * @private
+   */
+  static _matchBookKeys (keys, symbol, { prec, len } = {}) {
+    const prefix = `${symbol}:`
+
+    return keys.filter((key) => {
+      if (!key.startsWith(prefix)) return false
+
+      const params = key.substring(prefix.length).split(':')
+
+      return params.length === 2 && (
+        (_isUndefined(prec) || params[0] === `${prec}`) &&
+        (_isUndefined(len) || params[1] === `${len}`)
+      )
+    })
+  }
+
+  /**
+   * Resolves the ref identifier of a subscribed order book. Omitted prec or
+   * len are taken from the one book subscribed for the symbol.
+   *
+   * @param {string} symbol - symbol of order book
+   * @param {object} [selector] - optional
+   * @param {string} [selector.prec] - precision
+   * @param {string|number} [selector.len] - length
+   * @returns {string} identifier - null if no book is subscribed
+   * @throws {Error} if prec or len are omitted and several books match
+   * @private
+   */
+  _resolveBookIdentifier (symbol, { prec, len } = {}) {
+    if (!_isUndefined(prec) && !_isUndefined(len)) {
+      return WSv2.getChannelIdentifier({ channel: 'book', symbol, prec, len })
+    }
+
+    const keys = WSv2._matchBookKeys(
+      Object.keys(this._subscriptionRefs), `book:${symbol}`, { prec, len }
+    )
+
+    if (keys.length > 1) {
+      throw new Error(
+        `several books subscribed for ${symbol}, specify prec & len`
+      )
+    }
+
+    return keys.length === 0 ? null : keys[0].substring('book:'.length)
+  }
+
+  /**
+   * @param {string} obKey - managed book key, see WSv2.getChannelIdentifier
    * @param {number[]|number[][]} data - incoming data
    * @param {boolean} raw - if true, the order book is considered R*
    * @param {string} rawMsg - source message JSON
    * @returns {Error} err - null on success
    * @private
    */
-  _updateManagedOB (symbol, data, raw, rawMsg) {
+  _updateManagedOB (obKey, data, raw, rawMsg) {
     // parse raw string with lossless parse which takes
     // the exact strict values rather than converting to floats
     // [0.00001, [1, 2, 3]] -> ['0.00001', ['1', '2', '3']]
@@ -866,30 +2242,30 @@ class WSv2 extends EventEmitter {
     // Snapshot, new OB. Note that we don't protect against duplicates, as they
     // could come in on re-sub
     if (Array.isArray(data[0])) {
-      this._orderBooks[symbol] = data
-      this._losslessOrderBooks[symbol] = losslessUpdate
+      this._orderBooks[obKey] = data
+      this._losslessOrderBooks[obKey] = losslessUpdate
       return null
     }
 
     // entry, needs to be applied to OB
-    if (!this._orderBooks[symbol]) {
-      return new Error(`recv update for unknown OB: ${symbol}`)
+    if (!this._orderBooks[obKey]) {
+      return new Error(`recv update for unknown OB: ${obKey}`)
     }
 
-    OrderBook.updateArrayOBWith(this._orderBooks[symbol], data, raw)
-    OrderBook.updateArrayOBWith(this._losslessOrderBooks[symbol], losslessUpdate, raw)
+    OrderBook.updateArrayOBWith(this._orderBooks[obKey], data, raw)
+    OrderBook.updateArrayOBWith(this._losslessOrderBooks[obKey], losslessUpdate, raw)
     return null
   }
 
   /**
-   * @param {string} symbol - symbol for order book
+   * @param {string} obKey - managed book key, see WSv2.getChannelIdentifier
    * @param {string} prec - precision
    * @param {number} cs - expected checksum
    * @returns {Error} err - null if none
    * @private
    */
-  _verifyManagedOBChecksum (symbol, prec, cs) {
-    const ob = this._losslessOrderBooks[symbol]
+  _verifyManagedOBChecksum (obKey, prec, cs) {
+    const ob = this._losslessOrderBooks[obKey]
 
     if (!ob) return null
 
@@ -904,11 +2280,18 @@ class WSv2 extends EventEmitter {
 
   /**
    * Returns an up-to-date copy of the order book for the specified symbol, or
-   * null if no OB is managed for that symbol.
+   * null if no OB is managed for that symbol. Books being resynced after a
+   * checksum mismatch are reported as null until the new snapshot arrives.
+   *
+   * If multiple books are subscribed for the symbol (i.e. P0 and R0), pass
+   * `prec` and/or `len` to select one; otherwise the first is returned.
    *
    * Set `managedOrderBooks: true` in the constructor to use.
    *
    * @param {string} symbol - symbol for order book
+   * @param {object} [opts] - optional book selector
+   * @param {string} [opts.prec] - precision, i.e. 'P0'
+   * @param {string|number} [opts.len] - length, i.e. 25
    * @returns {OrderBook} ob - null if not found
    * @example
    *   const ws = new WSv2({ managedOrderBooks: true })
@@ -928,10 +2311,12 @@ class WSv2 extends EventEmitter {
    *
    *   await ws.open()
    */
-  getOB (symbol) {
-    if (!this._orderBooks[symbol]) return null
+  getOB (symbol, opts) {
+    const obKey = this._findManagedOBKey(this._orderBooks, symbol, opts)
 
-    return new OrderBook(this._orderBooks[symbol])
+    if (!obKey) return null
+
+    return new OrderBook(this._orderBooks[obKey])
   }
 
   /**
@@ -942,12 +2327,17 @@ class WSv2 extends EventEmitter {
    * Set `manageOrderBooks: true` in the constructor to use.
    *
    * @param {string} symbol - symbol for order book
+   * @param {object} [opts] - optional book selector, see {@link WSv2#getOB}
+   * @param {string} [opts.prec] - precision, i.e. 'P0'
+   * @param {string|number} [opts.len] - length, i.e. 25
    * @returns {OrderBook} ob - null if not found
    */
-  getLosslessOB (symbol) {
-    if (!this._losslessOrderBooks[symbol]) return null
+  getLosslessOB (symbol, opts) {
+    const obKey = this._findManagedOBKey(this._losslessOrderBooks, symbol, opts)
+
+    if (!obKey) return null
 
-    return new OrderBook(this._losslessOrderBooks[symbol])
+    return new OrderBook(this._losslessOrderBooks[obKey])
   }
 
   /**
@@ -1036,70 +2426,248 @@ class WSv2 extends EventEmitter {
       data = [data] // always pass on an array of candles
     }
 
-    if (this._transform) {
-      data = Candle.unserialize(data)
-    }
+    if (this._transform) {
+      data = Candle.unserialize(data)
+    }
+
+    const internalMessage = [chanData.chanId, 'candle', data]
+    internalMessage.filterOverride = [chanData.key]
+
+    this._propagateMessageToListeners(internalMessage, chanData, false)
+    this.emit('candle', data, key)
+  }
+
+  /**
+   * Called for messages from a 'status' channel.
+   *
+   * @param {Array|Array[]} msg - incoming message
+   * @param {object} chanData - entry from _channelMap
+   * @private
+   */
+  _handleStatusMessage (msg, chanData) {
+    const { key } = chanData
+    const data = getMessagePayload(msg)
+
+    const internalMessage = [chanData.chanId, 'status', data]
+    internalMessage.filterOverride = [chanData.key]
+
+    this._propagateMessageToListeners(internalMessage, chanData, false)
+    this.emit('status', data, key)
+  }
+
+  /**
+   * Applies a snapshot or update to the managed candle set. With backfill
+   * enabled, snapshots are merged into the existing set, and gaps between
+   * the latest known candle & new data are fetched via RESTv2.
+   *
+   * @param {string} key - key for candle set
+   * @param {number[]|number[][]} data - incoming dataset (single or multiple)
+   * @returns {Error} err - null on success
+   * @private
+   */
+  _updateManagedCandles (key, data) {
+    if (Array.isArray(data[0])) { // snapshot, new candles
+      data.sort((a, b) => b[0] - a[0])
+
+      const prev = this._candles[key]
+
+      if (this._backfillCandles && prev && prev.length > 0) {
+        if (data.length > 0) {
+          this._checkCandleGap(key, prev[0][0], data[data.length - 1][0])
+        }
+
+        this._candles[key] = WSv2._mergeCandles(prev, data)
+      } else {
+        this._candles[key] = data
+      }
+
+      this._trimManagedCandles(key)
+      return null
+    }
+
+    // entry, needs to be applied to candle set
+    if (!this._candles[key]) {
+      return new Error(`recv update for unknown candles: ${key}`)
+    }
+
+    const candles = this._candles[key]
+    let updated = false
+
+    for (let i = 0; i < candles.length; i++) {
+      if (data[0] === candles[i][0]) {
+        candles[i] = data
+        updated = true
+        break
+      }
+    }
+
+    if (!updated) {
+      if (candles.length > 0) {
+        this._checkCandleGap(key, candles[0][0], data[0])
+      }
+
+      candles.unshift(data)
+      this._trimManagedCandles(key)
+    }
+
+    return null
+  }
+
+  /**
+   * Drops the oldest candles beyond the configured maxCandles
+   *
+   * @param {string} key - key for candle set
+   * @private
+   */
+  _trimManagedCandles (key) {
+    const candles = this._candles[key]
+
+    if (candles.length > this._maxCandles) {
+      candles.length = this._maxCandles
+    }
+  }
+
+  /**
+   * Merges candle sets by MTS, preferring candles from the update set
+   *
+   * @param {Array[]} candles - existing candles, sorted by MTS descending
+   * @param {Array[]} update - new candles
+   * @returns {Array[]} merged - sorted by MTS descending
+   * @private
+   */
+  static _mergeCandles (candles, update) {
+    const byMTS = {}
+
+    candles.forEach((c) => { byMTS[c[0]] = c })
+    update.forEach((c) => { byMTS[c[0]] = c })
+
+    return Object.values(byMTS).sort((a, b) => b[0] - a[0])
+  }
 
-    const internalMessage = [chanData.chanId, 'candle', data]
-    internalMessage.filterOverride = [chanData.key]
+  /**
+   * @param {string} key - candle set key, i.e. trade:1m:tBTCUSD
+   * @returns {object} info - `{ timeframe, symbol, width }`, width is the
+   *   timeframe in ms or undefined if not supported for backfills
+   * @private
+   */
+  static _parseCandleKey (key = '') {
+    const [, timeframe, ...symbol] = key.split(':')
 
-    this._propagateMessageToListeners(internalMessage, chanData, false)
-    this.emit('candle', data, key)
+    return {
+      timeframe,
+      symbol: symbol.join(':'),
+      width: CANDLE_TIMEFRAME_WIDTHS[timeframe]
+    }
   }
 
   /**
-   * Called for messages from a 'status' channel.
+   * Starts a backfill if candles are missing between the latest known candle
+   * and the next one received. Parts of the gap already being fetched are
+   * skipped.
    *
-   * @param {Array|Array[]} msg - incoming message
-   * @param {object} chanData - entry from _channelMap
+   * @param {string} key - key for candle set
+   * @param {number} lastMTS - latest known candle MTS
+   * @param {number} nextMTS - MTS of the next received candle
    * @private
    */
-  _handleStatusMessage (msg, chanData) {
-    const { key } = chanData
-    const data = getMessagePayload(msg)
+  _checkCandleGap (key, lastMTS, nextMTS) {
+    if (!this._backfillCandles) {
+      return
+    }
 
-    const internalMessage = [chanData.chanId, 'status', data]
-    internalMessage.filterOverride = [chanData.key]
+    const { width } = WSv2._parseCandleKey(key)
 
-    this._propagateMessageToListeners(internalMessage, chanData, false)
-    this.emit('status', data, key)
+    if (!width || nextMTS - lastMTS <= width) {
+      return
+    }
+
+    const inFlight = this._candleBackfills[key] || []
+    let start = lastMTS + width
+    let end = nextMTS - width
+
+    inFlight.forEach((range) => {
+      if (start >= range.start && start <= range.end) {
+        start = range.end + width
+      }
+
+      if (end >= range.start && end <= range.end) {
+        end = range.start - width
+      }
+    })
+
+    if (start > end) {
+      debug('backfill for %s already in flight', key)
+      return
+    }
+
+    this._backfillManagedCandles(key, start, end)
   }
 
   /**
+   * Fetches candles in the specified range via RESTv2 and merges them into
+   * the managed set. Requests are rate limited by the backfill throttler, and
+   * the range is tracked as in flight until the request completes. Emits
+   * `candles-backfilled` on success.
+   *
    * @param {string} key - key for candle set
-   * @param {number[]|number[][]} data - incoming dataset (single or multiple)
-   * @returns {Error} err - null on success
+   * @param {number} start - MTS of the first missing candle
+   * @param {number} end - MTS of the last missing candle
+   * @returns {Promise} p
    * @private
    */
-  _updateManagedCandles (key, data) {
-    if (Array.isArray(data[0])) { // snapshot, new candles
-      data.sort((a, b) => b[0] - a[0])
+  async _backfillManagedCandles (key, start, end) {
+    const { timeframe, symbol } = WSv2._parseCandleKey(key)
 
-      this._candles[key] = data
-      return null
+    debug('backfilling candles for %s from %d to %d', key, start, end)
+
+    if (!this._rest) {
+      this._rest = new RESTv2({ transform: false })
     }
 
-    // entry, needs to be applied to candle set
-    if (!this._candles[key]) {
-      return new Error(`recv update for unknown candles: ${key}`)
+    const range = { start, end }
+    let candles
+
+    if (!this._candleBackfills[key]) {
+      this._candleBackfills[key] = []
     }
 
-    const candles = this._candles[key]
-    let updated = false
+    this._candleBackfills[key].push(range)
 
-    for (let i = 0; i < candles.length; i++) {
-      if (data[0] === candles[i][0]) {
-        candles[i] = data
-        updated = true
-        break
-      }
+    try {
+      candles = await this._backfillThrottler.add(() => this._rest.candles({
+        timeframe,
+        symbol,
+        section: 'hist',
+        query: { start, end, limit: MAX_BACKFILL_CANDLES, sort: 1 }
+      }))
+    } catch (e) {
+      this.emit('error', new Error(
+        `failed to backfill candles for ${key}: ${e.message}`
+      ))
+
+      return
+    } finally {
+      this._candleBackfills[key] = this._candleBackfills[key].filter(r => (
+        r !== range
+      ))
     }
 
-    if (!updated) {
-      candles.unshift(data)
+    const data = (candles || []).map(c => (
+      Array.isArray(c) ? c : c.serialize()
+    ))
+
+    const current = this._candles[key]
+
+    if (current) { // merged in-place, references from getCandles() stay valid
+      const merged = WSv2._mergeCandles(data, current)
+
+      current.length = 0
+      merged.forEach(c => current.push(c))
+
+      this._trimManagedCandles(key)
     }
 
-    return null
+    this.emit('candles-backfilled', { key, start, end, count: data.length })
   }
 
   /**
@@ -1129,12 +2697,174 @@ class WSv2 extends EventEmitter {
     return this._candles[key] || []
   }
 
+  /**
+   * Applies an auth channel snapshot/update to the managed account state, and
+   * emits the change event for the affected collection. Packets that don't
+   * affect any collection are ignored.
+   *
+   * @param {string} type - packet type, i.e. 'os'
+   * @param {Array|Array[]} data - packet payload
+   * @private
+   */
+  _updateAccountState (type, data) {
+    if (!data) return
+
+    const name = Object.keys(ACCOUNT_STATE_COLLECTIONS).find((collection) => {
+      const { snapshot, update, remove } = ACCOUNT_STATE_COLLECTIONS[collection]
+      return type === snapshot || _includes(update, type) || _includes(remove, type)
+    })
+
+    if (!name) return
+
+    const { model: Model, event, getKey, snapshot, remove } = ACCOUNT_STATE_COLLECTIONS[name]
+
+    if (type === snapshot) {
+      this._accountState[name] = {}
+
+      data.forEach((item) => {
+        this._accountState[name][getKey(item)] = item
+      })
+
+      this.emit(event, {
+        action: 'snapshot',
+        data: data.map(item => new Model(item))
+      })
+
+      return
+    }
+
+    if (!this._accountState[name]) {
+      this._accountState[name] = {}
+    }
+
+    if (_includes(remove, type)) {
+      delete this._accountState[name][getKey(data)]
+    } else {
+      this._accountState[name][getKey(data)] = data
+    }
+
+    this.emit(event, {
+      action: _includes(remove, type) ? 'remove' : 'update',
+      data: new Model(data)
+    })
+  }
+
+  /**
+   * Returns models for all items in a managed account state collection that
+   * match the filter.
+   *
+   * @param {string} name - collection name, i.e. 'orders'
+   * @param {object} [filter] - model field values to match
+   * @returns {Array} items - empty if none are managed
+   * @private
+   */
+  _getAccountStateItems (name, filter = {}) {
+    const { model: Model } = ACCOUNT_STATE_COLLECTIONS[name]
+    const items = this._accountState[name] || {}
+    const filterKeys = Object.keys(filter)
+
+    return Object.keys(items)
+      .map(key => new Model(items[key]))
+      .filter(item => filterKeys.every(key => item[key] === filter[key]))
+  }
+
+  /**
+   * Returns the open orders tracked from the auth channel.
+   * Set `manageAccountState: true` in the constructor to use; the collection
+   * is populated once authenticated.
+   *
+   * Emits `orders-changed` with `{ action, data }` on each change, where
+   * action is one of 'snapshot', 'update' or 'remove'.
+   *
+   * @param {object} [filter] - optional
+   * @param {string} [filter.symbol] - only return orders for this symbol
+   * @returns {Order[]} orders
+   * @example
+   *   const ws = new WSv2({ apiKey, apiSecret, manageAccountState: true })
+   *
+   *   ws.on('orders-changed', () => {
+   *     const orders = ws.getOrders({ symbol: 'tBTCUSD' })
+   *     console.log('%d open tBTCUSD orders', orders.length)
+   *   })
+   *
+   *   await ws.open()
+   *   await ws.auth()
+   */
+  getOrders (filter) {
+    return this._getAccountStateItems('orders', filter)
+  }
+
+  /**
+   * Returns the open positions tracked from the auth channel. Emits
+   * `positions-changed` on each change.
+   *
+   * @param {object} [filter] - optional
+   * @param {string} [filter.symbol] - only return the position for this symbol
+   * @returns {Position[]} positions
+   */
+  getPositions (filter) {
+    return this._getAccountStateItems('positions', filter)
+  }
+
+  /**
+   * Returns the wallets tracked from the auth channel. Emits `wallets-changed`
+   * on each change.
+   *
+   * @param {object} [filter] - optional
+   * @param {string} [filter.type] - wallet type, i.e. 'exchange'
+   * @param {string} [filter.currency] - wallet currency, i.e. 'USD'
+   * @returns {Wallet[]} wallets
+   */
+  getWallets (filter) {
+    return this._getAccountStateItems('wallets', filter)
+  }
+
+  /**
+   * Returns the active funding offers tracked from the auth channel. Emits
+   * `funding-offers-changed` on each change.
+   *
+   * @param {object} [filter] - optional
+   * @param {string} [filter.symbol] - only return offers for this symbol
+   * @returns {FundingOffer[]} offers
+   */
+  getFundingOffers (filter) {
+    return this._getAccountStateItems('fundingOffers', filter)
+  }
+
+  /**
+   * Returns the active funding credits tracked from the auth channel. Emits
+   * `funding-credits-changed` on each change.
+   *
+   * @param {object} [filter] - optional
+   * @param {string} [filter.symbol] - only return credits for this symbol
+   * @returns {FundingCredit[]} credits
+   */
+  getFundingCredits (filter) {
+    return this._getAccountStateItems('fundingCredits', filter)
+  }
+
+  /**
+   * Returns the active funding loans tracked from the auth channel. Emits
+   * `funding-loans-changed` on each change.
+   *
+   * @param {object} [filter] - optional
+   * @param {string} [filter.symbol] - only return loans for this symbol
+   * @returns {FundingLoan[]} loans
+   */
+  getFundingLoans (filter) {
+    return this._getAccountStateItems('fundingLoans', filter)
+  }
+
   /**
    * @param {Array} msg - incoming message
    * @param {object} chanData - channel data
    * @private
    */
   _handleAuthMessage (msg, chanData) {
+    if (this._manageAccountState) {
+      this._updateAccountState(msg[1], getMessagePayload(msg))
+    }
+
     if (msg[1] === 'n') {
       const payload = getMessagePayload(msg)
 
@@ -1317,6 +3047,10 @@ class WSv2 extends EventEmitter {
   _handlePongEvent (msg) {
     debug('pong: %s', JSON.stringify(msg))
 
+    if (msg.cid) {
+      this._eventCallbacks.trigger(this._getPingEventKey(msg.cid), null, msg)
+    }
+
     this.emit('pong', msg)
   }
 
@@ -1327,6 +3061,20 @@ class WSv2 extends EventEmitter {
   _handleErrorEvent (msg) {
     debug('error: %s', JSON.stringify(msg))
 
+    if (msg.channel) {
+      const sub = this._takePendingSubscription(msg)
+
+      if (sub) {
+        sub.cb(new Error(`subscribe failed: ${msg.msg} (${msg.code})`))
+      }
+    } else if (!_isUndefined(msg.chanId)) {
+      const unsub = this._takePendingUnsubscription(msg.chanId)
+
+      if (unsub) {
+        unsub.cb(new Error(`unsubscribe failed: ${msg.msg} (${msg.code})`))
+      }
+    }
+
     this.emit('error', msg)
   }
 
@@ -1360,10 +3108,20 @@ class WSv2 extends EventEmitter {
    * @private
    */
   _handleSubscribedEvent (msg) {
+    const sub = this._takePendingSubscription(msg)
+
     this._channelMap[msg.chanId] = msg
 
+    if (sub) {
+      this._subscribePayloads[msg.chanId] = sub.packet
+    }
+
     debug('subscribed to %s [%d]', msg.channel, msg.chanId)
     this.emit('subscribed', msg)
+
+    if (sub) {
+      sub.cb(null, msg)
+    }
   }
 
   /**
@@ -1371,9 +3129,18 @@ class WSv2 extends EventEmitter {
    * @private
    */
   _handleUnsubscribedEvent (msg) {
+    const chanData = this._channelMap[msg.chanId]
+    const unsub = this._takePendingUnsubscription(msg.chanId)
+
     delete this._channelMap[msg.chanId]
+    delete this._subscribePayloads[msg.chanId]
+    delete this._transferredChanIds[msg.chanId]
     debug('unsubscribed from %d', msg.chanId)
     this.emit('unsubscribed', msg)
+
+    if (unsub) {
+      unsub.cb(null, chanData || msg)
+    }
   }
 
   /**
@@ -1419,14 +3186,12 @@ class WSv2 extends EventEmitter {
 
   /**
    * Subscribes and tracks subscriptions per channel/identifier pair. If
-   * already subscribed to the specified pair, nothing happens.
+   * already subscribed to the specified pair, only the ref count is increased.
    *
    * @param {string} channel - channel name
    * @param {string} identifier - for uniquely identifying the ref count
    * @param {object} payload - merged with sub packet
-   * @returns {boolean} subSent
-   * @todo will be refactored to return promise from subscribe() call instead
-   *   of sub action taken flag
+   * @returns {Promise} p - resolves with the channel data once subscribed
    * @see WSv2#subscribeTrades
    * @see WSv2#subscribeTicker
    * @see WSv2#subscribeCandles
@@ -1439,7 +3204,9 @@ class WSv2 extends EventEmitter {
    *     console.log('recv trades: %j', trades)
    *  })
    *
-   *   ws.managedSubscribe('trades', 'tBTCUSD', { symbol: 'tBTCUSD' })
+   *   const { chanId } = await ws.managedSubscribe('trades', 'tBTCUSD', {
+   *     symbol: 'tBTCUSD'
+   *   })
    * })
    *
    * await ws.open()
@@ -1449,13 +3216,25 @@ class WSv2 extends EventEmitter {
 
     if (this._subscriptionRefs[key]) {
       this._subscriptionRefs[key]++
-      return false
+
+      return this._pendingManagedSubscriptions[key] || Promise.resolve(
+        this._channelMap[this._chanIdByIdentifier(channel, identifier)] || null
+      )
     }
 
     this._subscriptionRefs[key] = 1
-    this.subscribe(channel, payload)
 
-    return true
+    const p = this.subscribe(channel, payload)
+
+    p.catch(() => {
+      delete this._subscriptionRefs[key]
+    }).finally(() => {
+      delete this._pendingManagedSubscriptions[key]
+    })
+
+    this._pendingManagedSubscriptions[key] = p
+
+    return p
   }
 
   /**
@@ -1463,21 +3242,63 @@ class WSv2 extends EventEmitter {
    * unsubscribes from the channel if it reaches 0.
    *
    * @param {string} channel - channel name
-   * @param {string} identifier - for uniquely identifying the ref count
-   * @returns {boolean} unsubSent
+   * @param {string} identifier - for uniquely identifying the ref count; for
+   *   books, a symbol resolves to the one book subscribed for it
+   * @returns {Promise} p - resolves with the channel data once unsubscribed,
+   *   immediately if other refs remain, or with null if not subscribed
+   * @throws {Error} if a book symbol matches several subscribed books
    */
   managedUnsubscribe (channel = '', identifier = '') {
+    if (channel === 'book' && !this._subscriptionRefs[`book:${identifier}`]) {
+      identifier = this._resolveBookIdentifier(identifier) || identifier
+    }
+
     const key = `${channel}:${identifier}`
     const chanId = this._chanIdByIdentifier(channel, identifier)
 
-    if (chanId === null || isNaN(this._subscriptionRefs[key])) return false
+    if (chanId === null || isNaN(this._subscriptionRefs[key])) {
+      return Promise.resolve(null)
+    }
 
     this._subscriptionRefs[key]--
-    if (this._subscriptionRefs[key] > 0) return false
+    if (this._subscriptionRefs[key] > 0) {
+      return Promise.resolve(this._channelMap[chanId])
+    }
 
-    this.unsubscribe(chanId)
     delete this._subscriptionRefs[key]
 
+    return this.unsubscribe(chanId)
+  }
+
+  /**
+   * Hands the subscription refs for a channel/identifier pair over to another
+   * instance subscribed to the same channel, i.e. when moving a channel
+   * between connections. A single ref is kept, to be released with
+   * {@link WSv2#managedUnsubscribe}; until the channel is unsubscribed, its
+   * messages are dropped here, as the target now delivers them.
+   *
+   * @param {string} channel - channel name
+   * @param {string} identifier - for uniquely identifying the ref count
+   * @param {WSv2} target - instance to take over the refs
+   * @returns {boolean} transferred - false if there are no refs to transfer
+   * @see WSv2#managedSubscribe
+   */
+  transferSubscriptionRefs (channel, identifier, target) {
+    const key = `${channel}:${identifier}`
+    const refs = this._subscriptionRefs[key]
+    const chanId = this._chanIdByIdentifier(channel, identifier)
+
+    if (!refs) {
+      return false
+    }
+
+    target._subscriptionRefs[key] = refs
+    this._subscriptionRefs[key] = 1
+
+    if (chanId !== null) {
+      this._transferredChanIds[chanId] = true
+    }
+
     return true
   }
 
@@ -1489,14 +3310,52 @@ class WSv2 extends EventEmitter {
    * @param {string} opts.channel - channel name
    * @param {string} [opts.symbol] - match by symbol
    * @param {string} [opts.key] - match by key (for candle channels)
-   * @returns {object} chanData - null if not found
-   */
-  getChannelData ({ chanId, channel, symbol, key }) {
-    const id = chanId || this._chanIdByIdentifier(channel, symbol || key)
+   * @param {string} [opts.prec] - match by precision (for book channels)
+   * @param {string} [opts.len] - match by length (for book channels)
+   * @returns {object} chanData - null if not found; for books without prec
+   *   & len, the first book for the symbol
+   */
+  getChannelData ({ chanId, channel, symbol, key, prec, len }) {
+    if (chanId) {
+      return this._channelMap[chanId] || null
+    }
+
+    if (channel === 'book' && (_isUndefined(prec) || _isUndefined(len))) {
+      return Object.values(this._channelMap).find(chan => (
+        chan.channel === 'book' &&
+        chan.symbol === symbol &&
+        (_isUndefined(prec) || chan.prec === prec) &&
+        (_isUndefined(len) || `${chan.len}` === `${len}`)
+      )) || null
+    }
+
+    const id = this._chanIdByIdentifier(channel, WSv2.getChannelIdentifier({
+      channel, symbol, key, prec, len
+    }))
 
     return this._channelMap[id] || null
   }
 
+  /**
+   * Returns the identifier used to ref count subscriptions to a data channel.
+   * Order book channels are identified by symbol, precision & length, so
+   * several books for one symbol can be subscribed side by side.
+   *
+   * @param {object} chanData - channel data or subscribe packet
+   * @param {string} chanData.channel - channel name
+   * @param {string} [chanData.symbol] - symbol
+   * @param {string} [chanData.key] - key (for candle & status channels)
+   * @param {string} [chanData.prec] - book precision
+   * @param {string|number} [chanData.len] - book length
+   * @returns {string} identifier - i.e. 'tBTCUSD', 'trade:1m:tBTCUSD' or
+   *   'tBTCUSD:P0:25'; also the key of managed books
+   */
+  static getChannelIdentifier ({ channel, symbol, key, prec = '', len = '' }) {
+    return channel === 'book'
+      ? `${symbol}:${prec}:${len}`
+      : key || symbol
+  }
+
   /**
    * @param {string} channel - channel name
    * @param {string} identifier - unique identifier for the channel
@@ -1510,10 +3369,10 @@ class WSv2 extends EventEmitter {
     for (let i = 0; i < channelIds.length; i++) {
       chan = this._channelMap[channelIds[i]]
 
-      if (chan.channel === channel && (
-        chan.symbol === identifier ||
-        chan.key === identifier
-      )) {
+      if (
+        chan.channel === channel &&
+        WSv2.getChannelIdentifier(chan) === identifier
+      ) {
         return channelIds[i]
       }
     }
@@ -1541,6 +3400,9 @@ class WSv2 extends EventEmitter {
   /**
    * Send a packet to the WS server
    *
+   * All raw frames sent & received are also emitted as `frame` events, with
+   * the direction ('in' or 'out') and the frame JSON; see {@link WS2Recorder}
+   *
    * @param {*} msg - packet, gets stringified
    */
   send (msg) {
@@ -1549,8 +3411,15 @@ class WSv2 extends EventEmitter {
     } else if (this._isClosing) {
       this.emit('error', new Error('connection currently closing'))
     } else {
-      debug('sending %j', msg)
-      this._ws.send(JSON.stringify(msg))
+      const json = JSON.stringify(msg)
+
+      debug('sending %s', json)
+
+      this.emit('frame', 'out', json)
+      this._ws.send(json)
+
+      this._stats.messagesOut++
+      this._stats.bytesOut += Buffer.byteLength(json)
     }
   }
 
@@ -1610,7 +3479,7 @@ class WSv2 extends EventEmitter {
    * @private
    */
   sendEnabledFlags () {
-    this.send({
+    this._sendQueue.push('conf', {
       event: 'conf',
       flags: this._enabledFlags
     })
@@ -1667,10 +3536,14 @@ class WSv2 extends EventEmitter {
   }
 
   /**
-   * Subscribe to a channel with the given filter payload
+   * Subscribe to a channel with the given filter payload. The returned promise
+   * resolves with the channel data once the server confirms the subscription,
+   * and rejects if the server responds with an error, the confirmation does
+   * not arrive within `subscribeTimeout`, or the connection closes.
    *
    * @param {string} channel - channel payload/data
    * @param {object} payload - optional extra packet data
+   * @returns {Promise} p - resolves with channel data (chanId, symbol, etc)
    * @example
    * const ws = new WSv2()
    *
@@ -1685,7 +3558,7 @@ class WSv2 extends EventEmitter {
    * await ws.open()
    */
   subscribe (channel, payload) {
-    this.send(Object.assign({
+    return this._sendSubscribe(Object.assign({
       event: 'subscribe',
       channel
     }, payload))
@@ -1695,12 +3568,12 @@ class WSv2 extends EventEmitter {
    * Subscribe to a ticker data channel
    *
    * @param {string} symbol - symbol of ticker
-   * @returns {boolean} subscribed
+   * @returns {Promise} p - resolves with channel data once subscribed
    * @see WSv2#managedSubscribe
    * @example
    * await ws.subscribeTicker('tBTCUSD')
    */
-  async subscribeTicker (symbol) {
+  subscribeTicker (symbol) {
     return this.managedSubscribe('ticker', symbol, { symbol })
   }
 
@@ -1708,12 +3581,12 @@ class WSv2 extends EventEmitter {
    * Subscribe to a trades data channel
    *
    * @param {string} symbol - symbol of market to monitor
-   * @returns {boolean} subscribed
+   * @returns {Promise} p - resolves with channel data once subscribed
    * @see WSv2#managedSubscribe
    * @example
    * await ws.subscribeTrades('tBTCUSD')
    */
-  async subscribeTrades (symbol) {
+  subscribeTrades (symbol) {
     return this.managedSubscribe('trades', symbol, { symbol })
   }
 
@@ -1723,25 +3596,29 @@ class WSv2 extends EventEmitter {
    * @param {string} symbol - symbol of order book
    * @param {string} prec - P0, P1, P2, or P3 (default P0)
    * @param {string} len - 25 or 100 (default 25)
-   * @returns {boolean} subscribed
+   * @returns {Promise} p - resolves with channel data once subscribed
    * @see WSv2#managedSubscribe
    * @example
    * await ws.subscribeOrderBook('tBTCUSD', 'R0', '25')
    */
-  async subscribeOrderBook (symbol, prec = 'P0', len = '25') {
-    return this.managedSubscribe('book', symbol, { symbol, len, prec })
+  subscribeOrderBook (symbol, prec = 'P0', len = '25') {
+    const identifier = WSv2.getChannelIdentifier({
+      channel: 'book', symbol, prec, len
+    })
+
+    return this.managedSubscribe('book', identifier, { symbol, len, prec })
   }
 
   /**
    * Subscribe to a candle data channel
    *
    * @param {string} key - 'trade:5m:tBTCUSD'
-   * @returns {boolean} subscribed
+   * @returns {Promise} p - resolves with channel data once subscribed
    * @see WSv2#managedSubscribe
    * @example
    * await ws.subscribeCandles('trade:5m:tBTCUSD')
    */
-  async subscribeCandles (key) {
+  subscribeCandles (key) {
     return this.managedSubscribe('candles', key, { key })
   }
 
@@ -1749,43 +3626,43 @@ class WSv2 extends EventEmitter {
    * Subscribe to a status data channel
    *
    * @param {string} key - i.e. 'liq:global'
-   * @returns {boolean} subscribed
+   * @returns {Promise} p - resolves with channel data once subscribed
    * @see WSv2#managedSubscribe
    * @example
    * await ws.subscribeStatus('liq:global')
    */
-  async subscribeStatus (key) {
+  subscribeStatus (key) {
     return this.managedSubscribe('status', key, { key })
   }
 
   /**
-   * Unsubscribe from a channel by ID
+   * Unsubscribe from a channel by ID. The returned promise resolves with the
+   * channel data once the server confirms, and rejects on error, timeout or if
+   * the connection closes.
    *
    * @param {number} chanId - ID of channel to unsubscribe from
+   * @returns {Promise} p - resolves with channel data once unsubscribed
    * @example
    * const id = ws.getDataChannelId('ticker', { symbol: 'tBTCUSD' })
    *
    * if (id) {
-   *   ws.unsubscribe(id)
+   *   await ws.unsubscribe(id)
    * }
    */
   unsubscribe (chanId) {
-    this.send({
-      event: 'unsubscribe',
-      chanId: +chanId
-    })
+    return this._sendUnsubscribe(+chanId)
   }
 
   /**
    * Unsubscribe from a ticker data channel
    *
    * @param {string} symbol - symbol of ticker
-   * @returns {boolean} unsubscribed
+   * @returns {Promise} p - resolves with channel data once unsubscribed
    * @see WSv2#subscribeTicker
    * @example
    * await ws.unsubscribeTicker('tBTCUSD')
    */
-  async unsubscribeTicker (symbol) {
+  unsubscribeTicker (symbol) {
     return this.managedUnsubscribe('ticker', symbol)
   }
 
@@ -1793,12 +3670,12 @@ class WSv2 extends EventEmitter {
    * Unsubscribe from a trades data channel
    *
    * @param {string} symbol - symbol of market to unsubscribe from
-   * @returns {boolean} unsubscribed
+   * @returns {Promise} p - resolves with channel data once unsubscribed
    * @see WSv2#subscribeTrades
    * @example
    * await ws.unsubcribeTrades('tBTCUSD')
    */
-  async unsubscribeTrades (symbol) {
+  unsubscribeTrades (symbol) {
     return this.managedUnsubscribe('trades', symbol)
   }
 
@@ -1806,33 +3683,43 @@ class WSv2 extends EventEmitter {
    * Unsubscribe from an order book data channel
    *
    * @param {string} symbol - symbol of order book
-   * @returns {boolean} unsubscribed
+   * @param {string} [prec] - precision of the book, if omitted taken from the
+   *   one book subscribed for the symbol
+   * @param {string} [len] - length of the book, if omitted taken from the
+   *   one book subscribed for the symbol
+   * @returns {Promise} p - resolves with channel data once unsubscribed, or
+   *   with null if not subscribed
+   * @throws {Error} if prec or len are omitted and several books match
    * @see WSv2#subscribeOrderBook
    * @example
-   * await ws.unsubcribeOrderBook('tBTCUSD')
+   * await ws.unsubcribeOrderBook('tBTCUSD', 'R0', '25')
    */
-  async unsubscribeOrderBook (symbol) {
-    return this.managedUnsubscribe('book', symbol)
+  unsubscribeOrderBook (symbol, prec, len) {
+    const identifier = this._resolveBookIdentifier(symbol, { prec, len })
+
+    return identifier === null
+      ? Promise.resolve(null)
+      : this.managedUnsubscribe('book', identifier)
   }
 
   /**
    * @param {string} symbol - symbol of candles
    * @param {string} frame - time frame
-   * @returns {boolean} unsubscribed
+   * @returns {Promise} p - resolves with channel data once unsubscribed
    * @see WSv2#subscribeCandles
    * @example
    *   await ws.unsubscribeCandles('tBTCUSD', '1m')
    */
-  async unsubscribeCandles (symbol, frame) {
+  unsubscribeCandles (symbol, frame) {
     return this.managedUnsubscribe('candles', `trade:${frame}:${symbol}`)
   }
 
   /**
    * @param {string} key - key that was used in initial {@link WSv2#subscribeStatus} call
-   * @returns {boolean} unsubscribed
+   * @returns {Promise} p - resolves with channel data once unsubscribed
    * @see WSv2#subscribeStatus
    */
-  async unsubscribeStatus (key) {
+  unsubscribeStatus (key) {
     return this.managedUnsubscribe('status', key)
   }
 
@@ -1863,7 +3750,7 @@ class WSv2 extends EventEmitter {
   }
 
   /**
-   * Throttled call to ws.send, max 8 op/s
+   * Rate limited call to ws.send, max 8 op/s by default
    *
    * @param {Array} msg - message
    * @private
@@ -1871,7 +3758,19 @@ class WSv2 extends EventEmitter {
   _sendCalc (msg) {
     debug('req calc: %j', msg)
 
-    this._ws.send(JSON.stringify(msg))
+    this._sendQueue.push('calc', msg)
+  }
+
+  /**
+   * Returns the state of the outgoing message queue for each rate limit
+   * category that has been used.
+   *
+   * @returns {object} metrics - `{ [category]: { limit, depth, maxDepth, sent } }`,
+   *   where depth is the number of currently queued messages
+   * @see WSv2#constructor opts.sendRateLimits
+   */
+  getSendQueueMetrics () {
+    return this._sendQueue.getMetrics()
   }
 
   /**
@@ -1919,7 +3818,11 @@ class WSv2 extends EventEmitter {
 
     this._sendOrderPacket([0, 'on', null, packet])
 
-    return this._getEventPromise(`order-new-${packet.cid}`)
+    return this._getOrderOpPromise(`order-new-${packet.cid}`, {
+      type: 'on',
+      cid: packet.cid,
+      symbol: packet.symbol
+    })
   }
 
   /**
@@ -1943,7 +3846,7 @@ class WSv2 extends EventEmitter {
 
     this._sendOrderPacket([0, 'ou', null, changes])
 
-    return this._getEventPromise(`order-update-${id}`)
+    return this._getOrderOpPromise(`order-update-${id}`, { type: 'ou', id })
   }
 
   /**
@@ -1970,7 +3873,61 @@ class WSv2 extends EventEmitter {
     debug(`cancelling order ${id}`)
     this._sendOrderPacket([0, 'oc', null, { id }])
 
-    return this._getEventPromise(`order-cancel-${id}`)
+    return this._getOrderOpPromise(`order-cancel-${id}`, { type: 'oc', id })
+  }
+
+  /**
+   * Returns the order operations sent via {@link WSv2#submitOrder},
+   * {@link WSv2#updateOrder} or {@link WSv2#cancelOrder} that have not been
+   * confirmed yet.
+   *
+   * @returns {object[]} ops - `{ type, id, cid, symbol, ts }`, where type is
+   *   the packet type ('on', 'ou' or 'oc') and ts the time of the request
+   */
+  getPendingOrderOps () {
+    return this._pendingOrderOps.map(({ op }) => ({ ...op }))
+  }
+
+  /**
+   * Tracks an order operation until its confirmation notification arrives,
+   * the configured op timeout expires, or the connection closes. An
+   * `order-op` event is emitted once settled, with the op details, latency
+   * (ms) and error (null on success).
+   *
+   * @param {string} key - event callback key for the op notification
+   * @param {object} opDetails - op details, exposed via getPendingOrderOps()
+   * @returns {Promise} p - resolves with the notification payload
+   * @private
+   */
+  _getOrderOpPromise (key, opDetails) {
+    const op = { ...opDetails, ts: Date.now() }
+    const pendingOp = { key, op }
+    let timeout = null
+
+    this._pendingOrderOps.push(pendingOp)
+
+    if (this._orderOpTimeoutDelay > 0) {
+      timeout = setTimeout(() => {
+        this._eventCallbacks.trigger(key, new OrderOpTimeoutError(
+          `${op.type} op timed out after ${this._orderOpTimeoutDelay}ms`, op
+        ))
+      }, this._orderOpTimeoutDelay)
+    }
+
+    const settle = (error) => {
+      clearTimeout(timeout)
+
+      this._pendingOrderOps = this._pendingOrderOps.filter(o => o !== pendingOp)
+      this.emit('order-op', { ...op, latency: Date.now() - op.ts, error })
+    }
+
+    return this._getEventPromise(key).then((res) => {
+      settle(null)
+      return res
+    }, (err) => {
+      settle(err)
+      throw err
+    })
   }
 
   /**
@@ -1995,10 +3952,12 @@ class WSv2 extends EventEmitter {
 
   /**
    * Sends the op payloads to the server as an 'ox_multi' command. A promise is
-   * returned and resolves immediately if authenticated, as no confirmation is
-   * available for this message type.
+   * returned and resolves immediately if authenticated; the individual ops are
+   * tracked, so promises returned by {@link WSv2#submitOrder},
+   * {@link WSv2#updateOrder} & {@link WSv2#cancelOrder} for buffered ops
+   * settle once the server responds to the packet.
    *
-   * @param {object[]} opPayloads - order operations
+   * @param {Array[]} opPayloads - order operations, i.e. [['oc', { id }]]
    * @returns {Promise} p - rejects if not authenticated
    */
   async submitOrderMultiOp (opPayloads) {
@@ -2006,8 +3965,8 @@ class WSv2 extends EventEmitter {
       throw new Error('not authenticated')
     }
 
-    // TODO: multi-op tracking
-    this.send([0, 'ox_multi', null, opPayloads])
+    this._pendingMultiOps.push(opPayloads)
+    this._sendQueue.push('orderOps', [0, 'ox_multi', null, opPayloads])
   }
 
   /**
@@ -2019,7 +3978,9 @@ class WSv2 extends EventEmitter {
       this._ensureOrderBuffTimeout()
       this._orderOpBuffer.push(packet)
     } else {
-      this.send(packet)
+      this._sendQueue.push('orderOps', packet, {
+        priority: _includes(PRIORITY_ORDER_OPS, packet[1])
+      })
     }
   }
 
@@ -2037,15 +3998,15 @@ class WSv2 extends EventEmitter {
   _ensureOrderBuffTimeout () {
     if (this._orderOpTimeout !== null) return
 
-    this._orderOpTimeout = setTimeout(
-      this._flushOrderOps.bind(this),
-      this._orderOpBufferDelay
-    )
+    this._orderOpTimeout = setTimeout(() => {
+      this._flushOrderOps().catch(() => {}) // ops are rejected individually
+    }, this._orderOpBufferDelay)
   }
 
   /**
    * Splits the op buffer into packets of max 15 ops each, and sends them down
-   * the wire.
+   * the wire. If a packet can't be sent, the promises of its ops are rejected
+   * with the error.
    *
    * @returns {Promise} p - resolves after send
    * @private
@@ -2054,18 +4015,18 @@ class WSv2 extends EventEmitter {
     this._orderOpTimeout = null
 
     const packets = this._orderOpBuffer.map(p => [p[1], p[3]])
-    this._orderOpBuffer = []
+    const promises = []
 
-    if (packets.length <= 15) {
-      return this.submitOrderMultiOp(packets)
-    }
+    this._orderOpBuffer = []
 
-    const promises = []
+    do {
+      const opPackets = packets.splice(0, 15)
 
-    while (packets.length > 0) {
-      const opPackets = packets.splice(0, Math.min(packets.length, 15))
-      promises.push(this.submitOrderMultiOp(opPackets))
-    }
+      promises.push(this.submitOrderMultiOp(opPackets).catch((err) => {
+        this._failOrderOps(opPackets, err)
+        throw err
+      }))
+    } while (packets.length > 0)
 
     return Promise.all(promises)
   }
@@ -2231,6 +4192,37 @@ class WSv2 extends EventEmitter {
     }, OrderBook, cbGID, cb)
   }
 
+  /**
+   * Register a handler to be called when the best bid, best ask or either of
+   * their sizes change on a managed order book. Unlike
+   * {@link WSv2#onOrderBook}, level updates that leave the top of the book
+   * untouched are not reported.
+   *
+   * Requires `manageOrderBooks: true` in the constructor. Called with
+   * `{ symbol, prec, len, bid, bidSize, ask, askSize, spread, mid }`; sizes
+   * are absolute, and fields of an empty side are null.
+   *
+   * @param {object} opts - options
+   * @param {string} opts.symbol - book symbol
+   * @param {string} [opts.prec] - book precision, default any
+   * @param {string} [opts.len] - book length, default any
+   * @param {string|number} [opts.cbGID] - callback group id
+   * @param {Function} cb - callback
+   * @see WSv2#subscribeOrderBook
+   * @see WSv2#getOB
+   * @example
+   *   ws.onBookTop({ symbol: 'tBTCUSD' }, ({ bid, ask, spread }) => {
+   *     console.log('tBTCUSD %f / %f (spread %f)', bid, ask, spread)
+   *   })
+   */
+  onBookTop ({ symbol, prec, len, cbGID }, cb) {
+    this._registerListener('book-top', {
+      0: symbol,
+      1: prec,
+      2: len
+    }, null, cbGID, cb)
+  }
+
   /**
    * Register a handler to be called with each received order book checksum
    *
@@ -10,7 +10,7 @@ const Promise = require('bluebird')
 const PromiseThrottle = require('promise-throttle')
 const WSv2 = require('./transports/ws2')
 
-const DATA_CHANNEL_LIMIT = 30
+const DATA_CHANNEL_LIMIT = 30 // default, see opts.dataChannelLimit
 const reconnectThrottler = new PromiseThrottle({
   requestsPerSecond: 10 / 60.0,
   promiseImplementation: Promise
@@ -23,6 +23,15 @@ const reconnectThrottler = new PromiseThrottle({
  * For more complex operations, grab a socket reference with getSocket() or
  * getFreeDataSocket(), or create a new WSv2 instance manually
  *
+ * Data listeners (onTrades, onCandle, etc) registered on the manager are
+ * bound to all existing & future sockets, so they can be added before
+ * subscribing and keep working when a channel moves between sockets.
+ *
+ * Authenticated listeners (onOrderNew, onWalletUpdate, onNotification, etc)
+ * registered on the manager are bound to a single authenticated socket, and
+ * moved to another one if it closes. Order ops are routed to the first
+ * authenticated socket.
+ *
  * @example
  * const rest = new RESTv2({ transform: true })
  * const details = await rest.symbolDetails()
@@ -80,19 +89,41 @@ const reconnectThrottler = new PromiseThrottle({
  */
 class WS2Manager extends EventEmitter {
   /**
-   * @param {object} socketArgs - passed to WSv2 constructors
+   * @param {object} socketArgs - passed to WSv2 constructors; candle
+   *   backfills are rate limited across all sockets, at
+   *   `backfillRequestsPerSecond`, unless a `backfillThrottler` is given
    * @param {object} [authArgs] - cached for all internal socket auth() calls
    * @param {number} [authArgs.calc] - default 0
    * @param {number} [authArgs.dms] - default 0
+   * @param {object} [opts] - manager options
+   * @param {number} [opts.dataChannelLimit] - max data channels per socket,
+   *   defaults to 30
+   * @param {number} [opts.idleSocketTimeout] - optional, time a socket must
+   *   have no data channels before it is closed (ms). The socket carrying
+   *   auth listeners and the last remaining socket are never closed.
+   *   Disabled by default
+   * @param {number} [opts.statsInterval] - optional, enables a periodic
+   *   'stats' event with the result of {@link WS2Manager#getSocketStats}
+   *   while sockets are open (ms)
    */
-  constructor (socketArgs, authArgs = { calc: 0, dms: 0 }) {
+  constructor (socketArgs, authArgs = { calc: 0, dms: 0 }, opts = {}) {
     super()
 
     this.setMaxListeners(1000)
 
+    this._dataChannelLimit = opts.dataChannelLimit || DATA_CHANNEL_LIMIT
+    this._idleSocketTimeout = opts.idleSocketTimeout || 0
+    this._statsInterval = opts.statsInterval || 0
+    this._statsTimer = null
     this._authArgs = authArgs
     this._sockets = []
+    this._authSocket = null // socket state carrying the auth listeners
+    this._listeners = [] // [{ id, auth, method, opts, cbGID, cb }]
+    this._lastListenerID = 0
     this._socketArgs = {
+      backfillThrottler: WSv2.createBackfillThrottler(
+        (socketArgs || {}).backfillRequestsPerSecond
+      ),
       ...(socketArgs || {}),
       reconnectThrottler
     }
@@ -138,6 +169,9 @@ class WS2Manager extends EventEmitter {
    * @returns {Promise} p
    */
   async close () {
+    this._sockets.forEach(WS2Manager._clearIdleTimeout)
+    this._stopStatsTimer()
+
     return Promise.all(this._sockets.map(socket => socket.ws.close()))
   }
 
@@ -169,17 +203,90 @@ class WS2Manager extends EventEmitter {
     return this._sockets[i]
   }
 
+  /**
+   * Returns the subscribe filter for a data channel, as used in
+   * pendingSubscriptions
+   *
+   * @param {object} chanData - channel data
+   * @returns {object} filter
+   */
+  static getChannelFilter (chanData = {}) {
+    const { channel } = chanData
+
+    if (channel === 'book') {
+      return _pick(chanData, ['symbol', 'prec', 'len', 'freq'])
+    } else if (channel === 'candles' || channel === 'status') {
+      return { key: chanData.key }
+    }
+
+    return { symbol: chanData.symbol }
+  }
+
   /**
    * Returns an object which can be logged to inspect the socket pool
    *
-   * @returns {object[]} socketInfo
+   * @returns {object[]} socketInfo - `{ nChannels, channels,
+   *   pendingSubscriptions, pendingUnsubscriptions, isOpen, isAuthenticated }`
+   *   per socket
    */
   getSocketInfo () {
     return this._sockets.map(s => ({
-      nChannels: WS2Manager.getDataChannelCount(s)
+      nChannels: WS2Manager.getDataChannelCount(s),
+      channels: s.ws.getDataChannels().map(chanData => ({
+        chanId: chanData.chanId,
+        channel: chanData.channel,
+        ...WS2Manager.getChannelFilter(chanData)
+      })),
+      pendingSubscriptions: s.pendingSubscriptions.map(([channel, filter]) => ({
+        channel,
+        ...filter
+      })),
+      pendingUnsubscriptions: [...s.pendingUnsubscriptions],
+      isOpen: s.ws.isOpen(),
+      isAuthenticated: s.ws.isAuthenticated()
+    }))
+  }
+
+  /**
+   * Returns a snapshot of per-socket statistics, for health monitoring
+   *
+   * @returns {object[]} stats - {@link WSv2#getStats} results, extended with
+   *   `nChannels`, `pendingSubscriptions`, `pendingUnsubscriptions` (counts)
+   *   & `errors` (number of errors emitted by the socket)
+   */
+  getSocketStats () {
+    return this._sockets.map(s => ({
+      ...s.ws.getStats(),
+      nChannels: WS2Manager.getDataChannelCount(s),
+      pendingSubscriptions: s.pendingSubscriptions.length,
+      pendingUnsubscriptions: s.pendingUnsubscriptions.length,
+      errors: s.errors || 0
     }))
   }
 
+  /**
+   * @private
+   */
+  _startStatsTimer () {
+    if (!this._statsInterval || this._statsTimer !== null) {
+      return
+    }
+
+    this._statsTimer = setInterval(() => {
+      this.emit('stats', this.getSocketStats())
+    }, this._statsInterval)
+  }
+
+  /**
+   * @private
+   */
+  _stopStatsTimer () {
+    if (this._statsTimer !== null) {
+      clearInterval(this._statsTimer)
+      this._statsTimer = null
+    }
+  }
+
   /**
    * Authenticates all existing & future sockets with the provided credentials.
    * Does nothing if an apiKey/apiSecret pair are already known.
@@ -225,19 +332,45 @@ class WS2Manager extends EventEmitter {
     const wsState = {
       pendingSubscriptions: [],
       pendingUnsubscriptions: [],
+      idleTimeout: null,
+      errors: 0,
       ws
     }
 
     ws.updateAuthArgs(this._authArgs)
+
+    this._listeners
+      .filter(l => !l.auth)
+      .forEach(l => WS2Manager._bindListener(wsState, l))
+
     ws.on('open', () => this.emit('open', ws))
     ws.on('message', (msg = {}) => this.emit('message', msg, ws))
-    ws.on('error', (error) => this.emit('error', error, ws))
-    ws.on('auth', () => this.emit('auth', ws))
-    ws.on('close', () => this.emit('close', ws))
+    ws.on('error', (error) => {
+      wsState.errors++
+      this.emit('error', error, ws)
+    })
+    ws.on('auth', () => {
+      if (this._authSocket === null) {
+        this._bindAuthListeners(wsState)
+      }
+
+      this.emit('auth', ws)
+    })
+
+    ws.on('close', () => {
+      if (this._authSocket === wsState) {
+        this._unbindAuthListeners()
+        this._bindAuthListeners(this._sockets.find(s => (
+          s !== wsState && s.ws.isAuthenticated()
+        )))
+      }
+
+      this.emit('close', ws)
+    })
     ws.on('subscribed', (msg = {}) => {
       this.emit('subscribed', msg)
 
-      const i = wsState.pendingSubscriptions.find(sub => {
+      const i = wsState.pendingSubscriptions.findIndex(sub => {
         const fv = _pick(msg, Object.keys(sub[1]))
 
         return (
@@ -268,6 +401,7 @@ class WS2Manager extends EventEmitter {
       }
 
       wsState.pendingUnsubscriptions.splice(i, 1)
+      this._scheduleIdleCheck(wsState)
     })
 
     if (apiKey && apiSecret) { // auto-auth
@@ -289,6 +423,8 @@ class WS2Manager extends EventEmitter {
     })
 
     this._sockets.push(wsState)
+    this._startStatsTimer()
+
     return wsState
   }
 
@@ -301,16 +437,173 @@ class WS2Manager extends EventEmitter {
 
   /**
    * Returns the first socket that has less active/pending channels than the
-   * DATA_CHANNEL_LIMIT
+   * data channel limit
    *
    * @returns {object} state - undefined if none found
    */
   getFreeDataSocket () {
     return this._sockets.find(s => (
-      WS2Manager.getDataChannelCount(s) < DATA_CHANNEL_LIMIT
+      WS2Manager.getDataChannelCount(s) < this._dataChannelLimit
     ))
   }
 
+  /**
+   * Closes the socket after the idle timeout if it still has no data channels
+   * by then
+   *
+   * @param {object} s - socket state
+   * @private
+   */
+  _scheduleIdleCheck (s) {
+    if (!this._idleSocketTimeout || s.idleTimeout || !this._isSocketIdle(s)) {
+      return
+    }
+
+    s.idleTimeout = setTimeout(() => {
+      s.idleTimeout = null
+
+      if (this._isSocketIdle(s)) {
+        this._closeIdleSocket(s)
+      }
+    }, this._idleSocketTimeout)
+  }
+
+  /**
+   * @param {object} s - socket state
+   * @returns {boolean} idle - true if the socket can be closed
+   * @private
+   */
+  _isSocketIdle (s) {
+    return (
+      WS2Manager.getDataChannelCount(s) === 0 &&
+      s.pendingSubscriptions.length === 0 &&
+      s !== this._authSocket &&
+      this._sockets.length > 1 &&
+      _includes(this._sockets, s)
+    )
+  }
+
+  /**
+   * @param {object} s - socket state
+   * @private
+   */
+  _closeIdleSocket (s) {
+    debug('closing idle socket')
+
+    this._sockets = this._sockets.filter(socket => socket !== s)
+
+    if (!s.ws.isOpen()) {
+      return
+    }
+
+    s.ws.close().catch((err) => {
+      debug('error closing idle socket: %s', err.message)
+    })
+  }
+
+  /**
+   * @param {object} s - socket state
+   * @private
+   */
+  static _clearIdleTimeout (s) {
+    if (s.idleTimeout) {
+      clearTimeout(s.idleTimeout)
+      s.idleTimeout = null
+    }
+  }
+
+  /**
+   * Moves managed data channels from the most loaded open sockets to the
+   * least loaded ones, until no socket has more than its even share. Channels
+   * are subscribed on the new socket before being unsubscribed on the old
+   * one; listeners registered via the manager follow automatically.
+   *
+   * @returns {Promise} p - resolves with the number of channels moved
+   */
+  async rebalance () {
+    const sockets = this._sockets.filter(s => s.ws.isOpen())
+
+    if (sockets.length < 2) {
+      return 0
+    }
+
+    const total = sockets.reduce((n, s) => (
+      n + WS2Manager.getDataChannelCount(s)
+    ), 0)
+
+    const share = Math.ceil(total / sockets.length)
+    const moves = []
+
+    sockets.forEach((from) => {
+      const channels = from.ws.getDataChannels().filter(chanData => (
+        from.ws.hasSubscriptionRef(chanData.channel, WSv2.getChannelIdentifier(chanData)) &&
+        !_includes(from.pendingUnsubscriptions, `${chanData.chanId}`)
+      ))
+
+      while (WS2Manager.getDataChannelCount(from) > share && channels.length > 0) {
+        const to = sockets.find(s => WS2Manager.getDataChannelCount(s) < share)
+
+        if (!to) {
+          break
+        }
+
+        moves.push(this._moveChannel(from, to, channels.shift()))
+      }
+    })
+
+    debug('rebalancing %d channels across %d sockets', moves.length, sockets.length)
+
+    const results = await Promise.all(moves)
+
+    return results.filter(moved => moved).length
+  }
+
+  /**
+   * Subscribes the target socket to the channel, transfers the subscription
+   * ref count, and unsubscribes the source socket. Once the target is
+   * subscribed, the source drops messages for the channel, so that manager
+   * listeners don't receive updates twice.
+   *
+   * @param {object} from - socket state holding the channel
+   * @param {object} to - socket state to move the channel to
+   * @param {object} chanData - channel data
+   * @returns {Promise} p - resolves with true if the channel was moved
+   * @private
+   */
+  async _moveChannel (from, to, chanData) {
+    const { channel, chanId } = chanData
+    const identifier = WSv2.getChannelIdentifier(chanData)
+    const filter = WS2Manager.getChannelFilter(chanData)
+    const pendingSub = [channel, filter]
+
+    to.pendingSubscriptions.push(pendingSub)
+    from.pendingUnsubscriptions.push(`${chanId}`)
+
+    try {
+      await to.ws.managedSubscribe(channel, identifier, filter)
+    } catch (err) {
+      debug('error moving %s %s: %s', channel, identifier, err.message)
+
+      to.pendingSubscriptions = to.pendingSubscriptions.filter(sub => (
+        sub !== pendingSub
+      ))
+
+      from.pendingUnsubscriptions = from.pendingUnsubscriptions.filter(cid => (
+        cid !== `${chanId}`
+      ))
+
+      return false
+    }
+
+    from.ws.transferSubscriptionRefs(channel, identifier, to.ws)
+
+    await from.ws.managedUnsubscribe(channel, identifier).catch((err) => {
+      debug('error unsubscribing from %s %s: %s', channel, identifier, err.message)
+    })
+
+    return true
+  }
+
   /**
    * Returns the first socket that is subscribed/pending sub to the specified
    * channel.
@@ -375,22 +668,202 @@ class WS2Manager extends EventEmitter {
     })
   }
 
+  /**
+   * Adds a listener to the registry, to be bound to sockets by the caller
+   *
+   * @param {boolean} auth - true for authenticated channel listeners
+   * @param {string} method - WSv2 listener method, i.e. 'onOrderNew'
+   * @param {object} opts - listener filter & cbGID
+   * @param {Function} cb - callback
+   * @returns {object} listener
+   * @private
+   */
+  _addListener (auth, method, opts, cb) {
+    const { cbGID, ...filter } = opts
+    const l = {
+      id: `ws2-manager-${++this._lastListenerID}`,
+      auth,
+      method,
+      opts: filter,
+      cbGID,
+      cb
+    }
+
+    this._listeners.push(l)
+    return l
+  }
+
+  /**
+   * Registers a listener with the socket carrying authenticated listeners,
+   * now or once one authenticates. The listener is moved to another
+   * authenticated socket if that one closes.
+   *
+   * @param {string} method - WSv2 listener method, i.e. 'onOrderNew'
+   * @param {object} opts - listener filter & cbGID
+   * @param {Function} cb - callback
+   * @private
+   */
+  _registerAuthListener (method, opts, cb) {
+    const l = this._addListener(true, method, opts, cb)
+
+    if (this._authSocket) {
+      WS2Manager._bindListener(this._authSocket, l)
+    }
+  }
+
+  /**
+   * Registers a data channel listener with all existing & future sockets.
+   * Since the listener filter only matches the requested channel, it fires
+   * for whichever socket holds that channel, including channels that are
+   * still pending or that move between sockets.
+   *
+   * @param {string} method - WSv2 listener method, i.e. 'onTrades'
+   * @param {object} opts - listener filter & cbGID
+   * @param {Function} cb - callback
+   * @private
+   */
+  _registerDataListener (method, opts, cb) {
+    const l = this._addListener(false, method, opts, cb)
+
+    this._sockets.forEach(s => WS2Manager._bindListener(s, l))
+  }
+
+  /**
+   * @param {object} s - socket state
+   * @param {object} l - listener
+   * @private
+   */
+  static _bindListener (s, l) {
+    s.ws[l.method]({ ...l.opts, cbGID: l.id }, l.cb)
+  }
+
+  /**
+   * @param {object} [s] - socket state, no-op if not provided
+   * @private
+   */
+  _bindAuthListeners (s) {
+    if (!s) {
+      return
+    }
+
+    const listeners = this._listeners.filter(l => l.auth)
+
+    debug('binding %d auth listeners to socket', listeners.length)
+
+    this._authSocket = s
+    listeners.forEach(l => WS2Manager._bindListener(s, l))
+  }
+
+  /**
+   * @private
+   */
+  _unbindAuthListeners () {
+    if (!this._authSocket) {
+      return
+    }
+
+    const { ws } = this._authSocket
+
+    this._listeners
+      .filter(l => l.auth)
+      .forEach(l => ws.removeListeners(l.id))
+
+    this._authSocket = null
+  }
+
+  /**
+   * Removes all listeners registered via the manager with the specified
+   * callback group ID
+   *
+   * @param {string|number} cbGID - callback group id
+   */
+  removeListeners (cbGID) {
+    const removed = this._listeners.filter(l => l.cbGID === cbGID)
+
+    removed.forEach((l) => {
+      this._sockets.forEach(s => s.ws.removeListeners(l.id))
+    })
+
+    this._listeners = this._listeners.filter(l => l.cbGID !== cbGID)
+  }
+
+  /**
+   * Submits an order via the first authenticated socket
+   *
+   * @param {object|Array} order - order model or array
+   * @returns {Promise} p - resolves on submit notification
+   * @see WSv2#submitOrder
+   */
+  async submitOrder (order) {
+    return this._getAuthenticatedWS().submitOrder(order)
+  }
+
+  /**
+   * Updates an order via the first authenticated socket
+   *
+   * @param {object} changes - requires at least an 'id'
+   * @returns {Promise} p - resolves on update notification
+   * @see WSv2#updateOrder
+   */
+  async updateOrder (changes) {
+    return this._getAuthenticatedWS().updateOrder(changes)
+  }
+
+  /**
+   * Cancels an order via the first authenticated socket
+   *
+   * @param {object|Array|number} order - order model, array, or ID
+   * @returns {Promise} p - resolves on cancel notification
+   * @see WSv2#cancelOrder
+   */
+  async cancelOrder (order) {
+    return this._getAuthenticatedWS().cancelOrder(order)
+  }
+
+  /**
+   * @returns {WSv2} ws
+   * @throws an error if no socket is authenticated
+   * @private
+   */
+  _getAuthenticatedWS () {
+    const s = this.getAuthenticatedSocket()
+
+    if (!s) {
+      throw new Error('no authenticated socket available')
+    }
+
+    return s.ws
+  }
+
   /**
    * Subscribes a free data socket if available to the specified channel, or
    * opens a new socket & subs if needed.
    *
    * @param {string} type - i.e. 'book'
-   * @param {string} ident - i.e. 'tBTCUSD'
+   * @param {string} ident - i.e. 'tBTCUSD', see
+   *   {@link WSv2.getChannelIdentifier}
    * @param {object} filter - i.e. { symbol: 'tBTCUSD', prec: 'R0' }
    */
   subscribe (type, ident, filter) {
+    const subscribed = this.getSocketWithSubRef(type, ident)
+
+    if (subscribed) { // only increases the ref count, no new channel
+      subscribed.ws.managedSubscribe(type, ident, filter).catch((err) => {
+        debug('error subscribing to %s %s: %s', type, ident, err.message)
+      })
+
+      return
+    }
+
     let s = this.getFreeDataSocket()
     if (!s) {
       s = this.openSocket()
     }
 
     const doSub = () => {
-      s.ws.managedSubscribe(type, ident, filter)
+      s.ws.managedSubscribe(type, ident, filter).catch((err) => {
+        debug('error subscribing to %s %s: %s', type, ident, err.message)
+      })
     }
 
     if (!s.ws.isOpen()) {
@@ -415,7 +888,10 @@ class WS2Manager extends EventEmitter {
     }
 
     const chanId = s.ws._chanIdByIdentifier(channel, identifier)
-    s.ws.managedUnsubscribe(channel, identifier)
+    s.ws.managedUnsubscribe(channel, identifier).catch((err) => {
+      debug('error unsubscribing from %s %s: %s', channel, identifier, err.message)
+    })
+
     s.pendingUnsubscriptions.push(chanId)
   }
 
@@ -433,7 +909,10 @@ class WS2Manager extends EventEmitter {
       return
     }
 
-    s.ws.unsubscribe(chanId)
+    s.ws.unsubscribe(chanId).catch((err) => {
+      debug('error unsubscribing from %d: %s', chanId, err.message)
+    })
+
     s.pendingUnsubscriptions.push(chanId)
   }
 
@@ -465,7 +944,9 @@ class WS2Manager extends EventEmitter {
     if (len) filter.len = len
     if (freq) filter.freq = freq
 
-    this.subscribe('book', symbol, filter)
+    this.subscribe('book', WSv2.getChannelIdentifier({
+      channel: 'book', symbol, prec, len
+    }), filter)
   }
 
   /**
@@ -476,24 +957,38 @@ class WS2Manager extends EventEmitter {
   }
 
   /**
+   * @param {string} key - status channel key, i.e. 'deriv:tBTCF0:USTF0' or
+   *   'liq:global'
+   * @see https://docs.bitfinex.com/v2/reference#ws-public-status
+   */
+  subscribeStatus (key) {
+    this.subscribe('status', key, { key })
+  }
+
+  /**
+   * @param {string} key - key that was used in the initial
+   *   {@link WS2Manager#subscribeStatus} call
+   */
+  unsubscribeStatus (key) {
+    this.managedUnsubscribe('status', key)
+  }
+
+  /**
+   * Called on each candle update for a candle set
+   *
    * @param {object} opts - options
    * @param {string} opts.key - candle set key, i.e. trade:30m:tBTCUSD
    * @param {string} [opts.cbGID] - callback group id
    * @param {Function} cb - callback
-   * @throws an error if no data socket is available
    * @see https://docs.bitfinex.com/v2/reference#ws-public-candle
    */
   onCandle ({ key, cbGID }, cb) {
-    const s = this.getSocketWithDataChannel('candles', { key })
-
-    if (!s) {
-      throw new Error('no data socket available; did you provide a key?')
-    }
-
-    s.ws.onCandle({ key, cbGID }, cb)
+    this._registerDataListener('onCandle', { key, cbGID }, cb)
   }
 
   /**
+   * Called on each order book update for a symbol
+   *
    * @param {object} opts - options
    * @param {string} opts.symbol - order book symbol
    * @param {string} [opts.prec] - precision, i.e. 'R0', default 'P0'
@@ -501,7 +996,6 @@ class WS2Manager extends EventEmitter {
    * @param {string} [opts.freq] - default 'F0'
    * @param {string} [opts.cbGID] - callback group id
    * @param {Function} cb - callback
-   * @throws an error if no data socket is available
    * @see https://docs.bitfinex.com/v2/reference#ws-public-order-books
    */
   onOrderBook ({ symbol, prec = 'P0', len = '25', freq = 'F0', cbGID }, cb) {
@@ -512,49 +1006,391 @@ class WS2Manager extends EventEmitter {
     if (len) filter.len = len
     if (freq) filter.freq = freq
 
-    const s = this.getSocketWithDataChannel('book', filter)
-
-    if (!s) {
-      throw new Error('no data socket available; did you provide a symbol?')
-    }
+    this._registerDataListener('onOrderBook', { cbGID, ...filter }, cb)
+  }
 
-    s.ws.onOrderBook({ cbGID, ...filter }, cb)
+  /**
+   * Called when the top bid/ask of a book managed via `manageOrderBooks` changes
+   *
+   * @param {object} opts - options
+   * @param {string} opts.symbol - order book symbol
+   * @param {string} [opts.prec] - precision, default any
+   * @param {string} [opts.len] - length, default any
+   * @param {string} [opts.cbGID] - callback group id
+   * @param {Function} cb - callback
+   * @see WSv2#onBookTop
+   */
+  onBookTop ({ symbol, prec, len, cbGID }, cb) {
+    this._registerDataListener('onBookTop', { symbol, prec, len, cbGID }, cb)
   }
 
   /**
+   * Called on each trade update for a symbol
+   *
    * @param {object} opts - options
    * @param {string} [opts.symbol] - symbol for trades
    * @param {string} [opts.cbGID] - callback group id
    * @param {Function} cb - callback
-   * @throws an error if no data socket is available
    * @see https://docs.bitfinex.com/v2/reference#ws-public-trades
    */
   onTrades ({ symbol, cbGID }, cb) {
-    const s = this.getSocketWithDataChannel('trades', { symbol })
-
-    if (!s) {
-      throw new Error('no data socket available; did you provide a symbol?')
-    }
-
-    s.ws.onTrades({ symbol, cbGID }, cb)
+    this._registerDataListener('onTrades', { symbol, cbGID }, cb)
   }
 
   /**
+   * Called on each ticker update for a symbol
+   *
    * @param {object} opts - options
    * @param {string} [opts.symbol] - symbol for ticker
    * @param {string} [opts.cbGID] - callback group id
    * @param {Function} cb - callback
-   * @throws an error if no data socket is available
    * @see https://docs.bitfinex.com/v2/reference#ws-public-ticker
    */
   onTicker ({ symbol = '', cbGID } = {}, cb) {
-    const s = this.getSocketWithDataChannel('ticker', { symbol })
+    this._registerDataListener('onTicker', { symbol, cbGID }, cb)
+  }
 
-    if (!s) {
-      throw new Error('no data socket available; did you provide a symbol?')
-    }
+  /**
+   * Called on each status channel update
+   *
+   * @param {object} opts - options
+   * @param {string} opts.key - status channel key, i.e. 'liq:global'
+   * @param {string} [opts.cbGID] - callback group id
+   * @param {Function} cb - callback
+   * @see https://docs.bitfinex.com/v2/reference#ws-public-status
+   */
+  onStatus ({ key = '', cbGID } = {}, cb) {
+    this._registerDataListener('onStatus', { key, cbGID }, cb)
+  }
+
+  /**
+   * Called on each order snapshot received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onOrderSnapshot}
+   * @param {Function} cb - callback
+   * @see WSv2#onOrderSnapshot
+   */
+  onOrderSnapshot (opts = {}, cb) {
+    this._registerAuthListener('onOrderSnapshot', opts, cb)
+  }
+
+  /**
+   * Called on each new order received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onOrderNew}
+   * @param {Function} cb - callback
+   * @see WSv2#onOrderNew
+   */
+  onOrderNew (opts = {}, cb) {
+    this._registerAuthListener('onOrderNew', opts, cb)
+  }
+
+  /**
+   * Called on each order update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onOrderUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onOrderUpdate
+   */
+  onOrderUpdate (opts = {}, cb) {
+    this._registerAuthListener('onOrderUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each order close received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onOrderClose}
+   * @param {Function} cb - callback
+   * @see WSv2#onOrderClose
+   */
+  onOrderClose (opts = {}, cb) {
+    this._registerAuthListener('onOrderClose', opts, cb)
+  }
+
+  /**
+   * Called on each position snapshot received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onPositionSnapshot}
+   * @param {Function} cb - callback
+   * @see WSv2#onPositionSnapshot
+   */
+  onPositionSnapshot (opts = {}, cb) {
+    this._registerAuthListener('onPositionSnapshot', opts, cb)
+  }
+
+  /**
+   * Called on each new position received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onPositionNew}
+   * @param {Function} cb - callback
+   * @see WSv2#onPositionNew
+   */
+  onPositionNew (opts = {}, cb) {
+    this._registerAuthListener('onPositionNew', opts, cb)
+  }
+
+  /**
+   * Called on each position update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onPositionUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onPositionUpdate
+   */
+  onPositionUpdate (opts = {}, cb) {
+    this._registerAuthListener('onPositionUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each position close received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onPositionClose}
+   * @param {Function} cb - callback
+   * @see WSv2#onPositionClose
+   */
+  onPositionClose (opts = {}, cb) {
+    this._registerAuthListener('onPositionClose', opts, cb)
+  }
+
+  /**
+   * Called on each funding offer snapshot received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingOfferSnapshot}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingOfferSnapshot
+   */
+  onFundingOfferSnapshot (opts = {}, cb) {
+    this._registerAuthListener('onFundingOfferSnapshot', opts, cb)
+  }
+
+  /**
+   * Called on each new funding offer received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingOfferNew}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingOfferNew
+   */
+  onFundingOfferNew (opts = {}, cb) {
+    this._registerAuthListener('onFundingOfferNew', opts, cb)
+  }
+
+  /**
+   * Called on each funding offer update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingOfferUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingOfferUpdate
+   */
+  onFundingOfferUpdate (opts = {}, cb) {
+    this._registerAuthListener('onFundingOfferUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each funding offer close received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingOfferClose}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingOfferClose
+   */
+  onFundingOfferClose (opts = {}, cb) {
+    this._registerAuthListener('onFundingOfferClose', opts, cb)
+  }
+
+  /**
+   * Called on each funding credit snapshot received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingCreditSnapshot}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingCreditSnapshot
+   */
+  onFundingCreditSnapshot (opts = {}, cb) {
+    this._registerAuthListener('onFundingCreditSnapshot', opts, cb)
+  }
+
+  /**
+   * Called on each new funding credit received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingCreditNew}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingCreditNew
+   */
+  onFundingCreditNew (opts = {}, cb) {
+    this._registerAuthListener('onFundingCreditNew', opts, cb)
+  }
+
+  /**
+   * Called on each funding credit update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingCreditUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingCreditUpdate
+   */
+  onFundingCreditUpdate (opts = {}, cb) {
+    this._registerAuthListener('onFundingCreditUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each funding credit close received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingCreditClose}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingCreditClose
+   */
+  onFundingCreditClose (opts = {}, cb) {
+    this._registerAuthListener('onFundingCreditClose', opts, cb)
+  }
+
+  /**
+   * Called on each funding loan snapshot received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingLoanSnapshot}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingLoanSnapshot
+   */
+  onFundingLoanSnapshot (opts = {}, cb) {
+    this._registerAuthListener('onFundingLoanSnapshot', opts, cb)
+  }
+
+  /**
+   * Called on each new funding loan received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingLoanNew}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingLoanNew
+   */
+  onFundingLoanNew (opts = {}, cb) {
+    this._registerAuthListener('onFundingLoanNew', opts, cb)
+  }
+
+  /**
+   * Called on each funding loan update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingLoanUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingLoanUpdate
+   */
+  onFundingLoanUpdate (opts = {}, cb) {
+    this._registerAuthListener('onFundingLoanUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each funding loan close received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingLoanClose}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingLoanClose
+   */
+  onFundingLoanClose (opts = {}, cb) {
+    this._registerAuthListener('onFundingLoanClose', opts, cb)
+  }
+
+  /**
+   * Called on each wallet snapshot received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onWalletSnapshot}
+   * @param {Function} cb - callback
+   * @see WSv2#onWalletSnapshot
+   */
+  onWalletSnapshot (opts = {}, cb) {
+    this._registerAuthListener('onWalletSnapshot', opts, cb)
+  }
 
-    s.ws.onTicker({ symbol, cbGID }, cb)
+  /**
+   * Called on each wallet update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onWalletUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onWalletUpdate
+   */
+  onWalletUpdate (opts = {}, cb) {
+    this._registerAuthListener('onWalletUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each balance info update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onBalanceInfoUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onBalanceInfoUpdate
+   */
+  onBalanceInfoUpdate (opts = {}, cb) {
+    this._registerAuthListener('onBalanceInfoUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each margin info update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onMarginInfoUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onMarginInfoUpdate
+   */
+  onMarginInfoUpdate (opts = {}, cb) {
+    this._registerAuthListener('onMarginInfoUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each funding info update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingInfoUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingInfoUpdate
+   */
+  onFundingInfoUpdate (opts = {}, cb) {
+    this._registerAuthListener('onFundingInfoUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each funding trade entry received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingTradeEntry}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingTradeEntry
+   */
+  onFundingTradeEntry (opts = {}, cb) {
+    this._registerAuthListener('onFundingTradeEntry', opts, cb)
+  }
+
+  /**
+   * Called on each funding trade update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onFundingTradeUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onFundingTradeUpdate
+   */
+  onFundingTradeUpdate (opts = {}, cb) {
+    this._registerAuthListener('onFundingTradeUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each account trade entry received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onAccountTradeEntry}
+   * @param {Function} cb - callback
+   * @see WSv2#onAccountTradeEntry
+   */
+  onAccountTradeEntry (opts = {}, cb) {
+    this._registerAuthListener('onAccountTradeEntry', opts, cb)
+  }
+
+  /**
+   * Called on each account trade update received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onAccountTradeUpdate}
+   * @param {Function} cb - callback
+   * @see WSv2#onAccountTradeUpdate
+   */
+  onAccountTradeUpdate (opts = {}, cb) {
+    this._registerAuthListener('onAccountTradeUpdate', opts, cb)
+  }
+
+  /**
+   * Called on each notification received by the authenticated socket
+   *
+   * @param {object} opts - filter & cbGID, see {@link WSv2#onNotification}
+   * @param {Function} cb - callback
+   * @see WSv2#onNotification
+   */
+  onNotification (opts = {}, cb) {
+    this._registerAuthListener('onNotification', opts, cb)
   }
 }
 
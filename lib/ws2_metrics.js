@@ -0,0 +1,273 @@
+'use strict'
+
+const debug = require('debug')('bfx:ws2:metrics')
+
+const DURATION_BUCKETS = [ // seconds
+  0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1
+]
+
+const LATENCY_BUCKETS = [ // seconds
+  0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+]
+
+const METRICS = {
+  messages_total: {
+    type: 'counter',
+    help: 'Messages received, by channel type'
+  },
+
+  handler_duration_seconds: {
+    type: 'histogram',
+    help: 'Time spent handling received messages, by channel type',
+    buckets: DURATION_BUCKETS
+  },
+
+  reconnects_total: {
+    type: 'counter',
+    help: 'Reconnections'
+  },
+
+  seq_errors_total: {
+    type: 'counter',
+    help: 'Sequence number gaps, by type (pub or auth)'
+  },
+
+  checksum_errors_total: {
+    type: 'counter',
+    help: 'Order book checksum mismatches, by symbol'
+  },
+
+  order_op_latency_seconds: {
+    type: 'histogram',
+    help: 'Time from order op request to confirmation, by op type',
+    buckets: LATENCY_BUCKETS
+  },
+
+  order_op_errors_total: {
+    type: 'counter',
+    help: 'Failed, timed out & aborted order ops, by op type'
+  }
+}
+
+/**
+ * @param {string} value - label value
+ * @returns {string} escaped
+ * @private
+ */
+const escapeLabel = value => `${value}`
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+
+/**
+ * @param {object} labels - label values by name
+ * @returns {string} labels - i.e. '{channel="book"}', empty if none
+ * @private
+ */
+const renderLabels = (labels) => {
+  const names = Object.keys(labels)
+
+  if (names.length === 0) {
+    return ''
+  }
+
+  return `{${names.map(n => `${n}="${escapeLabel(labels[n])}"`).join(',')}}`
+}
+
+/**
+ * Collects metrics from WSv2 instances and renders them in the Prometheus
+ * text exposition format. Instances are instrumented through their events,
+ * so any number of sockets can share a registry; each is told apart by the
+ * labels passed to {@link WS2Metrics#instrument}.
+ *
+ * @example
+ *   const metrics = new WS2Metrics()
+ *
+ *   metrics.instrumentManager(manager)
+ *   http.createServer(metrics.handler()).listen(9100)
+ */
+class WS2Metrics {
+  /**
+   * @param {object} [opts] - options
+   * @param {string} [opts.prefix] - metric name prefix, default 'bfx_ws2_'
+   */
+  constructor ({ prefix = 'bfx_ws2_' } = {}) {
+    this._prefix = prefix
+    this._values = {} // { [metric]: { [labelsKey]: { labels, value|hist } } }
+    this._lastSocketID = 0
+    this._instrumented = new Set()
+  }
+
+  /**
+   * Starts collecting metrics from the WSv2 instance
+   *
+   * @param {WSv2} ws - instance
+   * @param {object} [labels] - added to all metrics from this instance
+   */
+  instrument (ws, labels = {}) {
+    if (this._instrumented.has(ws)) {
+      return
+    }
+
+    let connects = ws.isOpen() ? 1 : 0
+
+    this._instrumented.add(ws)
+
+    ws.on('message-handled', ({ channel, duration }) => {
+      const l = { ...labels, channel }
+
+      this._inc('messages_total', l)
+      this._observe('handler_duration_seconds', l, duration / 1000)
+    })
+
+    ws.on('open', () => {
+      if (++connects > 1) {
+        this._inc('reconnects_total', labels)
+      }
+    })
+
+    ws.on('seq-gap', ({ type }) => {
+      this._inc('seq_errors_total', { ...labels, type })
+    })
+
+    ws.on('checksum-mismatch', ({ symbol }) => {
+      this._inc('checksum_errors_total', { ...labels, symbol })
+    })
+
+    ws.on('order-op', ({ type, latency, error }) => {
+      const l = { ...labels, type }
+
+      if (error) {
+        this._inc('order_op_errors_total', l)
+      } else {
+        this._observe('order_op_latency_seconds', l, latency / 1000)
+      }
+    })
+  }
+
+  /**
+   * Instruments all current & future sockets of a WS2Manager, labelled with
+   * a `socket` ID in order of instrumentation
+   *
+   * @param {WS2Manager} manager - manager
+   */
+  instrumentManager (manager) {
+    const add = (ws) => {
+      if (!this._instrumented.has(ws)) {
+        this.instrument(ws, { socket: ++this._lastSocketID })
+      }
+    }
+
+    manager.withAllSockets(({ ws }) => add(ws))
+    manager.on('open', add)
+  }
+
+  /**
+   * @param {string} name - metric name, without prefix
+   * @param {object} labels - label values
+   * @returns {object} entry - `{ labels, value, buckets, sum, count }`
+   * @private
+   */
+  _getEntry (name, labels) {
+    const key = JSON.stringify(labels)
+
+    if (!this._values[name]) {
+      this._values[name] = {}
+    }
+
+    if (!this._values[name][key]) {
+      const { buckets } = METRICS[name]
+
+      this._values[name][key] = buckets
+        ? { labels, buckets: buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 }
+    }
+
+    return this._values[name][key]
+  }
+
+  /**
+   * @param {string} name - counter name, without prefix
+   * @param {object} labels - label values
+   * @private
+   */
+  _inc (name, labels) {
+    this._getEntry(name, labels).value++
+  }
+
+  /**
+   * @param {string} name - histogram name, without prefix
+   * @param {object} labels - label values
+   * @param {number} value - observed value
+   * @private
+   */
+  _observe (name, labels, value) {
+    const entry = this._getEntry(name, labels)
+
+    METRICS[name].buckets.forEach((le, i) => {
+      if (value <= le) entry.buckets[i]++
+    })
+
+    entry.sum += value
+    entry.count++
+  }
+
+  /**
+   * Renders all metrics collected so far
+   *
+   * @returns {string} text - Prometheus text exposition format
+   */
+  render () {
+    const lines = []
+
+    Object.keys(METRICS).forEach((name) => {
+      const { type, help, buckets } = METRICS[name]
+      const fullName = `${this._prefix}${name}`
+      const entries = Object.values(this._values[name] || {})
+
+      lines.push(`# HELP ${fullName} ${help}`)
+      lines.push(`# TYPE ${fullName} ${type}`)
+
+      entries.forEach((entry) => {
+        if (type !== 'histogram') {
+          lines.push(`${fullName}${renderLabels(entry.labels)} ${entry.value}`)
+          return
+        }
+
+        buckets.forEach((le, i) => {
+          const l = renderLabels({ ...entry.labels, le })
+          lines.push(`${fullName}_bucket${l} ${entry.buckets[i]}`)
+        })
+
+        const infLabels = renderLabels({ ...entry.labels, le: '+Inf' })
+        const l = renderLabels(entry.labels)
+
+        lines.push(`${fullName}_bucket${infLabels} ${entry.count}`)
+        lines.push(`${fullName}_sum${l} ${entry.sum}`)
+        lines.push(`${fullName}_count${l} ${entry.count}`)
+      })
+    })
+
+    return `${lines.join('\n')}\n`
+  }
+
+  /**
+   * Returns an HTTP request handler serving the rendered metrics, for use
+   * with `http.createServer()`
+   *
+   * @returns {Function} handler - `(req, res) => {}`
+   */
+  handler () {
+    return (req, res) => {
+      debug('serving metrics to %s', req.socket && req.socket.remoteAddress)
+
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'
+      })
+
+      res.end(this.render())
+    }
+  }
+}
+
+module.exports = WS2Metrics
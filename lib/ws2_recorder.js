@@ -0,0 +1,110 @@
+'use strict'
+
+const fs = require('fs')
+const { EventEmitter } = require('events')
+const debug = require('debug')('bfx:ws2:recorder')
+
+/**
+ * Records every raw frame sent & received by a WSv2 instance to an NDJSON
+ * file, one `{ ts, dir, data }` object per line where `dir` is 'in' or 'out'
+ * and `data` is the frame exactly as it went over the wire. Recordings can
+ * be played back with {@link WS2Replay}.
+ *
+ * Emits 'error' if the file cannot be written.
+ *
+ * @example
+ *   const rec = new WS2Recorder(ws, { path: './session.ndjson' })
+ *
+ *   rec.start()
+ *   await ws.open()
+ *   // ...
+ *   await rec.stop()
+ */
+class WS2Recorder extends EventEmitter {
+  /**
+   * @param {WSv2} ws - instance to record
+   * @param {object} opts - options
+   * @param {string} opts.path - output file, overwritten if it exists
+   */
+  constructor (ws, { path } = {}) {
+    super()
+
+    if (!path) {
+      throw new Error('recording path required')
+    }
+
+    this._ws = ws
+    this._path = path
+    this._stream = null
+    this._frameCount = 0
+
+    this._onFrame = this._onFrame.bind(this)
+  }
+
+  /**
+   * Opens the output file and starts recording frames
+   */
+  start () {
+    if (this._stream) {
+      throw new Error('already recording')
+    }
+
+    debug('recording to %s', this._path)
+
+    this._frameCount = 0
+    this._stream = fs.createWriteStream(this._path)
+    this._stream.on('error', err => this.emit('error', err))
+    this._ws.on('frame', this._onFrame)
+  }
+
+  /**
+   * Stops recording, resolves once all frames have been flushed to disk
+   *
+   * @returns {Promise} p
+   */
+  async stop () {
+    if (!this._stream) {
+      return
+    }
+
+    const stream = this._stream
+
+    this._ws.removeListener('frame', this._onFrame)
+    this._stream = null
+
+    debug('recorded %d frames to %s', this._frameCount, this._path)
+
+    return new Promise(resolve => stream.end(resolve))
+  }
+
+  /**
+   * @returns {boolean} recording
+   */
+  isRecording () {
+    return this._stream !== null
+  }
+
+  /**
+   * @returns {number} count - frames written by the current/last recording
+   */
+  getFrameCount () {
+    return this._frameCount
+  }
+
+  /**
+   * @param {string} dir - 'in' or 'out'
+   * @param {string|Buffer} data - raw frame
+   * @private
+   */
+  _onFrame (dir, data) {
+    this._stream.write(`${JSON.stringify({
+      ts: Date.now(),
+      dir,
+      data: data.toString()
+    })}\n`)
+
+    this._frameCount++
+  }
+}
+
+module.exports = WS2Recorder
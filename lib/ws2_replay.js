@@ -0,0 +1,219 @@
+'use strict'
+
+const fs = require('fs')
+const readline = require('readline')
+const { EventEmitter } = require('events')
+const Promise = require('bluebird')
+const _isFinite = require('lodash/isFinite')
+const debug = require('debug')('bfx:ws2:replay')
+
+const MAX_QUEUED_FRAMES = 1000
+
+/**
+ * Plays a session recorded with {@link WS2Recorder} back into a WSv2
+ * instance, in place of a network connection. The instance must be created
+ * with the replay as its transport (see {@link WS2Replay#getTransport}).
+ * Inbound frames are streamed from the recording & fed to the instance with
+ * their original timing (scaled by `speed`), so managed books, candles,
+ * listeners & models behave as if live. Outbound frames are discarded.
+ *
+ * The WSv2 instance is closed once the recording ends; `autoReconnect`
+ * should be disabled for instances used for replay.
+ *
+ * @example
+ *   const replay = new WS2Replay({ path: './session.ndjson', speed: 10 })
+ *   const ws = new WSv2({
+ *     manageOrderBooks: true,
+ *     transport: replay.getTransport()
+ *   })
+ *
+ *   ws.onOrderBook({ symbol: 'tBTCUSD' }, () => {
+ *     console.log(ws.getOB('tBTCUSD').midPrice())
+ *   })
+ *
+ *   await replay.play(ws)
+ */
+class WS2Replay extends EventEmitter {
+  /**
+   * @param {object} opts - options
+   * @param {string} opts.path - recording to play back
+   * @param {number} [opts.speed] - playback speed multiplier, defaults to 1
+   *   (real-time). Pass Infinity to replay without delays
+   */
+  constructor ({ path, speed = 1 } = {}) {
+    super()
+
+    if (!path) {
+      throw new Error('recording path required')
+    }
+
+    this._path = path
+    this._speed = speed
+    this._isPlaying = false
+  }
+
+  /**
+   * Streams the inbound frames of an NDJSON recording line by line, passing
+   * each to the callback in order. The next frame is not passed until the
+   * promise returned by the callback resolves; reading stops if it resolves
+   * with false.
+   *
+   * @param {string} path - recording path
+   * @param {Function} onFrame - called with each `{ ts, dir, data }` frame
+   * @returns {Promise} p - resolves once the recording has been read
+   */
+  static readFrames (path, onFrame) {
+    return new Promise((resolve, reject) => {
+      const input = fs.createReadStream(path, 'utf-8')
+      const rl = readline.createInterface({ input, crlfDelay: Infinity })
+      let queue = Promise.resolve()
+      let queued = 0
+      let paused = false
+      let closed = false
+      let stopped = false
+
+      const stop = () => {
+        stopped = true
+        rl.close()
+        input.destroy()
+      }
+
+      const onLine = (line) => {
+        if (stopped) return
+        if (line.trim().length === 0) return
+
+        const frame = JSON.parse(line)
+
+        if (frame.dir !== 'in') return
+
+        // bound memory use, as lines are read faster than frames are played
+        if (++queued >= MAX_QUEUED_FRAMES && !paused) {
+          paused = true
+          rl.pause()
+        }
+
+        queue = queue.then(() => {
+          return stopped ? false : onFrame(frame)
+        }).then((res) => {
+          if (--queued < MAX_QUEUED_FRAMES && paused && !closed) {
+            paused = false
+            rl.resume()
+          }
+
+          if (res === false && !stopped) {
+            stop()
+          }
+        })
+      }
+
+      input.on('error', reject)
+      rl.on('line', (line) => {
+        try {
+          onLine(line)
+        } catch (e) {
+          stop()
+          reject(e)
+        }
+      })
+
+      rl.on('close', () => {
+        closed = true
+        queue.then(resolve, (err) => {
+          stop()
+          reject(err)
+        })
+      })
+    })
+  }
+
+  /**
+   * Socket factory to be passed to WSv2 as `opts.transport`. The replay acts
+   * as the socket, and emits 'open' on the next tick.
+   *
+   * @returns {Function} transport
+   */
+  getTransport () {
+    return () => {
+      this._isPlaying = true
+      process.nextTick(() => this.emit('open'))
+
+      return this
+    }
+  }
+
+  /**
+   * Opens the WSv2 instance on the recording and plays it back. Resolves once
+   * all frames have been delivered and the instance has been closed.
+   *
+   * @param {WSv2} ws - instance to feed, created with the replay transport &
+   *   not open
+   * @returns {Promise} p
+   */
+  async play (ws) {
+    if (ws.isOpen()) {
+      throw new Error('already open')
+    }
+
+    await ws.open()
+
+    if (!this._isPlaying) {
+      await ws.close()
+      throw new Error('instance not created with the replay transport')
+    }
+
+    debug('replaying %s', this._path)
+
+    let lastTS = null
+    let frameCount = 0
+
+    await WS2Replay.readFrames(this._path, async ({ ts, data }) => {
+      const delay = lastTS === null ? 0 : (ts - lastTS) / this._speed
+
+      if (delay > 0 && _isFinite(delay)) {
+        await Promise.delay(delay)
+      }
+
+      if (!this._isPlaying) return false
+
+      lastTS = ts
+      frameCount++
+      this.emit('message', data)
+    })
+
+    debug('replayed %d frames', frameCount)
+
+    if (this._isPlaying && ws.isOpen()) {
+      await ws.close()
+    }
+  }
+
+  /**
+   * @returns {boolean} playing
+   */
+  isPlaying () {
+    return this._isPlaying
+  }
+
+  /**
+   * Outbound frames are discarded during replay
+   *
+   * @param {string} data - frame
+   */
+  send (data) {
+    debug('discarding outbound frame: %s', data)
+  }
+
+  /**
+   * Stops playback, emitting 'close' to the WSv2 instance
+   */
+  close () {
+    if (!this._isPlaying) {
+      return
+    }
+
+    this._isPlaying = false
+    this.emit('close')
+  }
+}
+
+module.exports = WS2Replay
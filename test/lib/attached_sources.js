@@ -0,0 +1,37 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { OrderBook } = require('bfx-api-node-models')
+const AttachedSources = require('../../lib/attached_sources')
+
+describe('AttachedSources', () => {
+  it('add: returns unique listener group IDs with the prefix', () => {
+    const sources = new AttachedSources('test')
+    const a = sources.add({}, 'tBTCUSD')
+    const b = sources.add({}, 'tBTCUSD')
+
+    assert(/^test-tBTCUSD-/.test(a))
+    assert.notStrictEqual(a, b)
+  })
+
+  it('removeAll: removes the listeners of all sources', () => {
+    const sources = new AttachedSources('test')
+    const removed = []
+    const ws = { removeListeners: cbGID => removed.push(cbGID) }
+    const cbGIDs = [sources.add(ws, 'tBTCUSD'), sources.add(ws, 'tETHUSD')]
+
+    sources.removeAll()
+    sources.removeAll()
+
+    assert.deepStrictEqual(removed, cbGIDs)
+  })
+
+  it('toOrderBook: wraps levels in a book, raw for R0 channels', () => {
+    const ob = new OrderBook([[100, 1, 1]])
+
+    assert.strictEqual(AttachedSources.toOrderBook(ob), ob)
+    assert(!AttachedSources.toOrderBook([[100, 1, 1]], { prec: 'P0' }).raw)
+    assert(AttachedSources.toOrderBook([[1, 100, 1]], { prec: 'R0' }).raw)
+  })
+})
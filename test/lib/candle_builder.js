@@ -0,0 +1,143 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { Candle } = require('bfx-api-node-models')
+const WSv2 = require('../../lib/transports/ws2')
+const CandleBuilder = require('../../lib/candle_builder')
+
+const MIN = 60 * 1000
+const HOUR = 60 * MIN
+
+describe('CandleBuilder', () => {
+  it('requires exactly one valid bucket type', () => {
+    assert.throws(() => new CandleBuilder(), /exactly one/)
+    assert.throws(() => new CandleBuilder({ ticks: 5, volume: 1 }), /exactly one/)
+    assert.throws(() => new CandleBuilder({ timeframe: '2x' }), /invalid timeframe/)
+    assert.throws(() => new CandleBuilder({ ticks: 0 }), /invalid tick count/)
+    assert.throws(() => new CandleBuilder({ volume: -1 }), /invalid volume/)
+  })
+
+  it('aggregates trades into time buckets, emitting updates & closed candles', () => {
+    const b = new CandleBuilder({ timeframe: '2m' })
+    const updates = []
+    const closed = []
+
+    b.on('update', c => updates.push([...c]))
+    b.on('close', c => closed.push([...c]))
+
+    b.addTrades([
+      [3, 1 * MIN + 30000, -0.5, 98],
+      [2, 1 * MIN, 2, 105],
+      [1, 0, 1, 100]
+    ]) // snapshot, newest first
+
+    assert.deepStrictEqual(b.getCandles(), [[0, 100, 98, 105, 98, 3.5]])
+    assert.strictEqual(updates.length, 3)
+    assert.strictEqual(closed.length, 0)
+
+    b.addTrades([4, 5 * MIN, 1, 110])
+
+    assert.deepStrictEqual(closed, [[0, 100, 98, 105, 98, 3.5]])
+    assert.deepStrictEqual(b.getCandles(), [
+      [4 * MIN, 110, 110, 110, 110, 1],
+      [0, 100, 98, 105, 98, 3.5]
+    ])
+
+    b.flush()
+    assert.strictEqual(closed.length, 2)
+    assert.strictEqual(b.getOpenCandle(), null)
+  })
+
+  it('aligns time buckets to the UTC offset', () => {
+    const b = new CandleBuilder({ timeframe: '4h', utcOffset: 2 * HOUR })
+
+    b.addTrades([1, 23 * HOUR, 1, 100])
+    assert.strictEqual(b.getOpenCandle()[0], 22 * HOUR)
+  })
+
+  it('ignores duplicate trades & trades older than the open time candle', () => {
+    const b = new CandleBuilder({ timeframe: '1m' })
+
+    b.addTrades([1, 2 * MIN, 1, 100])
+    b.addTrades([1, 2 * MIN, 1, 100])
+    b.addTrades([2, MIN, 1, 200])
+
+    assert.deepStrictEqual(b.getCandles(), [[2 * MIN, 100, 100, 100, 100, 1]])
+  })
+
+  it('closes tick candles after the configured number of trades', () => {
+    const b = new CandleBuilder({ ticks: 2 })
+    const closed = []
+
+    b.on('close', c => closed.push(c))
+    b.addTrades([[1, 10, 1, 100], [2, 20, -1, 90], [3, 30, 1, 95]])
+
+    assert.deepStrictEqual(closed, [[10, 100, 90, 100, 90, 2]])
+    assert.deepStrictEqual(b.getOpenCandle(), [30, 95, 95, 95, 95, 1])
+  })
+
+  it('splits trades across volume candles', () => {
+    const b = new CandleBuilder({ volume: 2 })
+    const closed = []
+
+    b.on('close', c => closed.push(c))
+    b.addTrades([[1, 10, 1, 100], [2, 20, -4.5, 90]])
+
+    assert.deepStrictEqual(closed, [
+      [10, 100, 90, 100, 90, 2],
+      [20, 90, 90, 90, 90, 2]
+    ])
+
+    assert.deepStrictEqual(b.getOpenCandle(), [20, 90, 90, 90, 90, 1.5])
+  })
+
+  it('emits Candle models if transform is enabled', (done) => {
+    const b = new CandleBuilder({ ticks: 1, transform: true })
+
+    b.on('close', (candle) => {
+      assert(candle instanceof Candle)
+      assert.strictEqual(candle.open, 100)
+      assert.strictEqual(candle.volume, 1)
+      done()
+    })
+
+    b.addTrades({ id: 1, mts: 10, amount: 1, price: 100 })
+  })
+
+  it('consumes te & tu trades from an attached WSv2 once, until detached', () => {
+    const ws = new WSv2()
+    const b = new CandleBuilder({ ticks: 10 })
+    const chanData = { chanId: 42, channel: 'trades', symbol: 'tBTCUSD' }
+
+    b.attach(ws, { symbol: 'tBTCUSD' })
+
+    ws._handleTradeMessage([42, [[1, 10, 1, 100], [2, 5, 1, 101]]], chanData)
+    ws._handleTradeMessage([42, 'te', [3, 20, 1, 102]], chanData)
+    ws._handleTradeMessage([42, 'tu', [3, 20, 1, 102]], chanData)
+
+    assert.deepStrictEqual(b.getOpenCandle(), [5, 101, 102, 102, 100, 3])
+
+    b.detach()
+    ws._handleTradeMessage([42, 'te', [4, 30, 1, 103]], chanData)
+
+    assert.strictEqual(b.getOpenCandle()[5], 3)
+  })
+
+  it('consumes exact string values from a lossless WSv2', () => {
+    const ws = new WSv2({ lossless: true })
+    const b = new CandleBuilder({ ticks: 10 })
+
+    ws._channelMap = {
+      42: { chanId: 42, channel: 'trades', symbol: 'tBTCUSD' }
+    }
+
+    b.attach(ws, { symbol: 'tBTCUSD' })
+
+    ws._onWSMessage('[42,[[1,10,0.5,100.5],[2,5,-1.25,101]]]')
+    ws._onWSMessage('[42,"te",[3,20,1,102.25]]')
+    ws._onWSMessage('[42,"tu",[3,20,1,102.25]]')
+
+    assert.deepStrictEqual(b.getOpenCandle(), [5, 101, 102.25, 102.25, 100.5, 2.75])
+  })
+})
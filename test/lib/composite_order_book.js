@@ -0,0 +1,144 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const WSv2 = require('../../lib/transports/ws2')
+const CompositeOrderBook = require('../../lib/composite_order_book')
+
+const bookChan = (chanId, symbol, prec = 'P0') => ({
+  chanId, channel: 'book', symbol, prec, len: '25'
+})
+
+describe('CompositeOrderBook', () => {
+  let ws = null
+  let book = null
+  let tops = null
+
+  const sendOB = (chanData, data) => {
+    const msg = [chanData.chanId, data]
+    ws._handleOBMessage(msg, chanData, JSON.stringify(msg))
+  }
+
+  beforeEach(() => {
+    ws = new WSv2({ manageOrderBooks: true })
+    book = new CompositeOrderBook({ rates: { tBTCEUR: 2 } })
+    tops = []
+
+    book.on('top', top => tops.push(top))
+  })
+
+  it('merges books, converting prices & tagging levels with their symbol', () => {
+    const usd = bookChan(1, 'tBTCUSD')
+    const eur = bookChan(2, 'tBTCEUR')
+
+    book.attach(ws, { symbol: 'tBTCUSD', prec: 'P0', len: '25' })
+    book.attach(ws, { symbol: 'tBTCEUR', prec: 'P0', len: '25' })
+
+    sendOB(usd, [[100, 1, 1], [102, 1, -2]])
+    sendOB(eur, [[50.5, 1, 3], [51.5, 1, -4]])
+
+    assert.deepStrictEqual(book.getBook(), {
+      bids: [[101, 3, 'tBTCEUR'], [100, 1, 'tBTCUSD']],
+      asks: [[102, 2, 'tBTCUSD'], [103, 4, 'tBTCEUR']]
+    })
+
+    assert.deepStrictEqual(book.getTop(), {
+      bid: [101, 3, 'tBTCEUR'],
+      ask: [102, 2, 'tBTCUSD'],
+      spread: 1,
+      mid: 101.5
+    })
+  })
+
+  it('emits top only when the best bid or ask level changes', () => {
+    const usd = bookChan(1, 'tBTCUSD')
+
+    book.attach(ws, { symbol: 'tBTCUSD', prec: 'P0', len: '25' })
+
+    sendOB(usd, [[100, 1, 1], [99, 1, 1], [102, 1, -2]])
+    assert.strictEqual(tops.length, 1)
+
+    sendOB(usd, [99, 2, 3]) // below top bid
+    assert.strictEqual(tops.length, 1)
+
+    sendOB(usd, [102, 1, -1]) // top ask size change
+    assert.strictEqual(tops.length, 2)
+    assert.deepStrictEqual(tops[1].ask, [102, 1, 'tBTCUSD'])
+  })
+
+  it('tracks conversion rates from tickers, excluding books until known', () => {
+    const eur = bookChan(2, 'tBTCEUR')
+    const tickerChan = { chanId: 3, channel: 'ticker', symbol: 'tEURUSD' }
+
+    book = new CompositeOrderBook()
+    book.attach(ws, {
+      symbol: 'tBTCEUR', prec: 'P0', len: '25', rateSymbol: 'tEURUSD'
+    })
+
+    sendOB(eur, [[50, 1, 1], [60, 1, -1]])
+
+    assert.strictEqual(book.getRate('tBTCEUR'), null)
+    assert.deepStrictEqual(book.getBook(), { bids: [], asks: [] })
+
+    ws._handleTickerMessage([3, [1.5, 1, 2.5, 1, 0, 0, 2.2, 1, 1, 1]], tickerChan)
+
+    assert.strictEqual(book.getRate('tBTCEUR'), 2)
+    assert.deepStrictEqual(book.getTop().bid, [100, 1, 'tBTCEUR'])
+    assert.deepStrictEqual(book.getTop().ask, [120, 1, 'tBTCEUR'])
+  })
+
+  it('attaches several books of a symbol by precision & length', () => {
+    const p0 = bookChan(1, 'tBTCUSD')
+    const p1 = bookChan(2, 'tBTCUSD', 'P1')
+
+    book.attach(ws, { symbol: 'tBTCUSD', prec: 'P0', len: '25' })
+    book.attach(ws, { symbol: 'tBTCUSD', prec: 'P1', len: '25' })
+
+    sendOB(p0, [[100, 1, 1], [102, 1, -2]])
+    sendOB(p1, [[90, 1, 3], [110, 1, -4]])
+
+    assert.deepStrictEqual(book.getBook(), {
+      bids: [[100, 1, 'tBTCUSD'], [90, 3, 'tBTCUSD']],
+      asks: [[102, 2, 'tBTCUSD'], [110, 4, 'tBTCUSD']]
+    })
+
+    assert.throws(() => {
+      book.attach(ws, { symbol: 'tBTCUSD', prec: 'P1', len: '25' })
+    }, /already attached: tBTCUSD:P1:25/)
+  })
+
+  it('tracks conversion rates from lossless tickers', () => {
+    ws = new WSv2({ manageOrderBooks: true, lossless: true })
+    ws._channelMap = {
+      2: bookChan(2, 'tBTCEUR'),
+      3: { chanId: 3, channel: 'ticker', symbol: 'tEURUSD' }
+    }
+
+    book = new CompositeOrderBook()
+    book.attach(ws, {
+      symbol: 'tBTCEUR', prec: 'P0', len: '25', rateSymbol: 'tEURUSD'
+    })
+
+    ws._onWSMessage('[2,[[50,1,1],[60,1,-1]]]')
+    ws._onWSMessage('[3,[1.5,1,2.5,1,0,0,2.2,1,1,1]]')
+
+    assert.strictEqual(book.getRate('tBTCEUR'), 2)
+    assert.deepStrictEqual(book.getTop().bid, [100, 1, 'tBTCEUR'])
+    assert.deepStrictEqual(book.getTop().ask, [120, 1, 'tBTCEUR'])
+  })
+
+  it('detach: removes listeners & clears the book', () => {
+    const usd = bookChan(1, 'tBTCUSD')
+
+    book.attach(ws, { symbol: 'tBTCUSD', prec: 'P0', len: '25' })
+    sendOB(usd, [[100, 1, 1]])
+    book.detach()
+    sendOB(usd, [[100, 1, 2]])
+
+    assert.deepStrictEqual(book.getTop().bid, null)
+    assert.throws(() => {
+      book.attach(ws, { symbol: 'tBTCUSD' })
+      book.attach(ws, { symbol: 'tBTCUSD' })
+    }, /already attached/)
+  })
+})
@@ -0,0 +1,63 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const Promise = require('bluebird')
+const MemorySocket = require('../../lib/memory_socket')
+
+describe('MemorySocket', () => {
+  it('createPair: opens both ends on the next tick', async () => {
+    const [a, b] = MemorySocket.createPair()
+
+    assert(!a.isOpen())
+    assert(!b.isOpen())
+
+    await Promise.all([
+      new Promise(resolve => a.once('open', resolve)),
+      new Promise(resolve => b.once('open', resolve))
+    ])
+
+    assert(a.isOpen())
+    assert(b.isOpen())
+  })
+
+  it('send: delivers frames to the other end in order', async () => {
+    const [a, b] = MemorySocket.createPair()
+    const received = []
+
+    b.on('message', msg => received.push(msg))
+
+    await new Promise(resolve => a.once('open', resolve))
+
+    a.send('1')
+    a.send('2')
+
+    await Promise.delay(5)
+
+    assert.deepStrictEqual(received, ['1', '2'])
+  })
+
+  it('send: emits an error if not open', (done) => {
+    const [a] = MemorySocket.createPair()
+
+    a.once('error', () => done())
+    a.send('1')
+  })
+
+  it('close: closes both ends', async () => {
+    const [a, b] = MemorySocket.createPair()
+
+    await new Promise(resolve => a.once('open', resolve))
+
+    const closed = Promise.all([
+      new Promise(resolve => a.once('close', resolve)),
+      new Promise(resolve => b.once('close', resolve))
+    ])
+
+    b.close(1000, 'done')
+    await closed
+
+    assert(!a.isOpen())
+    assert(!b.isOpen())
+  })
+})
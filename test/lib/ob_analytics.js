@@ -0,0 +1,129 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { OrderBook } = require('bfx-api-node-models')
+const WSv2 = require('../../lib/transports/ws2')
+const OBAnalytics = require('../../lib/ob_analytics')
+
+// P0 levels: [price, count, amount]
+const SNAPSHOT = [
+  [99, 1, 2],
+  [98, 2, 3],
+  [101, 1, -1],
+  [102, 3, -4]
+]
+
+const near = (a, b) => Math.abs(a - b) < 1e-9
+
+describe('OBAnalytics', () => {
+  it('depth: cumulates amounts per side, best first', () => {
+    const { bids, asks } = OBAnalytics.depth(new OrderBook(SNAPSHOT))
+
+    assert.deepStrictEqual(bids, [[99, 2, 2], [98, 3, 5]])
+    assert.deepStrictEqual(asks, [[101, 1, 1], [102, 4, 5]])
+    assert.deepStrictEqual(OBAnalytics.depth(SNAPSHOT, 1).asks, [[101, 1, 1]])
+  })
+
+  it('vwap & priceImpact: walk the opposite side of the book', () => {
+    assert.strictEqual(OBAnalytics.vwap(SNAPSHOT, 'buy', 3), (101 + 2 * 102) / 3)
+    assert.strictEqual(OBAnalytics.vwap(SNAPSHOT, 'sell', 2), 99)
+    assert.strictEqual(OBAnalytics.vwap(SNAPSHOT, 'sell', 6), null)
+    assert(near(OBAnalytics.priceImpact(SNAPSHOT, 'sell', 2), 1 / 100))
+    assert.throws(() => OBAnalytics.vwap(SNAPSHOT, 'bid', 1), /invalid side/)
+  })
+
+  it('imbalance & liquidity', () => {
+    assert.strictEqual(OBAnalytics.imbalance(SNAPSHOT), 0)
+    assert.strictEqual(OBAnalytics.imbalance(SNAPSHOT, 1), (2 - 1) / 3)
+    assert.deepStrictEqual(OBAnalytics.liquidity(SNAPSHOT, 150), {
+      bids: 2,
+      asks: 1,
+      total: 3
+    })
+  })
+
+  it('handles raw & lossless books', () => {
+    const raw = new OrderBook([[1, 99, 2], [2, 101, -1]], true)
+    const lossless = new OrderBook([['99.5', '1', '2'], ['100.5', '1', '-1']])
+
+    assert.strictEqual(OBAnalytics.vwap(raw, 'buy', 1), 101)
+    assert.strictEqual(OBAnalytics.vwap(lossless, 'buy', 1), 100.5)
+    assert.strictEqual(new OBAnalytics().compute(lossless).mid, 100)
+  })
+
+  it('compute: returns the configured metrics', () => {
+    const a = new OBAnalytics({ sizes: [1], bps: [150] })
+    const m = a.compute(SNAPSHOT)
+
+    assert.strictEqual(m.mid, 100)
+    assert.strictEqual(m.spread, 2)
+    assert.strictEqual(m.vwap.buy[1], 101)
+    assert.strictEqual(m.vwap.sell[1], 99)
+    assert(near(m.impact.buy[1], 0.01))
+    assert.strictEqual(m.liquidity[150].total, 3)
+  })
+
+  it('emits metrics on every update of an attached managed book', () => {
+    const ws = new WSv2({ manageOrderBooks: true })
+    const a = new OBAnalytics({ sizes: [1] })
+    const chanData = {
+      chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25'
+    }
+    const updates = []
+    const send = (msg) => {
+      ws._handleOBMessage(msg, chanData, JSON.stringify(msg))
+    }
+
+    ws._channelMap[42] = chanData
+    a.on('update', m => updates.push(m))
+    a.attach(ws, { symbol: 'tBTCUSD', prec: 'P0', len: '25' })
+
+    send([42, SNAPSHOT])
+    send([42, [101, 0, -1]]) // remove best ask
+
+    assert.strictEqual(updates.length, 2)
+    assert.strictEqual(updates[0].symbol, 'tBTCUSD')
+    assert.strictEqual(updates[0].vwap.buy[1], 101)
+    assert.strictEqual(updates[1].vwap.buy[1], 102)
+
+    a.detach()
+    send([42, [100, 1, 1]])
+    assert.strictEqual(updates.length, 2)
+  })
+
+  it('treats books as raw if they come from an R0 channel', () => {
+    const ws = new WSv2({ manageOrderBooks: true })
+    const a = new OBAnalytics()
+    const chanData = {
+      chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'R0', len: '25'
+    }
+    let mid = null
+
+    ws._channelMap[42] = chanData
+    a.on('update', (m) => { mid = m.mid })
+    a.attach(ws, { symbol: 'tBTCUSD' })
+
+    // R0 levels: [orderID, price, amount]
+    const msg = '[42,[[1,99,2],[2,101,-1]]]'
+    ws._handleOBMessage(JSON.parse(msg), chanData, msg)
+
+    assert.strictEqual(mid, 100)
+  })
+
+  it('computes metrics from the lossless book if requested', () => {
+    const ws = new WSv2({ manageOrderBooks: true })
+    const a = new OBAnalytics()
+    const chanData = {
+      chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25'
+    }
+    const msg = '[42,[[0.1,1,2],[0.3,1,-1]]]'
+    let mid = null
+
+    a.on('update', (m) => { mid = m.mid })
+    a.attach(ws, { symbol: 'tBTCUSD', prec: 'P0', len: '25', lossless: true })
+    ws._handleOBMessage(JSON.parse(msg), chanData, msg)
+
+    assert.strictEqual(mid, 0.2)
+  })
+})
@@ -0,0 +1,111 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const Promise = require('bluebird')
+const SendQueue = require('../../lib/send_queue')
+
+describe('SendQueue', () => {
+  let q = null
+
+  afterEach(() => {
+    if (q) q.clear()
+    q = null
+  })
+
+  it('sends messages in categories without a limit immediately', () => {
+    const sent = []
+    q = new SendQueue({ send: msg => sent.push(msg) })
+
+    for (let i = 0; i < 100; i++) {
+      q.push('orderOps', i)
+    }
+
+    assert.strictEqual(sent.length, 100)
+    assert.strictEqual(q.getDepth(), 0)
+  })
+
+  it('queues messages over the limit instead of dropping them', async () => {
+    const sent = []
+    q = new SendQueue({
+      send: msg => sent.push(msg),
+      limits: { calc: 20 }
+    })
+
+    for (let i = 0; i < 22; i++) {
+      q.push('calc', i)
+    }
+
+    assert.strictEqual(sent.length, 20) // full bucket
+    assert.strictEqual(q.getDepth('calc'), 2)
+
+    await Promise.delay(200)
+
+    assert.deepStrictEqual(sent, Array.from({ length: 22 }, (v, i) => i))
+    assert.strictEqual(q.getDepth(), 0)
+  })
+
+  it('limits categories independently', () => {
+    const sent = []
+    q = new SendQueue({
+      send: msg => sent.push(msg),
+      limits: { calc: 1, subscriptions: 1 }
+    })
+
+    q.push('calc', 'a')
+    q.push('calc', 'b')
+    q.push('subscriptions', 'c')
+    q.push('conf', 'd')
+
+    assert.deepStrictEqual(sent, ['a', 'c', 'd'])
+    assert.strictEqual(q.getDepth('calc'), 1)
+    assert.strictEqual(q.getDepth('subscriptions'), 0)
+  })
+
+  it('sends priority messages ahead of queued regular messages', async () => {
+    const sent = []
+    q = new SendQueue({
+      send: msg => sent.push(msg),
+      limits: { orderOps: 50 }
+    })
+
+    for (let i = 0; i < 52; i++) {
+      q.push('orderOps', `on-${i}`)
+    }
+
+    q.push('orderOps', 'oc-a', { priority: true })
+    q.push('orderOps', 'oc-b', { priority: true })
+
+    await Promise.delay(100)
+
+    assert.deepStrictEqual(sent.slice(50), ['oc-a', 'oc-b', 'on-50', 'on-51'])
+  })
+
+  it('reports queue metrics by category', () => {
+    q = new SendQueue({ send: () => {}, limits: { calc: 1 } })
+
+    q.push('calc', 'a')
+    q.push('calc', 'b')
+    q.push('calc', 'c')
+    q.push('orderOps', 'd')
+
+    assert.deepStrictEqual(q.getMetrics(), {
+      calc: { limit: 1, depth: 2, maxDepth: 2, sent: 1 },
+      orderOps: { limit: null, depth: 0, maxDepth: 0, sent: 1 }
+    })
+  })
+
+  it('clear: drops queued messages', async () => {
+    const sent = []
+    q = new SendQueue({ send: msg => sent.push(msg), limits: { calc: 1 } })
+
+    q.push('calc', 'a')
+    q.push('calc', 'b')
+    q.clear()
+
+    await Promise.delay(20)
+
+    assert.deepStrictEqual(sent, ['a'])
+    assert.strictEqual(q.getDepth(), 0)
+  })
+})
@@ -10,14 +10,19 @@ const _isObject = require('lodash/isObject')
 const _isString = require('lodash/isString')
 const _isEmpty = require('lodash/isEmpty')
 const _isError = require('lodash/isError')
+const _isFinite = require('lodash/isFinite')
 const _includes = require('lodash/includes')
 const {
   Position, FundingOffer, FundingCredit, FundingLoan, Wallet, BalanceInfo,
   MarginInfo, FundingInfo, FundingTrade, Notification, Candle, PublicTrade,
-  Trade, TradingTicker, FundingTicker
+  Trade, TradingTicker, FundingTicker, OrderBook, Order
 } = require('bfx-api-node-models')
 
 const WSv2 = require('../../../lib/transports/ws2')
+const MemorySocket = require('../../../lib/memory_socket')
+const {
+  OrderOpTimeoutError, OrderOpConnectionClosedError
+} = require('../../../lib/errors')
 
 const API_KEY = 'dummy'
 const API_SECRET = 'dummy'
@@ -224,6 +229,7 @@ describe('WSv2 unit', () => {
     it('_sendCalc: stringifes payload & passes it to the ws client', (done) => {
       ws = createTestWSv2Instance()
 
+      ws._isOpen = true
       ws._ws = {}
       ws._ws.send = (data) => {
         assert.strictEqual(data, '[]')
@@ -549,6 +555,90 @@ describe('WSv2 unit', () => {
       })
     })
 
+    it('emits reconnecting with the attempt number and delay', async () => {
+      wss = new MockWSv2Server()
+      ws = createTestWSv2Instance({
+        autoReconnect: true,
+        reconnectDelay: 50
+      })
+
+      await ws.open()
+
+      return new Promise((resolve) => {
+        ws.reconnectAfterClose = () => new Promise(() => {})
+        ws.once('reconnecting', ({ attempt, delay }) => {
+          assert.strictEqual(attempt, 1)
+          assert.strictEqual(delay, 50)
+          resolve()
+        })
+
+        wss.close() // trigger reconnect
+      })
+    })
+
+    it('_getReconnectDelay: applies the multiplier and max delay', () => {
+      ws = createTestWSv2Instance({
+        reconnectDelay: 100,
+        reconnectDelayMultiplier: 2,
+        reconnectMaxDelay: 500
+      })
+
+      assert.strictEqual(ws._getReconnectDelay(1), 100)
+      assert.strictEqual(ws._getReconnectDelay(2), 200)
+      assert.strictEqual(ws._getReconnectDelay(3), 400)
+      assert.strictEqual(ws._getReconnectDelay(4), 500)
+      assert.strictEqual(ws._getReconnectDelay(10), 500)
+    })
+
+    it('_getReconnectDelay: keeps jittered delays within bounds', () => {
+      ws = createTestWSv2Instance({
+        reconnectDelay: 1000,
+        reconnectJitter: 0.5
+      })
+
+      for (let i = 0; i < 100; i++) {
+        const delay = ws._getReconnectDelay(1)
+
+        assert(delay >= 500 && delay <= 1500)
+      }
+    })
+
+    it('emits reconnect-failed once max attempts are reached', (done) => {
+      ws = createTestWSv2Instance({
+        autoReconnect: true,
+        reconnectMaxAttempts: 2
+      })
+
+      ws._reconnectAttempts = 2
+      ws._isReconnecting = true
+      ws.on('reconnecting', () => assert(false))
+      ws.once('reconnect-failed', ({ attempts }) => {
+        assert.strictEqual(attempts, 2)
+        assert(!ws.isReconnecting())
+        done()
+      })
+
+      ws._onWSClose()
+    })
+
+    it('resets the attempt counter after a stable connection', (done) => {
+      ws = createTestWSv2Instance({
+        autoReconnect: true,
+        reconnectResetDelay: 100
+      })
+
+      ws._reconnectAttempts = 5
+      ws._lastOpenTS = Date.now() - 200
+      ws.reconnectAfterClose = () => new Promise(() => {})
+      ws.once('reconnecting', ({ attempt }) => {
+        assert.strictEqual(attempt, 1)
+        assert.strictEqual(ws.getReconnectAttempts(), 1)
+        done()
+      })
+
+      ws._onWSClose()
+    })
+
     it('does not auto-reconnect if explicity closed', async () => {
       wss = new MockWSv2Server()
       ws = createTestWSv2Instance({
@@ -623,6 +713,133 @@ describe('WSv2 unit', () => {
 
       assert.strictEqual(errorsSeen, 6)
     })
+
+    it('emits seq-gap with the channel involved', (done) => {
+      ws = createTestWSv2Instance({ seqAudit: true })
+      ws._channelMap = { 42: { channel: 'trades', chanId: 42, symbol: 'tBTCUSD' } }
+
+      let errorSeen = false
+      ws.on('error', () => { errorSeen = true })
+      ws.on('seq-gap', (gap) => {
+        assert.deepStrictEqual(gap, {
+          type: 'pub',
+          expected: 8,
+          received: 10,
+          chanId: 42,
+          channel: 'trades'
+        })
+
+        assert(!errorSeen) // emitted before the error
+        done()
+      })
+
+      ws._onWSMessage(JSON.stringify([42, [], 7]))
+      ws._onWSMessage(JSON.stringify([42, [], 10]))
+    })
+
+    it('reconnects on gap if seqGapPolicy is reconnect', () => {
+      ws = createTestWSv2Instance({ seqAudit: true, seqGapPolicy: 'reconnect' })
+      ws._channelMap = { 42: { channel: 'trades', chanId: 42 } }
+
+      let reconnects = 0
+      ws.on('error', () => assert.ok(false, 'should not emit error'))
+      ws.reconnect = async () => {
+        ws._isReconnecting = true
+        reconnects++
+      }
+
+      ws._onWSMessage(JSON.stringify([42, [], 7]))
+      ws._onWSMessage(JSON.stringify([42, [], 10]))
+      ws._onWSMessage(JSON.stringify([42, [], 11]))
+
+      assert.strictEqual(reconnects, 1)
+    })
+
+    it('resubscribes public channels on pub gap if seqGapPolicy is resync', async () => {
+      ws = createTestWSv2Instance({ seqAudit: true, seqGapPolicy: 'resync' })
+      ws._channelMap = {
+        0: { channel: 'auth', chanId: 0 },
+        42: { channel: 'trades', chanId: 42, symbol: 'tBTCUSD' },
+        43: { channel: 'book', chanId: 43, symbol: 'tETHUSD', prec: 'P0', len: '25' }
+      }
+
+      const unsubs = []
+      const subs = []
+      let reconnects = 0
+
+      ws.on('error', () => assert.ok(false, 'should not emit error'))
+      ws.reconnect = async () => { reconnects++ }
+      ws.unsubscribe = async (chanId) => { unsubs.push(chanId) }
+      ws._sendSubscribe = async (packet) => {
+        subs.push(packet)
+        return packet
+      }
+
+      const messages = []
+      ws.on('message', msg => messages.push(msg))
+
+      ws._onWSMessage(JSON.stringify([42, [], 7]))
+      ws._onWSMessage(JSON.stringify([42, [], 10])) // gap, dropped
+      ws._onWSMessage(JSON.stringify([42, [], 11]))
+
+      await Promise.delay(0)
+
+      assert.strictEqual(messages.length, 2)
+      assert.strictEqual(reconnects, 0)
+      assert.deepStrictEqual(unsubs, [42, 43])
+      assert.deepStrictEqual(subs, [
+        { event: 'subscribe', channel: 'trades', symbol: 'tBTCUSD' },
+        { event: 'subscribe', channel: 'book', symbol: 'tETHUSD', prec: 'P0', len: '25' }
+      ])
+    })
+
+    it('re-authenticates & restores account state on auth gap if seqGapPolicy is resync', async () => {
+      let auths = 0
+
+      ws = createTestWSv2Instance({
+        seqAudit: true,
+        seqGapPolicy: 'resync',
+        manageAccountState: true,
+        reconnectDelay: 10,
+        transport: () => {
+          const [client, server] = MemorySocket.createPair()
+
+          server.on('message', (json) => {
+            if (JSON.parse(json).event !== 'auth') return
+
+            const balance = ++auths === 1 ? 100 : 80
+
+            server.send(JSON.stringify({ event: 'auth', status: 'OK', chanId: 0 }))
+            server.send(JSON.stringify([
+              0, 'ws', [['exchange', 'USD', balance, 0, balance]], 1, 1
+            ]))
+          })
+
+          return client
+        }
+      })
+
+      ws._resyncPublicChannels = async () => assert.ok(false, 'should not resync')
+
+      await ws.open()
+      await ws.auth()
+      await Promise.delay(10)
+
+      assert.strictEqual(ws.getWallets()[0].balance, 100)
+
+      const restored = new Promise(resolve => ws.on('wallets-changed', ({ action }) => {
+        if (action === 'snapshot') resolve()
+      }))
+
+      ws._onWSMessage(JSON.stringify([0, 'wu', ['exchange', 'USD', 90, 0, 90], 2, 2]))
+      ws._onWSMessage(JSON.stringify([0, 'wu', ['exchange', 'USD', 80, 0, 80], 3, 5]))
+
+      await restored
+
+      assert.strictEqual(auths, 2)
+      assert(ws.isAuthenticated())
+      assert.strictEqual(ws.getWallets()[0].balance, 80)
+    })
   })
 
   describe('ws event handlers', () => {
@@ -710,6 +927,149 @@ describe('WSv2 unit', () => {
 
       ws._onWSNotification([0, 'oc-req', null, null, [42], 0, 'SUCCESS'])
     })
+
+    it('_onWSNotification: settles buffered order ops from ox_multi notifications', async () => {
+      ws = createTestWSv2Instance({ orderOpBufferDelay: 10 })
+      ws._isAuthenticated = true
+
+      const sent = []
+      ws.send = packet => sent.push(packet)
+
+      const pNew = ws.submitOrder({
+        cid: 1,
+        type: 'EXCHANGE LIMIT',
+        price: 100,
+        amount: 1,
+        symbol: 'tBTCUSD'
+      })
+
+      const pCancel = ws.cancelOrder(42)
+
+      await Promise.delay(20)
+
+      assert.strictEqual(sent.length, 1)
+      assert.strictEqual(sent[0][1], 'ox_multi')
+
+      ws._onWSNotification([0, 'ox_multi-req', null, null, [
+        [0, 'on-req', null, null, [7, null, 1], null, 'SUCCESS', ''],
+        [0, 'oc-req', null, null, [42], null, 'ERROR', 'not found']
+      ], null, 'SUCCESS', ''])
+
+      assert.deepStrictEqual(await pNew, [7, null, 1])
+
+      try {
+        await pCancel
+        assert(false)
+      } catch (e) {
+        assert.strictEqual(e.message, 'ERROR: not found')
+      }
+
+      assert.deepStrictEqual(ws._pendingMultiOps, [])
+    })
+
+    it('_onWSNotification: rejects all ops of a failed ox_multi packet', async () => {
+      ws = createTestWSv2Instance()
+      ws._isAuthenticated = true
+      ws.send = () => {}
+
+      const pA = ws._getEventPromise('order-cancel-1')
+      const pB = ws._getEventPromise('order-update-2')
+      const pC = ws._getEventPromise('order-cancel-3')
+
+      await ws.submitOrderMultiOp([['oc', { id: 1 }], ['ou', { id: 2 }]])
+      await ws.submitOrderMultiOp([['oc', { id: 3 }]])
+
+      ws._onWSNotification([0, 'ox_multi-req', null, null, [], null, 'ERROR', 'invalid'])
+
+      const results = await Promise.all([pA, pB].map(p => p.reflect()))
+
+      results.forEach((r) => {
+        assert(r.isRejected())
+        assert.strictEqual(r.reason().message, 'ERROR: invalid')
+      })
+
+      assert.strictEqual(ws._eventCallbacks.cnt('order-cancel-3'), 1)
+      ws._onWSNotification([0, 'ox_multi-req', null, null, [
+        [0, 'oc-req', null, null, [3], null, 'SUCCESS', '']
+      ], null, 'SUCCESS', ''])
+
+      assert.deepStrictEqual(await pC, [3])
+    })
+
+    it('_onWSNotification: matches ox_multi responses to packets by their ops', async () => {
+      ws = createTestWSv2Instance()
+      ws._isAuthenticated = true
+      ws.send = () => {}
+
+      const pA = ws._getEventPromise('order-cancel-1')
+      const pB = ws._getEventPromise('order-cancel-2')
+
+      await ws.submitOrderMultiOp([['oc', { id: 1 }]])
+      await ws.submitOrderMultiOp([['oc', { id: 2 }]])
+
+      ws._onWSNotification([0, 'ox_multi-req', null, null, [
+        ['oc', { id: 2 }]
+      ], null, 'ERROR', 'invalid'])
+
+      try {
+        await pB
+        assert(false)
+      } catch (e) {
+        assert.strictEqual(e.message, 'ERROR: invalid')
+      }
+
+      assert.deepStrictEqual(ws._pendingMultiOps, [[['oc', { id: 1 }]]])
+      assert.strictEqual(ws._eventCallbacks.cnt('order-cancel-1'), 1)
+
+      ws._onWSNotification([0, 'ox_multi-req', null, null, [
+        [0, 'oc-req', null, null, [1], null, 'SUCCESS', '']
+      ], null, 'SUCCESS', ''])
+
+      assert.deepStrictEqual(await pA, [1])
+      assert.deepStrictEqual(ws._pendingMultiOps, [])
+    })
+
+    it('_onWSClose: drops ox_multi packets awaiting a response', async () => {
+      ws = createTestWSv2Instance()
+      ws._isAuthenticated = true
+      ws.send = () => {}
+
+      ws._getEventPromise('order-cancel-1').catch(() => {})
+      await ws.submitOrderMultiOp([['oc', { id: 1 }]])
+      await ws._onWSClose()
+
+      assert.deepStrictEqual(ws._pendingMultiOps, [])
+    })
+
+    it('_flushOrderOps: rejects the buffered ops if the packet can\'t be sent', async () => {
+      const unhandled = []
+      const onUnhandled = err => unhandled.push(err)
+
+      ws = createTestWSv2Instance({ orderOpBufferDelay: 10 })
+      ws._isAuthenticated = true
+      ws.send = () => {}
+
+      process.on('unhandledRejection', onUnhandled)
+
+      try {
+        const p = ws.cancelOrder(42)
+        ws._isAuthenticated = false
+
+        try {
+          await p
+          assert(false)
+        } catch (e) {
+          assert.strictEqual(e.message, 'not authenticated')
+        }
+
+        await Promise.delay(10)
+      } finally {
+        process.removeListener('unhandledRejection', onUnhandled)
+      }
+
+      assert.deepStrictEqual(unhandled, [])
+      assert.deepStrictEqual(ws.getPendingOrderOps(), [])
+    })
   })
 
   describe('WSv2 channel msg handling', () => {
@@ -1086,6 +1446,56 @@ describe('WSv2 unit', () => {
       ws._handleOBMessage(obMsg, ws._channelMap[42], JSON.stringify(obMsg))
     })
 
+    it('onBookTop: fires only when the top of a managed book changes', () => {
+      ws = new WSv2({ manageOrderBooks: true })
+      ws._channelMap = {
+        42: { chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' }
+      }
+
+      const tops = []
+      const send = (data) => {
+        const msg = [42, data]
+        ws._handleOBMessage(msg, ws._channelMap[42], JSON.stringify(msg))
+      }
+
+      ws.onBookTop({ symbol: 'tBTCUSD' }, top => tops.push(top))
+      ws.onBookTop({ symbol: 'tETHUSD' }, () => assert(false))
+
+      send([[100, 1, 2], [99, 1, 1], [102, 1, -3]])
+      send([99, 2, 4]) // below the top bid
+      send([102, 2, -1]) // top ask size
+      send([100, 0, 1]) // top bid removed
+
+      assert.strictEqual(tops.length, 3)
+      assert.deepStrictEqual(tops[0], {
+        symbol: 'tBTCUSD',
+        prec: 'P0',
+        len: '25',
+        bid: 100,
+        bidSize: 2,
+        ask: 102,
+        askSize: 3,
+        spread: 2,
+        mid: 101
+      })
+
+      assert.strictEqual(tops[1].askSize, 1)
+      assert.strictEqual(tops[2].bid, 99)
+      assert.strictEqual(tops[2].bidSize, 4)
+      assert.strictEqual(tops[2].spread, 3)
+    })
+
+    it('_getOBTop: sums raw orders at the top price & nulls empty sides', () => {
+      const top = WSv2._getOBTop([[1, 100, 1], [2, 100, 0.5], [3, 99, 2]], true)
+
+      assert.strictEqual(top.bid, 100)
+      assert.strictEqual(top.bidSize, 1.5)
+      assert.strictEqual(top.ask, null)
+      assert.strictEqual(top.askSize, null)
+      assert.strictEqual(top.spread, null)
+      assert.strictEqual(top.mid, null)
+    })
+
     it('_handleOBMessage: emits managed ob', (done) => {
       ws = new WSv2({ manageOrderBooks: true })
       ws._channelMap = {
@@ -1127,6 +1537,61 @@ describe('WSv2 unit', () => {
       ws._handleOBMessage(obMsg, ws._channelMap[42], obMsg)
     })
 
+    it('_handleOBMessage: maintains separate books per prec & len', () => {
+      ws = new WSv2({ manageOrderBooks: true })
+      ws._channelMap = {
+        42: { chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' },
+        43: { chanId: 43, channel: 'book', symbol: 'tBTCUSD', prec: 'R0', len: '25' },
+        44: { chanId: 44, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '100' }
+      }
+
+      const msgs = [
+        [42, [[100, 2, 3]]],
+        [43, [[1, 100, 3]]],
+        [44, [[100, 2, 3], [200, 1, -1]]],
+        [42, [100, 0, 1]]
+      ]
+
+      msgs.forEach((msg) => {
+        ws._handleOBMessage(msg, ws._channelMap[msg[0]], JSON.stringify(msg))
+      })
+
+      assert.deepStrictEqual(ws.getOB('tBTCUSD', { prec: 'P0', len: '25' }).bids, [])
+      assert.deepStrictEqual(ws.getOB('tBTCUSD', { prec: 'R0' }).bids, [[1, 100, 3]])
+      assert.deepStrictEqual(ws.getOB('tBTCUSD', { len: 100 }).asks, [[200, 1, -1]])
+      assert.deepStrictEqual(ws.getOB('tBTCUSD').bids, []) // first subscribed
+      assert.deepStrictEqual(ws.getLosslessOB('tBTCUSD', { prec: 'R0' }).bids, [['1', '100', '3']])
+      assert.strictEqual(ws.getOB('tBTCUSD', { prec: 'P2' }), null)
+      assert.strictEqual(ws.getOB('tBTC'), null)
+    })
+
+    it('_handleOBChecksumMessage: verifies checksums per book', () => {
+      ws = new WSv2({ manageOrderBooks: true })
+      ws._channelMap = {
+        42: { chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' },
+        43: { chanId: 43, channel: 'book', symbol: 'tBTCUSD', prec: 'R0', len: '25' }
+      }
+
+      const msgs = [[42, [[100, 2, 3]]], [43, [[1, 100, 3]]]]
+
+      msgs.forEach((msg) => {
+        ws._handleOBMessage(msg, ws._channelMap[msg[0]], JSON.stringify(msg))
+      })
+
+      let errorsSeen = 0
+      ws.on('error', () => errorsSeen++)
+
+      const csP0 = ws.getLosslessOB('tBTCUSD', { prec: 'P0' }).checksum()
+      const csR0 = OrderBook.checksumArr(ws._losslessOrderBooks['tBTCUSD:R0:25'], true)
+
+      ws._handleOBChecksumMessage([42, 'cs', csP0], ws._channelMap[42])
+      ws._handleOBChecksumMessage([43, 'cs', csR0], ws._channelMap[43])
+      assert.strictEqual(errorsSeen, 0)
+
+      ws._handleOBChecksumMessage([43, 'cs', csP0], ws._channelMap[43])
+      assert.strictEqual(errorsSeen, 1)
+    })
+
     it('_updateManagedOB: does nothing on rm non-existent entry', () => {
       ws = createTestWSv2Instance()
       ws._orderBooks.tBTCUSD = [
@@ -1148,13 +1613,13 @@ describe('WSv2 unit', () => {
 
     it('_updateManagedOB: correctly maintains transformed OBs', () => {
       ws = new WSv2({ transform: true })
-      ws._orderBooks.tBTCUSD = []
-      ws._losslessOrderBooks.tBTCUSD = []
+      ws._orderBooks['tBTCUSD:P0:25'] = []
+      ws._losslessOrderBooks['tBTCUSD:P0:25'] = []
 
-      // symbol, data, raw, rawMsg
-      assert(!ws._updateManagedOB('tBTCUSD', [100, 1, 1], false, JSON.stringify([1, [100, 1, 1]])))
-      assert(!ws._updateManagedOB('tBTCUSD', [200, 1, -1], false, JSON.stringify([1, [200, 1, -1]])))
-      assert(!ws._updateManagedOB('tBTCUSD', [200, 0, -1], false, JSON.stringify([1, [200, 0, -1]])))
+      // obKey, data, raw, rawMsg
+      assert(!ws._updateManagedOB('tBTCUSD:P0:25', [100, 1, 1], false, JSON.stringify([1, [100, 1, 1]])))
+      assert(!ws._updateManagedOB('tBTCUSD:P0:25', [200, 1, -1], false, JSON.stringify([1, [200, 1, -1]])))
+      assert(!ws._updateManagedOB('tBTCUSD:P0:25', [200, 0, -1], false, JSON.stringify([1, [200, 0, -1]])))
 
       const ob = ws.getOB('tBTCUSD')
 
@@ -1165,19 +1630,115 @@ describe('WSv2 unit', () => {
 
     it('_updateManagedOB: correctly maintains non-transformed OBs', () => {
       ws = createTestWSv2Instance()
-      ws._orderBooks.tBTCUSD = []
-      ws._losslessOrderBooks.tBTCUSD = []
+      ws._orderBooks['tBTCUSD:P0:25'] = []
+      ws._losslessOrderBooks['tBTCUSD:P0:25'] = []
 
-      assert(!ws._updateManagedOB('tBTCUSD', [100, 1, 1], false, JSON.stringify([1, [100, 1, 1]])))
-      assert(!ws._updateManagedOB('tBTCUSD', [200, 1, -1], false, JSON.stringify([1, [200, 1, -1]])))
-      assert(!ws._updateManagedOB('tBTCUSD', [200, 0, -1], false, JSON.stringify([1, [200, 0, -1]])))
+      assert(!ws._updateManagedOB('tBTCUSD:P0:25', [100, 1, 1], false, JSON.stringify([1, [100, 1, 1]])))
+      assert(!ws._updateManagedOB('tBTCUSD:P0:25', [200, 1, -1], false, JSON.stringify([1, [200, 1, -1]])))
+      assert(!ws._updateManagedOB('tBTCUSD:P0:25', [200, 0, -1], false, JSON.stringify([1, [200, 0, -1]])))
 
-      const ob = ws._orderBooks.tBTCUSD
+      const ob = ws._orderBooks['tBTCUSD:P0:25']
 
       assert.strictEqual(ob.length, 1)
       assert.deepStrictEqual(ob, [[100, 1, 1]])
     })
 
+    it('_handleOBChecksumMessage: emits error on mismatch if resync is disabled', (done) => {
+      ws = new WSv2({ manageOrderBooks: true })
+      ws._channelMap = {
+        42: { chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' }
+      }
+
+      const obMsg = [42, [[100, 2, 3]]]
+      ws._handleOBMessage(obMsg, ws._channelMap[42], JSON.stringify(obMsg))
+
+      let mismatch = null
+
+      ws.on('checksum-mismatch', (data) => { mismatch = data })
+      ws.on('ob-resync-start', () => assert.ok(false, 'should not resync'))
+      ws.on('error', (err) => {
+        assert(/checksum mismatch/.test(err.message))
+        assert.strictEqual(mismatch.symbol, 'tBTCUSD')
+        assert.strictEqual(mismatch.error, err)
+        done()
+      })
+
+      ws._handleOBChecksumMessage([42, 'cs', 1], ws._channelMap[42])
+    })
+
+    it('_handleOBChecksumMessage: resyncs the book on mismatch if enabled', (done) => {
+      ws = new WSv2({ manageOrderBooks: true, resyncOrderBooks: true })
+      ws._channelMap = {
+        42: { chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' }
+      }
+
+      ws._subscribePayloads = {
+        42: { event: 'subscribe', channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' }
+      }
+
+      const obMsg = [42, [[100, 2, 3]]]
+      ws._handleOBMessage(obMsg, ws._channelMap[42], JSON.stringify(obMsg))
+
+      ws.on('error', () => assert.ok(false, 'should not emit error'))
+      ws.on('ob-resync-start', ({ symbol, prec, len, error }) => {
+        assert.strictEqual(symbol, 'tBTCUSD')
+        assert.strictEqual(prec, 'P0')
+        assert.strictEqual(len, '25')
+        assert(/checksum mismatch/.test(error.message))
+        assert.strictEqual(ws.getOB('tBTCUSD'), null)
+        assert.strictEqual(ws.getLosslessOB('tBTCUSD'), null)
+      })
+
+      ws.unsubscribe = async (chanId) => {
+        assert.strictEqual(chanId, 42)
+      }
+
+      ws._sendSubscribe = async (packet) => {
+        assert.deepStrictEqual(packet, {
+          event: 'subscribe',
+          channel: 'book',
+          symbol: 'tBTCUSD',
+          prec: 'P0',
+          len: '25'
+        })
+
+        done()
+      }
+
+      ws._handleOBChecksumMessage([42, 'cs', 1], ws._channelMap[42])
+      ws._handleOBChecksumMessage([42, 'cs', 1], ws._channelMap[42]) // ignored
+    })
+
+    it('_handleOBMessage: drops updates while resyncing & emits ob-resync-end on snapshot', (done) => {
+      ws = new WSv2({ manageOrderBooks: true, resyncOrderBooks: true })
+      ws._channelMap = {
+        42: { chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' }
+      }
+
+      ws._resyncingOrderBooks['tBTCUSD:P0:25'] = true
+
+      let updatesSeen = 0
+      ws.onOrderBook({ symbol: 'tBTCUSD' }, () => updatesSeen++)
+      ws.on('ob-resync-end', ({ symbol, prec }) => {
+        assert.strictEqual(symbol, 'tBTCUSD')
+        assert.strictEqual(prec, 'P0')
+        assert.strictEqual(updatesSeen, 1)
+        assert.deepStrictEqual(ws.getOB('tBTCUSD').bids, [[200, 1, 1]])
+        assert(!ws._resyncingOrderBooks['tBTCUSD:P0:25'])
+        done()
+      })
+
+      let obMsg = [42, [100, 1, 1]]
+      ws._handleOBMessage(obMsg, ws._channelMap[42], JSON.stringify(obMsg))
+      ws._handleOBChecksumMessage([42, 'cs', 1], ws._channelMap[42])
+
+      assert.strictEqual(updatesSeen, 0)
+      assert.strictEqual(ws.getOB('tBTCUSD'), null)
+
+      obMsg = [42, [[200, 1, 1]]]
+      ws._handleOBMessage(obMsg, ws._channelMap[42], JSON.stringify(obMsg))
+    })
+
     it('_handleCandleMessage: maintains internal candles if management is enabled', () => {
       ws = new WSv2({ manageCandles: true })
       ws._channelMap = {
@@ -1305,12 +1866,204 @@ describe('WSv2 unit', () => {
       assert(seenCandle)
     })
 
-    it('_handleCandleMessage: forwards transformed data if transform enabled', () => {
-      let seenCandle = false
-      ws = new WSv2({ transform: true })
-      ws._channelMap = {
-        42: {
-          chanId: 42,
+    describe('candle backfill', () => {
+      const M = 60 * 1000
+      const candle = (i, close = 10) => [i * M, 10, close, 10, 10, 1]
+      const chanData = { chanId: 42, channel: 'candles', key: 'trade:1m:tBTCUSD' }
+
+      const createBackfillInstance = (rest, opts = {}) => {
+        ws = new WSv2({
+          manageCandles: true,
+          backfillCandles: true,
+          rest,
+          ...opts
+        })
+
+        ws._channelMap = { 42: chanData }
+        return ws
+      }
+
+      it('fetches candles missing before an update & merges them by MTS', (done) => {
+        const requests = []
+
+        ws = createBackfillInstance({
+          candles: async (args) => {
+            requests.push(args)
+            return [candle(3), candle(4)]
+          }
+        })
+
+        ws._handleCandleMessage([42, [candle(2), candle(1)]], chanData)
+        const candles = ws.getCandles('trade:1m:tBTCUSD')
+
+        ws.once('candles-backfilled', ({ key, start, end, count }) => {
+          assert.strictEqual(key, 'trade:1m:tBTCUSD')
+          assert.strictEqual(start, 3 * M)
+          assert.strictEqual(end, 4 * M)
+          assert.strictEqual(count, 2)
+          assert.deepStrictEqual(requests, [{
+            timeframe: '1m',
+            symbol: 'tBTCUSD',
+            section: 'hist',
+            query: { start: 3 * M, end: 4 * M, limit: 10000, sort: 1 }
+          }])
+
+          assert.strictEqual(ws.getCandles('trade:1m:tBTCUSD'), candles)
+          assert.deepStrictEqual(candles.map(c => c[0] / M), [5, 4, 3, 2, 1])
+          done()
+        })
+
+        ws._handleCandleMessage([42, candle(5)], chanData)
+      })
+
+      it('does not fetch candles for contiguous updates', () => {
+        ws = createBackfillInstance({
+          candles: async () => assert.ok(false, 'should not backfill')
+        })
+
+        ws._handleCandleMessage([42, [candle(2), candle(1)]], chanData)
+        ws._handleCandleMessage([42, candle(2, 20)], chanData)
+        ws._handleCandleMessage([42, candle(3)], chanData)
+
+        assert.deepStrictEqual(ws.getCandles('trade:1m:tBTCUSD').map(c => c[0] / M), [3, 2, 1])
+      })
+
+      it('merges snapshots into existing candles & fills the gap', (done) => {
+        ws = createBackfillInstance({
+          candles: async ({ query }) => {
+            assert.strictEqual(query.start, 3 * M)
+            assert.strictEqual(query.end, 5 * M)
+            return [candle(3), candle(4), candle(5)]
+          }
+        })
+
+        ws._handleCandleMessage([42, [candle(2), candle(1)]], chanData)
+
+        ws.once('candles-backfilled', () => {
+          assert.deepStrictEqual(ws.getCandles('trade:1m:tBTCUSD').map(c => c[0] / M), [
+            7, 6, 5, 4, 3, 2, 1
+          ])
+
+          done()
+        })
+
+        // i.e. after a reconnect
+        ws._handleCandleMessage([42, [candle(7), candle(6)]], chanData)
+      })
+
+      it('skips ranges already being fetched & throttles requests', async () => {
+        const key = 'trade:1m:tBTCUSD'
+        const requests = []
+        const pending = []
+        let throttled = 0
+
+        ws = createBackfillInstance({
+          candles: ({ query }) => {
+            requests.push([query.start / M, query.end / M])
+            return new Promise(resolve => pending.push(resolve))
+          }
+        }, {
+          backfillThrottler: {
+            add: (fn) => {
+              throttled++
+              return fn()
+            }
+          }
+        })
+
+        ws._handleCandleMessage([42, [candle(1)]], chanData)
+
+        ws._checkCandleGap(key, 1 * M, 5 * M)
+        ws._checkCandleGap(key, 1 * M, 5 * M)
+        ws._checkCandleGap(key, 1 * M, 7 * M)
+        ws._checkCandleGap(key, 3 * M, 6 * M)
+
+        assert.deepStrictEqual(requests, [[2, 4], [5, 6]])
+        assert.strictEqual(throttled, 2)
+
+        const backfilled = new Promise(resolve => ws.once('candles-backfilled', resolve))
+
+        pending.shift()([candle(2), candle(3), candle(4)])
+        await backfilled
+
+        ws._checkCandleGap(key, 1 * M, 5 * M)
+        assert.deepStrictEqual(requests, [[2, 4], [5, 6], [2, 4]])
+      })
+
+      it('emits an error if the backfill fails', (done) => {
+        ws = createBackfillInstance({
+          candles: async () => { throw new Error('rate limited') }
+        })
+
+        ws.once('error', (err) => {
+          assert(/failed to backfill candles for trade:1m:tBTCUSD: rate limited/.test(err.message))
+          done()
+        })
+
+        ws._handleCandleMessage([42, [candle(1)]], chanData)
+        ws._handleCandleMessage([42, candle(3)], chanData)
+      })
+
+      it('retries a failed range once the failure is reported', async () => {
+        const key = 'trade:1m:tBTCUSD'
+        let requests = 0
+
+        ws = createBackfillInstance({
+          candles: async () => {
+            if (++requests === 1) throw new Error('rate limited')
+            return [candle(2)]
+          }
+        }, { backfillRequestsPerSecond: 1000 })
+
+        const failed = new Promise(resolve => ws.once('error', resolve))
+
+        ws._handleCandleMessage([42, [candle(1)]], chanData)
+        ws._checkCandleGap(key, 1 * M, 3 * M)
+
+        assert(/rate limited/.test((await failed).message))
+        assert.deepStrictEqual(ws._candleBackfills[key], [])
+
+        const backfilled = new Promise(resolve => ws.once('candles-backfilled', resolve))
+
+        ws._checkCandleGap(key, 1 * M, 3 * M)
+        await backfilled
+
+        assert.strictEqual(requests, 2)
+      })
+
+      it('limits backfill requests to backfillRequestsPerSecond', () => {
+        assert.strictEqual(new WSv2()._backfillThrottler.requestsPerSecond, 0.5)
+        assert.strictEqual(new WSv2({
+          backfillRequestsPerSecond: 4
+        })._backfillThrottler.requestsPerSecond, 4)
+      })
+
+      it('caps the retained history with maxCandles', () => {
+        ws = new WSv2({ manageCandles: true, maxCandles: 2 })
+        ws._channelMap = { 42: chanData }
+
+        ws._handleCandleMessage([42, [candle(3), candle(2), candle(1)]], chanData)
+        assert.deepStrictEqual(ws.getCandles('trade:1m:tBTCUSD').map(c => c[0] / M), [3, 2])
+
+        ws._handleCandleMessage([42, candle(4)], chanData)
+        assert.deepStrictEqual(ws.getCandles('trade:1m:tBTCUSD').map(c => c[0] / M), [4, 3])
+      })
+
+      it('keeps candles across reconnects', () => {
+        ws = createBackfillInstance({})
+        ws._candles = { 'trade:1m:tBTCUSD': [candle(1)] }
+        ws._openSocket(MemorySocket.createPair()[0])
+
+        assert.strictEqual(ws.getCandles('trade:1m:tBTCUSD').length, 1)
+      })
+    })
+
+    it('_handleCandleMessage: forwards transformed data if transform enabled', () => {
+      let seenCandle = false
+      ws = new WSv2({ transform: true })
+      ws._channelMap = {
+        42: {
+          chanId: 42,
           channel: 'candles',
           key: 'trade:1m:tBTCUSD'
         }
@@ -1766,6 +2519,40 @@ describe('WSv2 unit', () => {
         ws.send({ a: 42 })
       })
     })
+
+    it('rate limits outgoing commands by category', () => {
+      ws = createTestWSv2Instance({
+        sendRateLimits: { subscriptions: 1, orderOps: 1 }
+      })
+
+      ws._isOpen = true
+      ws._isAuthenticated = true
+
+      const sent = []
+      ws.send = msg => sent.push(msg)
+
+      ws.subscribe('trades', { symbol: 'tBTCUSD' }).catch(() => {})
+      ws.subscribe('trades', { symbol: 'tETHUSD' }).catch(() => {})
+      ws.cancelOrder(1).catch(() => {})
+      ws.updateOrder({ id: 2, price: 1 }).catch(() => {})
+      ws.cancelOrder(3).catch(() => {})
+      ws.requestCalc(['margin_base'])
+
+      assert.deepStrictEqual(sent.map(m => m.event || m[1]), ['subscribe', 'oc', 'calc'])
+      assert.deepStrictEqual(ws._sendQueue._buckets.orderOps.queue.map(({ msg }) => msg[1]), [
+        'oc', // cancels skip ahead
+        'ou'
+      ])
+
+      const metrics = ws.getSendQueueMetrics()
+
+      assert.deepStrictEqual(metrics.subscriptions, { limit: 1, depth: 1, maxDepth: 1, sent: 1 })
+      assert.deepStrictEqual(metrics.orderOps, { limit: 1, depth: 2, maxDepth: 2, sent: 1 })
+      assert.strictEqual(metrics.calc.limit, 8)
+
+      ws._onWSClose() // drops the queue
+      assert.strictEqual(ws.getSendQueueMetrics().orderOps.depth, 0)
+    })
   })
 
   describe('WSv2 seq audit: _validateMessageSeq', () => {
@@ -1792,6 +2579,25 @@ describe('WSv2 unit', () => {
       assert(_isError(ws._validateMessageSeq([0, [252.12, 2, -1], 3, 5])))
     })
 
+    it('attaches gap details to errors', () => {
+      ws = createTestWSv2Instance()
+
+      ws._seqAudit = true
+      ws._lastPubSeq = 0
+      ws._lastAuthSeq = 0
+
+      const pubErr = ws._validateMessageSeq([243, [252.12, 2, -1], 5])
+      const authErr = ws._validateMessageSeq([0, [252.12, 2, -1], 1, 3])
+
+      assert.deepStrictEqual(pubErr.seqGap, {
+        type: 'pub', expected: 1, received: 5, chanId: 243
+      })
+
+      assert.deepStrictEqual(authErr.seqGap, {
+        type: 'auth', expected: 1, received: 3, chanId: 0
+      })
+    })
+
     it('ignores heartbeats', () => {
       ws = createTestWSv2Instance()
 
@@ -1983,200 +2789,906 @@ describe('WSv2 unit', () => {
     })
   })
 
-  describe('resubscribePreviousChannels', () => {
-    it('resubscribes to channels in prev channel map', () => {
+  describe('ping', () => {
+    it('sends a ping with a cid and resolves with the RTT on pong', async () => {
       ws = createTestWSv2Instance()
-      let subTicker = false
-      let subTrades = false
-      let subBook = false
-      let subCandles = false
+      ws._isOpen = true
+      ws.send = (packet) => {
+        assert.strictEqual(packet.event, 'ping')
+        assert(_isFinite(packet.cid))
 
-      ws._prevChannelMap = {
-        123: { channel: 'ticker', symbol: 'tBTCUSD' },
-        456: { channel: 'trades', symbol: 'tBTCUSD' },
-        789: { channel: 'candles', key: 'trade:1m:tBTCUSD' },
-        42: { channel: 'book', symbol: 'tBTCUSD', prec: 'R0', len: '25' }
+        setTimeout(() => {
+          ws._handlePongEvent({ event: 'pong', ts: Date.now(), cid: packet.cid })
+        }, 10)
       }
 
-      ws.subscribeTicker = (sym) => {
-        assert.strictEqual(sym, 'tBTCUSD')
-        subTicker = true
-      }
+      const rtt = await ws.ping()
 
-      ws.subscribeTrades = (sym) => {
-        assert.strictEqual(sym, 'tBTCUSD')
-        subTrades = true
-      }
+      assert(rtt >= 5)
+      assert.strictEqual(ws.getLatencyStats().last, rtt)
+    })
 
-      ws.subscribeCandles = (key) => {
-        assert.strictEqual(key, 'trade:1m:tBTCUSD')
-        subCandles = true
-      }
+    it('rejects if no pong is received in time', async () => {
+      ws = createTestWSv2Instance({ pingTimeout: 10 })
+      ws._isOpen = true
+      ws.send = () => {}
 
-      ws.subscribeOrderBook = (sym, prec, len) => {
-        assert.strictEqual(sym, 'tBTCUSD')
-        assert.strictEqual(prec, 'R0')
-        assert.strictEqual(len, '25')
-        subBook = true
+      try {
+        await ws.ping()
+        assert(false)
+      } catch (e) {
+        assert(/timed out/.test(e.message))
       }
+    })
 
-      ws.resubscribePreviousChannels()
+    it('rejects if not open', async () => {
+      ws = createTestWSv2Instance()
 
-      assert(subTicker)
-      assert(subTrades)
-      assert(subCandles)
-      assert(subBook)
+      try {
+        await ws.ping()
+        assert(false)
+      } catch (e) {
+        assert(/not open/.test(e.message))
+      }
     })
-  })
 
-  describe('getURL', () => {
-    it('returns the URL the instance was constructed with', () => {
-      const ws = new WSv2({ url: 'test' })
-      assert.strictEqual(ws.getURL(), 'test', 'instance does not use provided URL')
+    it('emits latency events with the current stats', (done) => {
+      ws = createTestWSv2Instance()
+      ws._latencySamples = [10, 30]
+      ws.once('latency', ({ rtt, last, min, max, avg, samples }) => {
+        assert.strictEqual(rtt, 20)
+        assert.strictEqual(last, 20)
+        assert.strictEqual(min, 10)
+        assert.strictEqual(max, 30)
+        assert.strictEqual(avg, 20)
+        assert.strictEqual(samples, 3)
+        done()
+      })
+
+      ws._addLatencySample(20)
     })
-  })
 
-  describe('auth args', () => {
-    it('provides getAuthArgs to read args', () => {
+    it('getLatencyStats: returns null without samples', () => {
       ws = createTestWSv2Instance()
-      ws.updateAuthArgs({ dms: 4 })
-      assert.strictEqual(ws.getAuthArgs().dms, 4)
+      assert.strictEqual(ws.getLatencyStats(), null)
     })
 
-    it('initializes auth args', () => {
+    it('getLatencyStats: reports the p99 RTT', () => {
       ws = createTestWSv2Instance()
-      const initAuthArgs = ws.getAuthArgs()
 
-      assert(_isObject(initAuthArgs))
-      assert.deepStrictEqual(initAuthArgs, {
-        apiKey: API_KEY,
-        apiSecret: API_SECRET
-      })
-    })
+      for (let i = 1; i <= 100; i++) {
+        ws._addLatencySample(i)
+      }
 
-    it('updates auth args with setAuthArgs', async () => {
-      ws = createTestWSv2Instance()
-      wss = new MockWSv2Server()
-      let sendCalled = false
+      ws._addLatencySample(1000)
 
-      await ws.open()
+      const { p99, max, samples } = ws.getLatencyStats()
 
-      ws.updateAuthArgs({ dms: 4 })
-      assert.strictEqual(ws.getAuthArgs().dms, 4)
+      assert.strictEqual(samples, 100)
+      assert.strictEqual(p99, 100)
+      assert.strictEqual(max, 1000)
+    })
 
-      ws.send = (payload) => {
-        assert.strictEqual(payload.dms, 4)
-        sendCalled = true
-        ws.emit('auth')
+    it('heartbeat: reconnects if the pong is not received in time', (done) => {
+      ws = createTestWSv2Instance({ pingInterval: 10, pingTimeout: 10 })
+      ws._isOpen = true
+      ws.send = () => {}
+      ws.reconnect = async () => {
+        ws._stopPingHeartbeat()
+        done()
       }
 
-      ws.auth() // note promise ignored
-      assert(sendCalled)
+      ws._startPingHeartbeat()
     })
-  })
 
-  describe('usesAgent', () => {
-    it('returns true if an agent was passed to the constructor', () => {
-      ws = createTestWSv2Instance({
-        agent: new SocksProxyAgent('socks4://127.0.0.1:9998')
-      })
+    it('heartbeat: stops when the connection closes', () => {
+      ws = createTestWSv2Instance({ pingInterval: 10 })
+      ws._onWSOpen()
 
-      assert.ok(ws.usesAgent(), 'usesAgent() does not indicate agent presence when one was provided')
+      assert(ws._pingHeartbeatInterval !== null)
+      ws._onWSClose()
+      assert.strictEqual(ws._pingHeartbeatInterval, null)
     })
+  })
 
-    it('returns false if no agent was passed to the constructor', () => {
+  describe('message-handled', () => {
+    it('is emitted with the channel type & handler duration', () => {
       ws = createTestWSv2Instance()
+      ws._channelMap[42] = { chanId: 42, channel: 'ticker', symbol: 'tBTCUSD' }
 
-      assert.ok(!ws.usesAgent(), 'usesAgent() indicates agent presence when none provided')
-    })
-  })
+      const events = []
 
-  describe('default connection url', () => {
-    it('is a static member on the class', () => {
-      assert.ok(_isString(WSv2.url) && !_isEmpty(WSv2.url))
+      ws.on('message-handled', e => events.push(e))
+      ws._onWSMessage('[42,"hb"]')
+      ws._onWSMessage('[43,"hb"]')
+      ws._onWSMessage('{"event":"info","version":2}')
+
+      assert.deepStrictEqual(events.map(e => e.channel), [
+        'ticker', 'unknown', 'event'
+      ])
+
+      events.forEach(({ duration }) => assert(_isFinite(duration) && duration >= 0))
     })
-  })
 
-  describe('onMaintenanceStart', () => {
-    it('is called when receiving a 20060 info code', async () => {
+    it('handlers are not timed without listeners', () => {
+      const { hrtime } = process
+      let calls = 0
+
       ws = createTestWSv2Instance()
-      wss = new MockWSv2Server()
+      ws._channelMap[42] = { chanId: 42, channel: 'ticker', symbol: 'tBTCUSD' }
 
-      await ws.open()
+      process.hrtime = (...args) => {
+        calls++
+        return hrtime(...args)
+      }
 
-      return new Promise((resolve) => {
-        ws.onMaintenanceStart(() => resolve())
-        wss.send({
-          event: 'info',
-          code: '20060'
-        })
-      })
+      try {
+        ws._onWSMessage('[42,"hb"]')
+        assert.strictEqual(calls, 0)
+
+        ws.on('message-handled', () => {})
+        ws._onWSMessage('[42,"hb"]')
+        assert.strictEqual(calls, 2)
+      } finally {
+        process.hrtime = hrtime
+      }
     })
   })
 
-  describe('onMaintenanceEnd', () => {
-    it('is called when receiving a 20061 info code', async () => {
-      ws = createTestWSv2Instance()
-      wss = new MockWSv2Server()
+  describe('getStats', () => {
+    it('reports message & byte counts in both directions', async () => {
+      let server = null
 
-      await ws.open()
+      ws = createTestWSv2Instance({
+        transport: () => {
+          const [client, srv] = MemorySocket.createPair()
 
-      return new Promise((resolve) => {
-        ws.onMaintenanceEnd(() => resolve())
-        wss.send({
-          event: 'info',
-          code: '20061'
-        })
+          server = srv
+          return client
+        }
       })
-    })
-  })
 
-  describe('onServerRestart', () => {
-    it('is called when receiving a 20051 info code', async () => {
-      ws = createTestWSv2Instance()
-      wss = new MockWSv2Server()
+      assert.deepStrictEqual(ws.getStats(), {
+        isOpen: false,
+        isAuthenticated: false,
+        uptime: 0,
+        reconnects: 0,
+        messagesIn: 0,
+        messagesOut: 0,
+        bytesIn: 0,
+        bytesOut: 0,
+        lastMessageAge: null,
+        latency: null
+      })
 
       await ws.open()
 
-      return new Promise((resolve) => {
-        ws.onServerRestart(() => resolve())
-        wss.send({
-          event: 'info',
-          code: '20051'
-        })
-      })
-    })
-  })
+      const info = new Promise(resolve => ws.once('info', resolve))
 
-  describe('cancelOrder', () => {
-    it('throws an error if not authenticated', (done) => {
-      ws = createTestWSv2Instance()
-      ws.cancelOrder().catch(() => { done() })
-    })
+      ws.send({ event: 'ping', cid: 1 })
+      server.send('{"event":"info","version":2}')
+      await info
 
-    it('uses order as id if given number', (done) => {
-      ws = createTestWSv2Instance()
-      ws._isAuthenticated = true
-      ws._sendOrderPacket = (packet) => {
-        assert.deepStrictEqual(packet[3], { id: 42 })
-        done()
-      }
+      ws._latencySamples = [10, 20]
 
-      ws.cancelOrder(42)
+      const stats = ws.getStats()
+
+      assert(stats.isOpen)
+      assert(stats.uptime >= 0)
+      assert(stats.lastMessageAge >= 0)
+      assert.strictEqual(stats.messagesIn, 1)
+      assert.strictEqual(stats.messagesOut, 1)
+      assert.strictEqual(stats.bytesIn, 28)
+      assert.strictEqual(stats.bytesOut, 24)
+      assert.strictEqual(stats.latency, 15)
     })
 
-    it('parses id from order array', (done) => {
+    it('counts reconnects', () => {
       ws = createTestWSv2Instance()
-      ws._isAuthenticated = true
-      ws._sendOrderPacket = (packet) => {
-        assert.deepStrictEqual(packet[3], { id: 42 })
-        done()
-      }
+      ws._onWSOpen()
+      ws._onWSOpen()
+      ws._onWSOpen()
 
-      ws.cancelOrder([42])
+      assert.strictEqual(ws.getStats().reconnects, 2)
+      ws._stopPingHeartbeat()
     })
+  })
 
-    it('parses id from order object', (done) => {
+  describe('subscriptions', () => {
+    it('subscribe: resolves with the channel data once subscribed', async () => {
+      wss = new MockWSv2Server()
+      ws = createTestWSv2Instance()
+
+      await ws.open()
+
+      const chanData = await ws.subscribeOrderBook('tBTCUSD', 'R0', '25')
+
+      assert.strictEqual(chanData.channel, 'book')
+      assert.strictEqual(chanData.symbol, 'tBTCUSD')
+      assert.strictEqual(chanData.prec, 'R0')
+      assert(ws.hasChannel(chanData.chanId))
+    })
+
+    it('subscribe: rejects on a matching error event', async () => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      ws.on('error', () => {})
+      ws.send = (packet) => {
+        ws._handleErrorEvent({
+          ...packet,
+          event: 'error',
+          msg: 'symbol: invalid',
+          code: 10300
+        })
+      }
+
+      try {
+        await ws.subscribeTicker('tINVALID')
+        assert(false)
+      } catch (e) {
+        assert(/symbol: invalid/.test(e.message))
+      }
+    })
+
+    it('subscribe: ignores error events for other requests', async () => {
+      ws = createTestWSv2Instance({ subscribeTimeout: 20 })
+      ws._isOpen = true
+      ws.on('error', () => {})
+
+      let err = null
+      const p = ws.subscribeTicker('tBTCUSD').catch((e) => { err = e })
+
+      ws._handleErrorEvent({ event: 'error', channel: 'ticker', symbol: 'tETHUSD' })
+      await Promise.delay(5)
+      assert.strictEqual(err, null)
+
+      await p
+      assert(/timed out/.test(err.message))
+    })
+
+    it('subscribe: rejects on timeout', async () => {
+      ws = createTestWSv2Instance({ subscribeTimeout: 20 })
+      ws._isOpen = true
+      ws.send = () => {}
+
+      try {
+        await ws.subscribe('ticker', { symbol: 'tBTCUSD' })
+        assert(false)
+      } catch (e) {
+        assert(/timed out/.test(e.message))
+        assert.strictEqual(ws._pendingSubscriptions.length, 0)
+      }
+    })
+
+    it('subscribe: rejects if not open', async () => {
+      ws = createTestWSv2Instance()
+
+      try {
+        await ws.subscribe('ticker', { symbol: 'tBTCUSD' })
+        assert(false)
+      } catch (e) {
+        assert(/not open/.test(e.message))
+      }
+    })
+
+    it('subscribe: rejects pending requests when the connection closes', async () => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      ws.send = () => {}
+
+      const p = ws.subscribeTicker('tBTCUSD')
+      ws._onWSClose()
+
+      try {
+        await p
+        assert(false)
+      } catch (e) {
+        assert(/closed/.test(e.message))
+      }
+    })
+
+    it('subscribe: fire & forget calls do not raise unhandled rejections', async () => {
+      const unhandled = []
+      const onUnhandled = err => unhandled.push(err)
+      const errors = []
+
+      ws = createTestWSv2Instance({ subscribeTimeout: 10 })
+      ws._isOpen = true
+      ws.on('error', err => errors.push(err))
+      ws.send = (packet) => {
+        if (packet.symbol === 'tINVALID') {
+          ws._handleErrorEvent({
+            ...packet,
+            event: 'error',
+            msg: 'symbol: invalid',
+            code: 10300
+          })
+        }
+      }
+
+      process.on('unhandledRejection', onUnhandled)
+
+      try {
+        ws.subscribeTicker('tINVALID') // server error
+        ws.subscribeTrades('tBTCUSD') // timeout
+
+        await Promise.delay(30)
+
+        ws.subscribeOrderBook('tBTCUSD') // connection close
+        ws.unsubscribe(42)
+        ws._onWSClose()
+        ws.subscribeTicker('tETHUSD') // not open
+        ws.unsubscribe(42)
+
+        await Promise.delay(10)
+      } finally {
+        process.removeListener('unhandledRejection', onUnhandled)
+      }
+
+      assert.deepStrictEqual(unhandled, [])
+      assert.strictEqual(errors.length, 3)
+      assert.strictEqual(errors[0].code, 10300)
+      assert.ok(/not open/.test(errors[1].message))
+      assert.ok(/not open/.test(errors[2].message))
+    })
+
+    it('managedSubscribe: resolves all refs with the same channel data', async () => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      let sent = 0
+
+      ws.send = (packet) => {
+        sent++
+        setTimeout(() => {
+          ws._handleSubscribedEvent({ ...packet, event: 'subscribed', chanId: 42 })
+        }, 5)
+      }
+
+      const [a, b] = await Promise.all([
+        ws.subscribeTrades('tBTCUSD'),
+        ws.subscribeTrades('tBTCUSD')
+      ])
+
+      const c = await ws.subscribeTrades('tBTCUSD')
+
+      assert.strictEqual(sent, 1)
+      assert.strictEqual(a.chanId, 42)
+      assert.strictEqual(b, a)
+      assert.strictEqual(c, a)
+      assert.strictEqual(ws._subscriptionRefs['trades:tBTCUSD'], 3)
+    })
+
+    it('managedSubscribe: drops the ref if the subscription fails', async () => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      ws.on('error', () => {})
+      ws.send = (packet) => {
+        ws._handleErrorEvent({ ...packet, event: 'error', msg: 'dup', code: 10301 })
+      }
+
+      try {
+        await ws.subscribeTrades('tBTCUSD')
+        assert(false)
+      } catch (e) {
+        assert(!ws.hasSubscriptionRef('trades', 'tBTCUSD'))
+      }
+    })
+
+    it('unsubscribe: resolves with the channel data once unsubscribed', async () => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      ws._channelMap = { 42: { channel: 'ticker', chanId: 42, symbol: 'tBTCUSD' } }
+      ws.send = (packet) => {
+        assert.deepStrictEqual(packet, { event: 'unsubscribe', chanId: 42 })
+        ws._handleUnsubscribedEvent({ event: 'unsubscribed', status: 'OK', chanId: 42 })
+      }
+
+      const chanData = await ws.unsubscribe('42')
+
+      assert.strictEqual(chanData.symbol, 'tBTCUSD')
+      assert(!ws.hasChannel(42))
+    })
+
+    it('managedUnsubscribe: resolves null if not subscribed', async () => {
+      ws = createTestWSv2Instance()
+      ws.send = () => assert(false)
+
+      assert.strictEqual(await ws.unsubscribeTicker('tBTCUSD'), null)
+    })
+
+    it('managedUnsubscribe: resolves immediately while other refs remain', async () => {
+      ws = createTestWSv2Instance()
+      ws._channelMap = { 42: { channel: 'ticker', chanId: 42, symbol: 'tBTCUSD' } }
+      ws._subscriptionRefs = { 'ticker:tBTCUSD': 2 }
+      ws.send = () => assert(false)
+
+      const chanData = await ws.unsubscribeTicker('tBTCUSD')
+
+      assert.strictEqual(chanData.chanId, 42)
+      assert.strictEqual(ws._subscriptionRefs['ticker:tBTCUSD'], 1)
+    })
+
+    it('transferSubscriptionRefs: hands refs over & drops channel messages until unsubscribed', () => {
+      const target = createTestWSv2Instance()
+      const seen = []
+
+      ws = createTestWSv2Instance()
+      ws._channelMap = { 42: { channel: 'ticker', chanId: 42, symbol: 'tBTCUSD' } }
+      ws._subscriptionRefs = { 'ticker:tBTCUSD': 3 }
+      target._subscriptionRefs = { 'ticker:tBTCUSD': 1 }
+      ws.onTicker({ symbol: 'tBTCUSD' }, ticker => seen.push(ticker[0]))
+
+      assert(!ws.transferSubscriptionRefs('ticker', 'tETHUSD', target))
+      assert(ws.transferSubscriptionRefs('ticker', 'tBTCUSD', target))
+      assert.strictEqual(target._subscriptionRefs['ticker:tBTCUSD'], 3)
+      assert.strictEqual(ws._subscriptionRefs['ticker:tBTCUSD'], 1)
+
+      ws._onWSMessage(JSON.stringify([42, [7245.1, 1, 7245.2, 1, 0, 0, 7245.1, 1, 7300, 7200]]))
+      assert.deepStrictEqual(seen, [])
+
+      ws._handleUnsubscribedEvent({ event: 'unsubscribed', chanId: 42 })
+      ws._channelMap = { 42: { channel: 'ticker', chanId: 42, symbol: 'tBTCUSD' } }
+      ws._onWSMessage(JSON.stringify([42, [7245.1, 1, 7245.2, 1, 0, 0, 7245.1, 1, 7300, 7200]]))
+      assert.deepStrictEqual(seen, [7245.1])
+    })
+
+    it('subscribeOrderBook: ref counts books by symbol, prec & len', async () => {
+      const received = []
+      let lastChanId = 0
+
+      ws = createTestWSv2Instance({
+        transport: () => {
+          const [client, server] = MemorySocket.createPair()
+
+          server.on('message', (msg) => {
+            const packet = JSON.parse(msg)
+            received.push(packet)
+
+            if (packet.event === 'subscribe') {
+              server.send(JSON.stringify({
+                ...packet,
+                event: 'subscribed',
+                chanId: ++lastChanId
+              }))
+            } else if (packet.event === 'unsubscribe') {
+              server.send(JSON.stringify({
+                event: 'unsubscribed',
+                status: 'OK',
+                chanId: packet.chanId
+              }))
+            }
+          })
+
+          return client
+        }
+      })
+
+      await ws.open()
+
+      const p0 = await ws.subscribeOrderBook('tBTCUSD', 'P0', '25')
+      const r0 = await ws.subscribeOrderBook('tBTCUSD', 'R0', '25')
+      const p0Again = await ws.subscribeOrderBook('tBTCUSD', 'P0', '25')
+
+      assert.strictEqual(received.length, 2)
+      assert.strictEqual(r0.prec, 'R0')
+      assert.notStrictEqual(p0.chanId, r0.chanId)
+      assert.strictEqual(p0Again.chanId, p0.chanId)
+      assert(ws.hasSubscriptionRef('book', 'tBTCUSD:P0:25'))
+      assert(ws.hasSubscriptionRef('book', 'tBTCUSD:R0:25'))
+
+      await ws.unsubscribeOrderBook('tBTCUSD', 'R0', '25')
+
+      assert.deepStrictEqual(received[2], { event: 'unsubscribe', chanId: r0.chanId })
+      assert(ws.hasChannel(p0.chanId))
+      assert(!ws.hasChannel(r0.chanId))
+
+      await ws.close()
+    })
+
+    it('unsubscribeOrderBook & hasSubscriptionRef: resolve a symbol to the one subscribed book', async () => {
+      const unsubs = []
+
+      ws = createTestWSv2Instance()
+      ws._channelMap = {
+        42: { channel: 'book', chanId: 42, symbol: 'tBTCUSD', prec: 'R0', len: '100' }
+      }
+      ws._subscriptionRefs = { 'book:tBTCUSD:R0:100': 1 }
+      ws.unsubscribe = async (chanId) => { unsubs.push(chanId) }
+
+      assert(ws.hasSubscriptionRef('book', 'tBTCUSD'))
+      assert(!ws.hasSubscriptionRef('book', 'tETHUSD'))
+      assert.strictEqual(await ws.unsubscribeOrderBook('tETHUSD'), null)
+
+      await ws.unsubscribeOrderBook('tBTCUSD')
+
+      assert.deepStrictEqual(unsubs, ['42'])
+      assert(!ws.hasSubscriptionRef('book', 'tBTCUSD'))
+    })
+
+    it('unsubscribeOrderBook: requires prec & len if several books are subscribed for the symbol', async () => {
+      const unsubs = []
+
+      ws = createTestWSv2Instance()
+      ws._channelMap = {
+        42: { channel: 'book', chanId: 42, symbol: 'tBTCUSD', prec: 'P0', len: '25' },
+        43: { channel: 'book', chanId: 43, symbol: 'tBTCUSD', prec: 'R0', len: '100' }
+      }
+      ws._subscriptionRefs = { 'book:tBTCUSD:P0:25': 1, 'book:tBTCUSD:R0:100': 1 }
+      ws.unsubscribe = async (chanId) => { unsubs.push(chanId) }
+
+      assert.throws(() => ws.unsubscribeOrderBook('tBTCUSD'), /several books subscribed for tBTCUSD/)
+
+      await ws.unsubscribeOrderBook('tBTCUSD', 'R0')
+
+      assert.deepStrictEqual(unsubs, ['43'])
+    })
+  })
+
+  describe('resubscribePreviousChannels', () => {
+    it('replays the original subscribe packet for each previous channel', async () => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      const sent = []
+
+      ws._subscribePayloads = {
+        42: {
+          event: 'subscribe',
+          channel: 'book',
+          symbol: 'tBTCUSD',
+          prec: 'R0',
+          len: '25',
+          freq: 'F1'
+        },
+        43: { event: 'subscribe', channel: 'status', key: 'liq:global' }
+      }
+
+      ws._prevChannelMap = {
+        42: { channel: 'book', chanId: 42, symbol: 'tBTCUSD', prec: 'R0', len: '25', freq: 'F1' },
+        43: { channel: 'status', chanId: 43, key: 'liq:global' }
+      }
+
+      ws.send = (packet) => {
+        sent.push(packet)
+        ws._handleSubscribedEvent({ ...packet, event: 'subscribed', chanId: sent.length })
+      }
+
+      await ws.resubscribePreviousChannels()
+
+      assert.deepStrictEqual(sent, [
+        ws._subscribePayloads[1],
+        ws._subscribePayloads[2]
+      ])
+
+      assert.strictEqual(sent[0].freq, 'F1')
+      assert.strictEqual(sent[1].channel, 'status')
+      assert.strictEqual(sent[1].key, 'liq:global')
+      assert(!ws._subscribePayloads[42])
+      assert(!ws._subscribePayloads[43])
+    })
+
+    it('rebuilds subscribe packets from channel data if the original is unknown', async () => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      const sent = []
+
+      ws._prevChannelMap = {
+        123: { event: 'subscribed', channel: 'ticker', chanId: 123, symbol: 'tBTCUSD', pair: 'BTCUSD' },
+        456: { event: 'subscribed', channel: 'trades', chanId: 456, symbol: 'tBTCUSD', pair: 'BTCUSD' },
+        789: { event: 'subscribed', channel: 'candles', chanId: 789, key: 'trade:1m:tBTCUSD' },
+        42: { event: 'subscribed', channel: 'book', chanId: 42, symbol: 'tBTCUSD', prec: 'R0', len: '25', freq: 'F0', pair: 'BTCUSD' },
+        43: { event: 'subscribed', channel: 'status', chanId: 43, key: 'deriv:tBTCF0:USTF0' },
+        44: { event: 'subscribed', channel: 'future', chanId: 44, foo: 'bar' }
+      }
+
+      ws.send = (packet) => {
+        sent.push(packet)
+        ws._handleSubscribedEvent({ ...packet, event: 'subscribed', chanId: sent.length })
+      }
+
+      await ws.resubscribePreviousChannels()
+
+      assert.deepStrictEqual(sent, [
+        { event: 'subscribe', channel: 'book', symbol: 'tBTCUSD', prec: 'R0', len: '25', freq: 'F0' },
+        { event: 'subscribe', channel: 'status', key: 'deriv:tBTCF0:USTF0' },
+        { event: 'subscribe', channel: 'future', foo: 'bar' },
+        { event: 'subscribe', channel: 'ticker', symbol: 'tBTCUSD' },
+        { event: 'subscribe', channel: 'trades', symbol: 'tBTCUSD' },
+        { event: 'subscribe', channel: 'candles', key: 'trade:1m:tBTCUSD' }
+      ])
+    })
+
+    it('does not resubscribe to the auth channel', async () => {
+      ws = createTestWSv2Instance()
+      ws._prevChannelMap = { 0: { channel: 'auth' } }
+      ws.send = () => assert(false)
+
+      await ws.resubscribePreviousChannels()
+    })
+
+    it('restores previous subscription ref counts', async () => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      ws._prevChannelMap = { 42: { channel: 'ticker', chanId: 42, symbol: 'tBTCUSD' } }
+      ws._prevSubscriptionRefs = { 'ticker:tBTCUSD': 2 }
+      ws.send = (packet) => {
+        ws._handleSubscribedEvent({ ...packet, event: 'subscribed', chanId: 1 })
+      }
+
+      await ws.resubscribePreviousChannels()
+
+      assert.strictEqual(ws._subscriptionRefs['ticker:tBTCUSD'], 2)
+    })
+
+    it('emits resubscribed with restored and failed channels', (done) => {
+      ws = createTestWSv2Instance()
+      ws._isOpen = true
+      ws._prevChannelMap = {
+        42: { channel: 'ticker', chanId: 42, symbol: 'tBTCUSD' },
+        43: { channel: 'status', chanId: 43, key: 'liq:global' }
+      }
+
+      ws.on('error', () => {})
+      ws.send = (packet) => {
+        if (packet.channel === 'ticker') {
+          ws._handleSubscribedEvent({ ...packet, event: 'subscribed', chanId: 1 })
+        } else {
+          ws._handleErrorEvent({ ...packet, event: 'error', msg: 'subscribe: dup', code: 10301 })
+        }
+      }
+
+      ws.once('resubscribed', ({ restored, failed }) => {
+        assert.strictEqual(restored.length, 1)
+        assert.strictEqual(restored[0].chanId, 1)
+        assert.strictEqual(restored[0].symbol, 'tBTCUSD')
+        assert.strictEqual(failed.length, 1)
+        assert.strictEqual(failed[0].packet.key, 'liq:global')
+        assert(_isError(failed[0].error))
+        done()
+      })
+
+      ws.resubscribePreviousChannels()
+    })
+
+    it('restores status channels after a reconnect', async () => {
+      wss = new MockWSv2Server()
+      ws = createTestWSv2Instance({ reconnectDelay: 10 })
+
+      await ws.open()
+      await new Promise((resolve) => {
+        ws.once('subscribed', resolve)
+        ws.subscribeStatus('liq:global')
+      })
+
+      return new Promise((resolve) => {
+        ws.once('resubscribed', ({ restored, failed }) => {
+          assert.strictEqual(failed.length, 0)
+          assert.strictEqual(restored.length, 1)
+          assert.strictEqual(restored[0].channel, 'status')
+          assert.strictEqual(restored[0].key, 'liq:global')
+          assert(ws.hasSubscriptionRef('status', 'liq:global'))
+          resolve()
+        })
+
+        ws.reconnect()
+      })
+    })
+  })
+
+  describe('getURL', () => {
+    it('returns the URL the instance was constructed with', () => {
+      const ws = new WSv2({ url: 'test' })
+      assert.strictEqual(ws.getURL(), 'test', 'instance does not use provided URL')
+    })
+  })
+
+  describe('auth args', () => {
+    it('provides getAuthArgs to read args', () => {
+      ws = createTestWSv2Instance()
+      ws.updateAuthArgs({ dms: 4 })
+      assert.strictEqual(ws.getAuthArgs().dms, 4)
+    })
+
+    it('initializes auth args', () => {
+      ws = createTestWSv2Instance()
+      const initAuthArgs = ws.getAuthArgs()
+
+      assert(_isObject(initAuthArgs))
+      assert.deepStrictEqual(initAuthArgs, {
+        apiKey: API_KEY,
+        apiSecret: API_SECRET
+      })
+    })
+
+    it('updates auth args with setAuthArgs', async () => {
+      ws = createTestWSv2Instance()
+      wss = new MockWSv2Server()
+      let sendCalled = false
+
+      await ws.open()
+
+      ws.updateAuthArgs({ dms: 4 })
+      assert.strictEqual(ws.getAuthArgs().dms, 4)
+
+      ws.send = (payload) => {
+        assert.strictEqual(payload.dms, 4)
+        sendCalled = true
+        ws.emit('auth')
+      }
+
+      ws.auth() // note promise ignored
+      assert(sendCalled)
+    })
+  })
+
+  describe('usesAgent', () => {
+    it('returns true if an agent was passed to the constructor', () => {
+      ws = createTestWSv2Instance({
+        agent: new SocksProxyAgent('socks4://127.0.0.1:9998')
+      })
+
+      assert.ok(ws.usesAgent(), 'usesAgent() does not indicate agent presence when one was provided')
+    })
+
+    it('returns false if no agent was passed to the constructor', () => {
+      ws = createTestWSv2Instance()
+
+      assert.ok(!ws.usesAgent(), 'usesAgent() indicates agent presence when none provided')
+    })
+  })
+
+  describe('transport', () => {
+    it('opens the socket returned by the transport factory', async () => {
+      const calls = []
+      let server = null
+
+      ws = createTestWSv2Instance({
+        agent: 'test-agent',
+        transport: (url, opts) => {
+          const [client, srv] = MemorySocket.createPair()
+
+          calls.push([url, opts])
+          server = srv
+          return client
+        }
+      })
+
+      await ws.open()
+
+      assert(ws.isOpen())
+      assert.deepStrictEqual(calls, [['ws://localhost:9997', { agent: 'test-agent' }]])
+
+      const received = new Promise(resolve => server.once('message', resolve))
+
+      ws.send({ event: 'ping', cid: 1 })
+
+      assert.deepStrictEqual(JSON.parse(await received), { event: 'ping', cid: 1 })
+
+      const info = new Promise(resolve => ws.once('info', resolve))
+
+      server.send(JSON.stringify({ event: 'info', version: 2 }))
+
+      assert.strictEqual((await info).version, 2)
+    })
+
+    it('calls the factory again on reconnect', async () => {
+      let sockets = 0
+
+      ws = createTestWSv2Instance({
+        autoReconnect: true,
+        reconnectDelay: 1,
+        transport: () => {
+          const [client, server] = MemorySocket.createPair()
+
+          sockets++
+
+          if (sockets === 1) {
+            server.once('open', () => server.close())
+          }
+
+          return client
+        }
+      })
+
+      await ws.open()
+      await new Promise(resolve => ws.once('open', resolve))
+
+      assert.strictEqual(sockets, 2)
+      assert(ws.isOpen())
+    })
+
+    it('defaults to the ws module', () => {
+      ws = createTestWSv2Instance()
+
+      assert.strictEqual(ws._transport, WSv2.createWebSocket)
+    })
+  })
+
+  describe('default connection url', () => {
+    it('is a static member on the class', () => {
+      assert.ok(_isString(WSv2.url) && !_isEmpty(WSv2.url))
+    })
+  })
+
+  describe('onMaintenanceStart', () => {
+    it('is called when receiving a 20060 info code', async () => {
+      ws = createTestWSv2Instance()
+      wss = new MockWSv2Server()
+
+      await ws.open()
+
+      return new Promise((resolve) => {
+        ws.onMaintenanceStart(() => resolve())
+        wss.send({
+          event: 'info',
+          code: '20060'
+        })
+      })
+    })
+  })
+
+  describe('onMaintenanceEnd', () => {
+    it('is called when receiving a 20061 info code', async () => {
+      ws = createTestWSv2Instance()
+      wss = new MockWSv2Server()
+
+      await ws.open()
+
+      return new Promise((resolve) => {
+        ws.onMaintenanceEnd(() => resolve())
+        wss.send({
+          event: 'info',
+          code: '20061'
+        })
+      })
+    })
+  })
+
+  describe('onServerRestart', () => {
+    it('is called when receiving a 20051 info code', async () => {
+      ws = createTestWSv2Instance()
+      wss = new MockWSv2Server()
+
+      await ws.open()
+
+      return new Promise((resolve) => {
+        ws.onServerRestart(() => resolve())
+        wss.send({
+          event: 'info',
+          code: '20051'
+        })
+      })
+    })
+  })
+
+  describe('cancelOrder', () => {
+    it('throws an error if not authenticated', (done) => {
+      ws = createTestWSv2Instance()
+      ws.cancelOrder().catch(() => { done() })
+    })
+
+    it('uses order as id if given number', (done) => {
+      ws = createTestWSv2Instance()
+      ws._isAuthenticated = true
+      ws._sendOrderPacket = (packet) => {
+        assert.deepStrictEqual(packet[3], { id: 42 })
+        done()
+      }
+
+      ws.cancelOrder(42)
+    })
+
+    it('parses id from order array', (done) => {
+      ws = createTestWSv2Instance()
+      ws._isAuthenticated = true
+      ws._sendOrderPacket = (packet) => {
+        assert.deepStrictEqual(packet[3], { id: 42 })
+        done()
+      }
+
+      ws.cancelOrder([42])
+    })
+
+    it('parses id from order object', (done) => {
       ws = createTestWSv2Instance()
       ws._isAuthenticated = true
       ws._sendOrderPacket = (packet) => {
@@ -2316,4 +3828,306 @@ describe('WSv2 unit', () => {
       assert.strictEqual(ws.getDataChannelId('ticker', { symbol: 'fUSD' }), 'test')
     })
   })
+
+  describe('account state', () => {
+    const authChanData = { channel: 'auth', chanId: 0 }
+
+    it('maintains orders from the snapshot & updates', () => {
+      ws = createTestWSv2Instance({ manageAccountState: true })
+
+      ws._handleAuthMessage([0, 'os', [
+        [1, null, 0, 'tBTCUSD'],
+        [2, null, 0, 'tETHUSD']
+      ]], authChanData)
+
+      ws._handleAuthMessage([0, 'on', [3, null, 0, 'tBTCUSD']], authChanData)
+      ws._handleAuthMessage([0, 'ou', [1, null, 0, 'tBTCUSD', 0, 0, 2]], authChanData)
+      ws._handleAuthMessage([0, 'oc', [2, null, 0, 'tETHUSD']], authChanData)
+
+      const orders = ws.getOrders()
+
+      assert.strictEqual(orders.length, 2)
+      assert.ok(orders[0] instanceof Order)
+      assert.deepStrictEqual(orders.map(o => o.id), [1, 3])
+      assert.strictEqual(orders[0].amount, 2)
+      assert.strictEqual(ws.getOrders({ symbol: 'tETHUSD' }).length, 0)
+      assert.strictEqual(ws.getOrders({ symbol: 'tBTCUSD' }).length, 2)
+    })
+
+    it('emits change events with the affected models', () => {
+      ws = createTestWSv2Instance({ manageAccountState: true })
+      const changes = []
+
+      ws.on('orders-changed', change => changes.push(change))
+
+      ws._handleAuthMessage([0, 'os', [[1, null, 0, 'tBTCUSD']]], authChanData)
+      ws._handleAuthMessage([0, 'on', [2, null, 0, 'tBTCUSD']], authChanData)
+      ws._handleAuthMessage([0, 'oc', [1, null, 0, 'tBTCUSD']], authChanData)
+
+      assert.deepStrictEqual(changes.map(c => c.action), ['snapshot', 'update', 'remove'])
+      assert.strictEqual(changes[0].data[0].id, 1)
+      assert.ok(changes[1].data instanceof Order)
+      assert.strictEqual(changes[1].data.id, 2)
+      assert.strictEqual(changes[2].data.id, 1)
+    })
+
+    it('maintains positions, wallets & funding collections', () => {
+      ws = createTestWSv2Instance({ manageAccountState: true })
+
+      ws._handleAuthMessage([0, 'ps', [['tBTCUSD', 'ACTIVE', 1]]], authChanData)
+      ws._handleAuthMessage([0, 'pn', ['tETHUSD', 'ACTIVE', 2]], authChanData)
+      ws._handleAuthMessage([0, 'pc', ['tBTCUSD', 'CLOSED', 0]], authChanData)
+
+      ws._handleAuthMessage([0, 'ws', [
+        ['exchange', 'USD', 100],
+        ['margin', 'USD', 50]
+      ]], authChanData)
+
+      ws._handleAuthMessage([0, 'wu', ['exchange', 'USD', 150]], authChanData)
+
+      ws._handleAuthMessage([0, 'fos', [[10, 'fUSD']]], authChanData)
+      ws._handleAuthMessage([0, 'fcn', [11, 'fUSD']], authChanData)
+      ws._handleAuthMessage([0, 'fln', [12, 'fBTC']], authChanData)
+
+      assert.deepStrictEqual(ws.getPositions().map(p => p.symbol), ['tETHUSD'])
+      assert.ok(ws.getPositions()[0] instanceof Position)
+      assert.strictEqual(ws.getWallets().length, 2)
+      assert.strictEqual(ws.getWallets({ type: 'exchange', currency: 'USD' })[0].balance, 150)
+      assert.ok(ws.getWallets()[0] instanceof Wallet)
+      assert.deepStrictEqual(ws.getFundingOffers().map(o => o.id), [10])
+      assert.deepStrictEqual(ws.getFundingCredits({ symbol: 'fUSD' }).map(c => c.id), [11])
+      assert.deepStrictEqual(ws.getFundingLoans({ symbol: 'fUSD' }), [])
+    })
+
+    it('does nothing if management is disabled', () => {
+      ws = createTestWSv2Instance()
+
+      ws._handleAuthMessage([0, 'os', [[1, null, 0, 'tBTCUSD']]], authChanData)
+      assert.deepStrictEqual(ws.getOrders(), [])
+    })
+  })
+
+  describe('order op tracking', () => {
+    const createAuthedInstance = (params) => {
+      const ws = createTestWSv2Instance(params)
+      ws._isAuthenticated = true
+      ws.send = () => {}
+      return ws
+    }
+
+    it('lists pending ops until they are confirmed', async () => {
+      ws = createAuthedInstance()
+
+      const pCancel = ws.cancelOrder(42)
+      const pUpdate = ws.updateOrder({ id: 43, price: 10 })
+
+      assert.deepStrictEqual(ws.getPendingOrderOps().map(op => [op.type, op.id]), [
+        ['oc', 42],
+        ['ou', 43]
+      ])
+
+      assert.ok(_isFinite(ws.getPendingOrderOps()[0].ts))
+
+      ws._onWSNotification([0, 'oc-req', null, null, [42], 0, 'SUCCESS'])
+      await pCancel
+
+      assert.deepStrictEqual(ws.getPendingOrderOps().map(op => op.id), [43])
+
+      ws._onWSNotification([0, 'ou-req', null, null, [43], 0, 'SUCCESS'])
+      await pUpdate
+
+      assert.deepStrictEqual(ws.getPendingOrderOps(), [])
+    })
+
+    it('rejects with a timeout error if not confirmed in time', async () => {
+      ws = createAuthedInstance({ orderOpTimeout: 10 })
+
+      try {
+        await ws.submitOrder({
+          cid: 1,
+          type: 'EXCHANGE LIMIT',
+          price: 100,
+          amount: 1,
+          symbol: 'tBTCUSD'
+        })
+
+        assert(false)
+      } catch (e) {
+        assert.ok(e instanceof OrderOpTimeoutError)
+        assert.strictEqual(e.op.type, 'on')
+        assert.strictEqual(e.op.cid, 1)
+        assert.strictEqual(e.op.symbol, 'tBTCUSD')
+      }
+
+      assert.deepStrictEqual(ws.getPendingOrderOps(), [])
+    })
+
+    it('emits order-op events with the latency once settled', async () => {
+      ws = createAuthedInstance()
+      const events = []
+
+      ws.on('order-op', e => events.push(e))
+
+      const pCancel = ws.cancelOrder(42)
+      const pUpdate = ws.updateOrder({ id: 43, price: 10 }).catch(e => e)
+
+      ws._onWSNotification([0, 'oc-req', null, null, [42], 0, 'SUCCESS'])
+      ws._onWSNotification([0, 'ou-req', null, null, [43], 0, 'ERROR', 'fail'])
+
+      await pCancel
+      await pUpdate
+
+      assert.deepStrictEqual(events.map(e => [e.type, e.id, !!e.error]), [
+        ['oc', 42, false],
+        ['ou', 43, true]
+      ])
+
+      events.forEach(({ latency }) => assert(_isFinite(latency) && latency >= 0))
+    })
+
+    it('rejects pending & buffered ops when the connection closes', async () => {
+      ws = createAuthedInstance({ orderOpBufferDelay: 1000, orderOpTimeout: 1000 })
+
+      const results = [ws.cancelOrder(1), ws.cancelOrder(2)].map(p => p.catch(e => e))
+
+      ws._onWSClose()
+
+      const errors = await Promise.all(results)
+
+      errors.forEach((err) => {
+        assert.ok(err instanceof OrderOpConnectionClosedError)
+        assert.strictEqual(err.op.type, 'oc')
+      })
+
+      assert.deepStrictEqual(errors.map(e => e.op.id), [1, 2])
+      assert.deepStrictEqual(ws._orderOpBuffer, [])
+      assert.strictEqual(ws._orderOpTimeout, null)
+    })
+
+    it('leaves ops pending on close if no op timeout is configured', async () => {
+      const unhandled = []
+      const onUnhandled = err => unhandled.push(err)
+      let settled = false
+
+      ws = createAuthedInstance()
+      ws.cancelOrder(1).finally(() => { settled = true })
+
+      process.on('unhandledRejection', onUnhandled)
+
+      try {
+        ws._onWSClose()
+        await Promise.delay(10)
+      } finally {
+        process.removeListener('unhandledRejection', onUnhandled)
+      }
+
+      assert.deepStrictEqual(unhandled, [])
+      assert.ok(!settled)
+      assert.deepStrictEqual(ws.getPendingOrderOps(), [])
+    })
+  })
+
+  describe('lossless parsing', () => {
+    it('delivers numeric payload fields as exact strings & timestamps as numbers', () => {
+      ws = createTestWSv2Instance({ lossless: true })
+      ws._channelMap = {
+        42: { chanId: 42, channel: 'trades', symbol: 'tBTCUSD' },
+        43: { chanId: 43, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' }
+      }
+
+      let trades = null
+      let book = null
+
+      ws.onTrades({ symbol: 'tBTCUSD' }, (data) => { trades = data })
+      ws.onOrderBook({ symbol: 'tBTCUSD' }, (data) => { book = data })
+
+      ws._onWSMessage('[42,[[401597393,1574694475039,0.00500000,7245.1]]]')
+      ws._onWSMessage('[43,[[7245.10,1,12345678901234567890.5]]]')
+
+      assert.deepStrictEqual(trades, [['401597393', 1574694475039, '0.00500000', '7245.1']])
+      assert.deepStrictEqual(book, [['7245.10', '1', '12345678901234567890.5']])
+    })
+
+    it('passes lossless values to models', () => {
+      ws = createTestWSv2Instance({ lossless: true, transform: true })
+      ws._channelMap = {
+        42: { chanId: 42, channel: 'ticker', symbol: 'tBTCUSD' }
+      }
+
+      let ticker = null
+
+      ws.onTicker({ symbol: 'tBTCUSD' }, (data) => { ticker = data })
+      ws._onWSMessage('[42,[7245.1,10.5,7245.2,12.25,-54.3,-0.0074,7245.15,1000.123,7300,7200]]')
+
+      assert.ok(ticker instanceof TradingTicker)
+      assert.strictEqual(ticker.bid, '7245.1')
+      assert.strictEqual(ticker.lastPrice, '7245.15')
+      assert.strictEqual(ticker.high, '7300')
+      assert.strictEqual(ticker.low, '7200')
+    })
+
+    it('maintains managed order books & verifies checksums', () => {
+      ws = createTestWSv2Instance({ lossless: true, manageOrderBooks: true })
+      ws._channelMap = {
+        43: { chanId: 43, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' }
+      }
+
+      let errorsSeen = 0
+      ws.on('error', () => errorsSeen++)
+
+      ws._onWSMessage('[43,[[0.00001,1,1.5],[0.00002,1,-2.5]]]')
+      ws._onWSMessage('[43,[0.00001,2,3.0]]')
+
+      const ob = ws.getOB('tBTCUSD')
+      const cs = ws.getLosslessOB('tBTCUSD').checksum()
+
+      assert.deepStrictEqual(ob.bids, [['0.00001', '2', '3.0']])
+      assert.deepStrictEqual(ob.asks, [['0.00002', '1', '-2.5']])
+
+      ws._onWSMessage(`[43,"cs",${cs}]`)
+      assert.strictEqual(errorsSeen, 0)
+    })
+
+    it('keeps channel IDs, seq numbers & auth packet timestamps as numbers', () => {
+      ws = createTestWSv2Instance({ lossless: true, seqAudit: true })
+      ws._channelMap = {
+        0: { chanId: 0, channel: 'auth' },
+        44: { chanId: 44, channel: 'candles', key: 'trade:1m:tBTCUSD' }
+      }
+
+      let order = null
+      let notification = null
+      let candles = null
+      let gaps = 0
+
+      ws._lastPubSeq = 0
+      ws._lastAuthSeq = 0
+      ws.on('seq-gap', () => gaps++)
+      ws.onOrderNew({}, (data) => { order = data })
+      ws.onNotification({ type: 'on-req' }, (data) => { notification = data })
+      ws.onCandle({ key: 'trade:1m:tBTCUSD' }, (data) => { candles = data })
+
+      ws._onWSMessage('[0,"on",[123,null,456,"tBTCUSD",1574694475039,1574694475040,0.5,0.5,"LIMIT",null,null,null,0,"ACTIVE",null,null,7245.1],1,1]')
+      ws._onWSMessage('[0,"n",[1574694475041,"on-req",null,null,[124,null,457,"tBTCUSD",1574694475041,1574694475041,1,1,"LIMIT"],null,"SUCCESS","ok"],1]')
+      ws._onWSMessage('[44,[1574694420000,7245.1,7245.2,7246,7240.5,12],2]')
+
+      assert.strictEqual(gaps, 0)
+      assert.strictEqual(ws._lastPubSeq, 2)
+      assert.strictEqual(ws._lastAuthSeq, 1)
+
+      assert.deepStrictEqual(order.slice(0, 8), [
+        '123', null, '456', 'tBTCUSD', 1574694475039, 1574694475040, '0.5', '0.5'
+      ])
+      assert.strictEqual(order[16], '7245.1')
+
+      assert.strictEqual(notification[0], 1574694475041)
+      assert.deepStrictEqual(notification[4].slice(0, 7), [
+        '124', null, '457', 'tBTCUSD', 1574694475041, 1574694475041, '1'
+      ])
+
+      assert.deepStrictEqual(candles, [
+        [1574694420000, '7245.1', '7245.2', '7246', '7240.5', '12']
+      ])
+    })
+  })
 })
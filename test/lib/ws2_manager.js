@@ -7,6 +7,69 @@ const _isObject = require('lodash/isObject')
 const _isArray = require('lodash/isArray')
 const WS2Manager = require('../../lib/ws2_manager')
 const WSv2 = require('../../lib/transports/ws2')
+const MemorySocket = require('../../lib/memory_socket')
+
+const memoryTransport = () => MemorySocket.createPair()[0]
+
+const openTestSocket = async (m, { auth } = {}) => {
+  const s = m.openSocket()
+
+  await new Promise(resolve => s.ws.once('open', resolve))
+
+  if (auth) {
+    s.ws._handleAuthEvent({ event: 'auth', status: 'OK', chanId: 0 })
+  }
+
+  return s
+}
+
+// Memory transport with a minimal server confirming (un)subscriptions. If an
+// array is given, unsubscribe confirmations are pushed to it to be sent later
+const createSubServerTransport = (heldUnsubscriptions) => {
+  let lastChanId = 0
+
+  return () => {
+    const [client, server] = MemorySocket.createPair()
+
+    server.on('message', (json) => {
+      const { event, ...data } = JSON.parse(json)
+
+      if (event === 'subscribe') {
+        server.send(JSON.stringify({
+          event: 'subscribed',
+          chanId: ++lastChanId,
+          ...data
+        }))
+      } else if (event === 'unsubscribe') {
+        const confirm = () => server.send(JSON.stringify({
+          event: 'unsubscribed',
+          status: 'OK',
+          chanId: data.chanId
+        }))
+
+        if (heldUnsubscriptions) {
+          heldUnsubscriptions.push(confirm)
+        } else {
+          confirm()
+        }
+      }
+    })
+
+    return client
+  }
+}
+
+const waitFor = async (cond) => {
+  for (let i = 0; i < 100 && !cond(); i++) {
+    await Promise.delay(5)
+  }
+
+  assert(cond(), 'condition not met')
+}
+
+const sendOrderNew = (s, id) => {
+  s.ws._onWSMessage(JSON.stringify([0, 'on', [id, 0, 1, 'tBTCUSD']]))
+}
 
 describe('WS2Manager', () => {
   let m
@@ -123,16 +186,23 @@ describe('WS2Manager', () => {
     it('returns an array of objects reporting number of data channels per socket', () => {
       m = new WS2Manager()
 
+      const createWS = n => ({
+        getDataChannelCount: () => n,
+        getDataChannels: () => [],
+        isOpen: () => true,
+        isAuthenticated: () => false
+      })
+
       m._sockets.push({
         pendingSubscriptions: [[], [], []],
         pendingUnsubscriptions: [[]],
-        ws: { getDataChannelCount: () => 2 }
+        ws: createWS(2)
       })
 
       m._sockets.push({
         pendingSubscriptions: [[], [], []],
         pendingUnsubscriptions: [[]],
-        ws: { getDataChannelCount: () => 3 }
+        ws: createWS(3)
       })
 
       const info = m.getSocketInfo()
@@ -142,6 +212,77 @@ describe('WS2Manager', () => {
       assert.strictEqual(info[0].nChannels, 4, 'socket info does not report correct number of channels')
       assert.strictEqual(info[1].nChannels, 5, 'socket info does not report correct number of channels')
     })
+
+    it('reports channels, pending ops & connection state', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const s = await openTestSocket(m, { auth: true })
+
+      s.ws._handleSubscribedEvent({
+        event: 'subscribed',
+        channel: 'book',
+        chanId: 42,
+        symbol: 'tBTCUSD',
+        prec: 'P0',
+        freq: 'F0',
+        len: '25'
+      })
+
+      s.pendingSubscriptions.push(['candles', { key: 'trade:1m:tBTCUSD' }])
+      s.pendingUnsubscriptions.push('42')
+
+      assert.deepStrictEqual(m.getSocketInfo(), [{
+        nChannels: 1,
+        channels: [{
+          chanId: 42,
+          channel: 'book',
+          symbol: 'tBTCUSD',
+          prec: 'P0',
+          len: '25',
+          freq: 'F0'
+        }],
+        pendingSubscriptions: [{ channel: 'candles', key: 'trade:1m:tBTCUSD' }],
+        pendingUnsubscriptions: ['42'],
+        isOpen: true,
+        isAuthenticated: true
+      }])
+    })
+  })
+
+  describe('getSocketStats', () => {
+    it('reports socket stats with pending ops & error counts', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const s = await openTestSocket(m)
+
+      m.on('error', () => {})
+      s.pendingSubscriptions.push(['trades', { symbol: 'tBTCUSD' }])
+      s.ws.emit('error', new Error('test'))
+      s.ws.emit('error', new Error('test'))
+
+      const [stats] = m.getSocketStats()
+
+      assert(stats.isOpen)
+      assert.strictEqual(stats.nChannels, 1)
+      assert.strictEqual(stats.pendingSubscriptions, 1)
+      assert.strictEqual(stats.pendingUnsubscriptions, 0)
+      assert.strictEqual(stats.errors, 2)
+      assert.strictEqual(stats.messagesIn, 0)
+    })
+
+    it('emits periodic stats events if configured', async () => {
+      m = new WS2Manager({ transport: memoryTransport }, undefined, {
+        statsInterval: 10
+      })
+
+      await openTestSocket(m)
+
+      const stats = await new Promise(resolve => m.once('stats', resolve))
+
+      assert.strictEqual(stats.length, 1)
+      assert(stats[0].isOpen)
+
+      await m.close()
+      assert.strictEqual(m._statsTimer, null)
+    })
   })
 
   describe('getDataChannelCount', () => {
@@ -165,6 +306,18 @@ describe('WS2Manager', () => {
     })
   })
 
+  describe('constructor', () => {
+    it('rate limits candle backfills across sockets at the configured rate', () => {
+      m = new WS2Manager({ backfillRequestsPerSecond: 2 })
+
+      const { backfillThrottler } = m._socketArgs
+
+      assert.strictEqual(backfillThrottler.requestsPerSecond, 2)
+      assert.strictEqual(new WSv2(m._socketArgs)._backfillThrottler, backfillThrottler)
+      assert.strictEqual(new WS2Manager()._socketArgs.backfillThrottler.requestsPerSecond, 0.5)
+    })
+  })
+
   describe('auth', () => {
     it('does nothing if api key/secret are already provided', () => {
       m = new WS2Manager({ apiKey: 'x', apiSecret: 'x' })
@@ -274,6 +427,23 @@ describe('WS2Manager', () => {
       })
     }).timeout(4000)
 
+    it('removes only the matching pending sub on \'subscribed\'', () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const s = m.openSocket()
+
+      s.pendingSubscriptions.push(['trades', { symbol: 'tBTCUSD' }])
+      s.pendingSubscriptions.push(['status', { key: 'liq:global' }])
+      s.ws.emit('subscribed', {
+        channel: 'status',
+        key: 'liq:global',
+        chanId: 42
+      })
+
+      assert.deepStrictEqual(s.pendingSubscriptions, [
+        ['trades', { symbol: 'tBTCUSD' }]
+      ])
+    })
+
     it('auto-auths if manager has credentials configured', (done) => {
       m = new WS2Manager({
         apiKey: 'key',
@@ -329,6 +499,148 @@ describe('WS2Manager', () => {
     })
   })
 
+  describe('dataChannelLimit', () => {
+    it('limits the number of channels per socket', () => {
+      m = new WS2Manager({}, undefined, { dataChannelLimit: 2 })
+      m._sockets.push({
+        pendingSubscriptions: [[], []],
+        pendingUnsubscriptions: [],
+        ws: { getDataChannelCount: () => 0 }
+      })
+
+      assert.strictEqual(m.getFreeDataSocket(), undefined)
+
+      m._sockets[0].pendingSubscriptions.pop()
+
+      assert.strictEqual(m.getFreeDataSocket(), m._sockets[0])
+    })
+  })
+
+  describe('idle sockets', () => {
+    it('closes sockets left without channels after the idle timeout', async () => {
+      m = new WS2Manager({ transport: createSubServerTransport() }, undefined, {
+        dataChannelLimit: 1,
+        idleSocketTimeout: 10
+      })
+
+      const a = await openTestSocket(m)
+      const b = await openTestSocket(m)
+
+      m.subscribeTrades('tBTCUSD')
+      m.subscribeTrades('tETHUSD')
+
+      await waitFor(() => b.ws.getDataChannelCount() === 1)
+
+      m.managedUnsubscribe('trades', 'tETHUSD')
+
+      await waitFor(() => !b.ws.isOpen())
+
+      assert.strictEqual(m.getNumSockets(), 1)
+      assert.strictEqual(m.getSocket(0), a)
+    })
+
+    it('keeps idle sockets if no timeout is configured', async () => {
+      m = new WS2Manager({ transport: createSubServerTransport() }, undefined, {
+        dataChannelLimit: 1
+      })
+
+      await openTestSocket(m)
+      const b = await openTestSocket(m)
+
+      m.subscribeTrades('tBTCUSD')
+      m.subscribeTrades('tETHUSD')
+
+      await waitFor(() => b.ws.getDataChannelCount() === 1)
+
+      m.managedUnsubscribe('trades', 'tETHUSD')
+
+      await waitFor(() => b.pendingUnsubscriptions.length === 0)
+      await Promise.delay(20)
+
+      assert(b.ws.isOpen())
+      assert.strictEqual(m.getNumSockets(), 2)
+    })
+  })
+
+  describe('rebalance', () => {
+    it('spreads channels evenly across open sockets', async () => {
+      m = new WS2Manager({ transport: createSubServerTransport() })
+      const symbols = ['tBTCUSD', 'tETHUSD', 'tLEOUSD', 'tXRPUSD', 'tEOSUSD']
+      const a = await openTestSocket(m)
+      const seen = []
+
+      symbols.forEach(symbol => m.subscribeTrades(symbol))
+
+      await waitFor(() => a.ws.getDataChannelCount() === 5)
+
+      m.subscribeTrades('tBTCUSD') // 2nd ref
+      m.onTrades({ symbol: 'tBTCUSD' }, trades => seen.push(trades[0][0]))
+
+      const b = await openTestSocket(m)
+
+      assert.strictEqual(await m.rebalance(), 2)
+
+      await waitFor(() => a.pendingUnsubscriptions.length === 0)
+
+      assert.deepStrictEqual(m.getSocketInfo().map(i => i.nChannels), [3, 2])
+      assert(b.ws.hasSubscriptionRef('trades', 'tBTCUSD'))
+      assert(!a.ws.hasSubscriptionRef('trades', 'tBTCUSD'))
+      assert.strictEqual(b.ws._subscriptionRefs['trades:tBTCUSD'], 2)
+
+      const chanId = b.ws.getDataChannelId('trades', { symbol: 'tBTCUSD' })
+      b.ws._onWSMessage(JSON.stringify([+chanId, 'tu', [1, 1, 0.1, 7000]]))
+
+      assert.deepStrictEqual(seen, [1])
+      assert.strictEqual(await m.rebalance(), 0)
+    })
+
+    it('does not deliver updates twice while a channel is moved', async () => {
+      const heldUnsubscriptions = []
+      const seen = []
+
+      m = new WS2Manager({ transport: createSubServerTransport(heldUnsubscriptions) })
+      const a = await openTestSocket(m)
+
+      m.subscribeTrades('tBTCUSD')
+      m.subscribeTrades('tETHUSD')
+      m.onTrades({ symbol: 'tBTCUSD' }, trades => seen.push(trades[0][0]))
+      m.onTrades({ symbol: 'tETHUSD' }, trades => seen.push(trades[0][0]))
+
+      await waitFor(() => a.ws.getDataChannelCount() === 2)
+
+      const b = await openTestSocket(m)
+      const moved = m.rebalance()
+
+      await waitFor(() => heldUnsubscriptions.length === 1)
+
+      const { symbol } = b.ws.getDataChannels()[0]
+      const fromChanId = a.ws.getDataChannelId('trades', { symbol })
+      const toChanId = b.ws.getDataChannelId('trades', { symbol })
+
+      a.ws._onWSMessage(JSON.stringify([+fromChanId, 'tu', [1, 1, 0.1, 7000]]))
+      b.ws._onWSMessage(JSON.stringify([+toChanId, 'tu', [1, 1, 0.1, 7000]]))
+
+      assert.deepStrictEqual(seen, [1])
+
+      heldUnsubscriptions.shift()()
+
+      assert.strictEqual(await moved, 1)
+      assert.strictEqual(b.ws._subscriptionRefs[`trades:${symbol}`], 1)
+      assert(!a.ws.hasSubscriptionRef('trades', symbol))
+
+      b.ws._onWSMessage(JSON.stringify([+toChanId, 'tu', [2, 1, 0.1, 7000]]))
+
+      assert.deepStrictEqual(seen, [1, 2])
+    })
+
+    it('does nothing with a single socket', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      await openTestSocket(m)
+
+      assert.strictEqual(await m.rebalance(), 0)
+    })
+  })
+
   describe('getSocketWithDataChannel', () => {
     it('returns socket subscribed to specified channel/filter pair', () => {
       m = new WS2Manager()
@@ -448,6 +760,7 @@ describe('WS2Manager', () => {
         pendingUnsubscriptions: [],
         ws: {
           getDataChannelCount: () => 0,
+          hasSubscriptionRef: () => false,
           managedSubscribe: () => assert(false),
           isOpen: () => false,
           once: (eName) => {
@@ -468,7 +781,8 @@ describe('WS2Manager', () => {
         pendingUnsubscriptions: [],
         ws: {
           getDataChannelCount: () => 0,
-          managedSubscribe: () => {},
+          hasSubscriptionRef: () => false,
+          managedSubscribe: async () => {},
           isOpen: () => true
         }
       }
@@ -479,6 +793,28 @@ describe('WS2Manager', () => {
       ])
     })
 
+    it('only increases the ref count if a socket has the channel', () => {
+      m = new WS2Manager()
+      let subCalled = false
+
+      m._sockets[0] = {
+        pendingSubscriptions: [],
+        pendingUnsubscriptions: [],
+        ws: {
+          hasSubscriptionRef: (channel, ident) => (
+            channel === 'candles' && ident === 'test'
+          ),
+
+          managedSubscribe: async () => { subCalled = true }
+        }
+      }
+
+      m.subscribe('candles', 'test', { key: 'test' })
+
+      assert(subCalled)
+      assert.deepStrictEqual(m._sockets[0].pendingSubscriptions, [])
+    })
+
     it('opens a new socket if no sockets are available', () => {
       m = new WS2Manager()
       let openCalled = false
@@ -507,7 +843,8 @@ describe('WS2Manager', () => {
         pendingSubscriptions: [],
         pendingUnsubscriptions: [],
         ws: {
-          getDataChannelCount: () => 255
+          getDataChannelCount: () => 255,
+          hasSubscriptionRef: () => false
         }
       }
 
@@ -541,7 +878,7 @@ describe('WS2Manager', () => {
       m._sockets[0] = {
         pendingUnsubscriptions: [],
         ws: {
-          unsubscribe: (cid) => {
+          unsubscribe: async (cid) => {
             assert.strictEqual(cid, 42)
             unsubCalled = true
           },
@@ -566,7 +903,7 @@ describe('WS2Manager', () => {
       m._sockets[0] = {
         pendingUnsubscriptions: [],
         ws: {
-          managedUnsubscribe: (cid) => {
+          managedUnsubscribe: async (cid) => {
             assert.strictEqual(cid, 42)
             unsubCalled = true
           },
@@ -599,24 +936,37 @@ describe('WS2Manager', () => {
   })
 
   describe('subscribeOrderBook', () => {
-    it('calls subscribe with a valid filter and the provided symbol', (done) => {
+    it('calls subscribe with a valid filter and the book identifier', (done) => {
       m = new WS2Manager()
-      m.subscribe = (type, symbol, filter) => {
+      m.subscribe = (type, ident, filter) => {
         assert.ok(_isObject(filter), 'filter not an object')
         assert.strictEqual(filter.symbol, 'tBTCUSD', 'symbol did not match')
         assert.strictEqual(filter.prec, 'P0', 'prec did not match')
         assert.strictEqual(filter.len, '25', 'len did not match')
         assert.strictEqual(filter.freq, 'F0', 'freq did not match')
-        assert.strictEqual(symbol, 'tBTCUSD')
+        assert.strictEqual(ident, 'tBTCUSD:P0:25')
         done()
       }
 
       m.subscribeOrderBook('tBTCUSD', 'P0', '25', 'F0')
     })
+
+    it('subscribes to several books for the same symbol', async () => {
+      m = new WS2Manager({ transport: createSubServerTransport() })
+      const s = await openTestSocket(m)
+
+      m.subscribeOrderBook('tBTCUSD', 'P0')
+      m.subscribeOrderBook('tBTCUSD', 'R0')
+
+      await waitFor(() => s.ws.getDataChannelCount() === 2)
+
+      assert.deepStrictEqual(s.ws.getDataChannels().map(c => c.prec), ['P0', 'R0'])
+      assert(m.getSocketWithSubRef('book', 'tBTCUSD:R0:25'))
+    })
   })
 
   describe('onOrderBook', () => {
-    it('passes a valid OB filter to the first socket with a book channel', (done) => {
+    it('passes a valid OB filter to socket listeners', (done) => {
       const assertFilter = (filter) => {
         assert.ok(_isObject(filter), 'filter not an object')
         assert.strictEqual(filter.symbol, 'tBTCUSD', 'symbol did not match')
@@ -651,4 +1001,247 @@ describe('WS2Manager', () => {
       })
     })
   })
+
+  describe('subscribeStatus', () => {
+    it('calls subscribe with the status key', (done) => {
+      m = new WS2Manager()
+      m.subscribe = (type, key, filter) => {
+        assert.strictEqual(type, 'status')
+        assert.strictEqual(key, 'deriv:tBTCF0:USTF0')
+        assert.deepStrictEqual(filter, { key: 'deriv:tBTCF0:USTF0' })
+        done()
+      }
+
+      m.subscribeStatus('deriv:tBTCF0:USTF0')
+    })
+
+    it('counts status channels against the data channel limit', () => {
+      const ws = new WSv2()
+
+      ws._channelMap = {
+        42: { channel: 'status', key: 'liq:global' }
+      }
+
+      assert.strictEqual(WS2Manager.getDataChannelCount({
+        ws,
+        pendingSubscriptions: [],
+        pendingUnsubscriptions: []
+      }), 1)
+    })
+  })
+
+  describe('unsubscribeStatus', () => {
+    it('calls managedUnsubscribe with the status key', (done) => {
+      m = new WS2Manager()
+      m.managedUnsubscribe = (channel, identifier) => {
+        assert.strictEqual(channel, 'status')
+        assert.strictEqual(identifier, 'liq:global')
+        done()
+      }
+
+      m.unsubscribeStatus('liq:global')
+    })
+  })
+
+  describe('onStatus', () => {
+    it('registers the listener on all sockets', () => {
+      m = new WS2Manager()
+      const registered = []
+      const ws = {
+        onStatus: ({ key }, cb) => registered.push([key, cb])
+      }
+      const cb = () => {}
+
+      m._sockets.push({ ws }, { ws })
+      m.onStatus({ key: 'liq:global', cbGID: 'gid' }, cb)
+
+      assert.deepStrictEqual(registered, [
+        ['liq:global', cb], ['liq:global', cb]
+      ])
+    })
+  })
+
+  describe('data listeners', () => {
+    const subscribeTrades = (s, chanId) => {
+      s.ws._handleSubscribedEvent({
+        event: 'subscribed',
+        channel: 'trades',
+        chanId,
+        symbol: 'tBTCUSD',
+        pair: 'BTCUSD'
+      })
+    }
+
+    const sendTrade = (s, chanId, id) => {
+      s.ws._onWSMessage(JSON.stringify([chanId, 'tu', [id, 1, 0.1, 7000]]))
+    }
+
+    it('binds listeners registered before the channel & socket exist', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const seen = []
+
+      m.onTrades({ symbol: 'tBTCUSD' }, trades => seen.push(trades[0][0]))
+
+      const s = await openTestSocket(m)
+
+      subscribeTrades(s, 42)
+      sendTrade(s, 42, 1)
+
+      assert.deepStrictEqual(seen, [1])
+    })
+
+    it('follows the channel to another socket', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const seen = []
+
+      const a = await openTestSocket(m)
+      const b = await openTestSocket(m)
+
+      m.onTrades({ symbol: 'tBTCUSD' }, trades => seen.push(trades[0][0]))
+
+      subscribeTrades(a, 42)
+      sendTrade(a, 42, 1)
+
+      a.ws._handleUnsubscribedEvent({ event: 'unsubscribed', chanId: 42 })
+      subscribeTrades(b, 43)
+      sendTrade(b, 43, 2)
+
+      assert.deepStrictEqual(seen, [1, 2])
+    })
+
+    it('removeListeners: removes data listeners from all sockets', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const seen = []
+
+      const s = await openTestSocket(m)
+
+      m.onTrades({ symbol: 'tBTCUSD', cbGID: 42 }, trades => seen.push(trades[0][0]))
+      m.removeListeners(42)
+
+      subscribeTrades(s, 42)
+      sendTrade(s, 42, 1)
+
+      assert.deepStrictEqual(seen, [])
+      assert.deepStrictEqual(s.ws._listeners, {})
+    })
+
+    it('onBookTop: binds book top listeners to all sockets', async () => {
+      m = new WS2Manager({ transport: memoryTransport, manageOrderBooks: true })
+      const seen = []
+
+      m.onBookTop({ symbol: 'tBTCUSD' }, ({ bid, ask }) => seen.push([bid, ask]))
+
+      const s = await openTestSocket(m)
+      const chanData = {
+        chanId: 42, channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25'
+      }
+      const msg = [42, [[100, 1, 1], [101, 1, -1]]]
+
+      s.ws._handleOBMessage(msg, chanData, JSON.stringify(msg))
+
+      assert.deepStrictEqual(seen, [[100, 101]])
+    })
+  })
+
+  describe('auth listeners', () => {
+    it('binds listeners to the first authenticated socket', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const seen = []
+
+      m.onOrderNew({ symbol: 'tBTCUSD' }, o => seen.push(o[0]))
+
+      const a = await openTestSocket(m)
+      const b = await openTestSocket(m, { auth: true })
+
+      m.onOrderNew({ symbol: 'tETHUSD' }, o => seen.push(-o[0]))
+
+      sendOrderNew(a, 1)
+      sendOrderNew(b, 2)
+
+      assert.deepStrictEqual(seen, [2])
+    })
+
+    it('moves listeners to another authenticated socket on close', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const seen = []
+
+      const a = await openTestSocket(m, { auth: true })
+      const b = await openTestSocket(m, { auth: true })
+
+      m.onOrderNew({}, o => seen.push(o[0]))
+
+      await a.ws.close()
+      sendOrderNew(b, 1)
+
+      assert.deepStrictEqual(seen, [1])
+      assert.deepStrictEqual(a.ws._listeners, {})
+    })
+
+    it('binds listeners to the next socket that authenticates', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const seen = []
+
+      const a = await openTestSocket(m, { auth: true })
+      const b = await openTestSocket(m)
+
+      m.onNotification({ type: 'on-req' }, () => seen.push('n'))
+
+      await a.ws.close()
+
+      b.ws._handleAuthEvent({ event: 'auth', status: 'OK', chanId: 0 })
+      b.ws._onWSMessage(JSON.stringify([0, 'n', [0, 'on-req']]))
+
+      assert.deepStrictEqual(seen, ['n'])
+    })
+
+    it('removeListeners: removes listeners by cbGID', async () => {
+      m = new WS2Manager({ transport: memoryTransport })
+      const seen = []
+
+      const s = await openTestSocket(m, { auth: true })
+
+      m.onOrderNew({ cbGID: 42 }, o => seen.push(o[0]))
+      m.onOrderNew({ cbGID: 43 }, o => seen.push(-o[0]))
+      m.removeListeners(42)
+      sendOrderNew(s, 1)
+
+      assert.deepStrictEqual(seen, [-1])
+      assert.strictEqual(m._listeners.length, 1)
+    })
+  })
+
+  describe('order ops', () => {
+    it('routes order ops to the authenticated socket', async () => {
+      m = new WS2Manager()
+      const ops = []
+      const ws = {
+        isAuthenticated: () => true,
+        submitOrder: async o => ops.push(['submit', o]),
+        updateOrder: async o => ops.push(['update', o]),
+        cancelOrder: async o => ops.push(['cancel', o])
+      }
+
+      m._sockets.push({ ws: { isAuthenticated: () => false } })
+      m._sockets.push({ ws })
+
+      await m.submitOrder('o')
+      await m.updateOrder({ id: 1 })
+      await m.cancelOrder(1)
+
+      assert.deepStrictEqual(ops, [
+        ['submit', 'o'], ['update', { id: 1 }], ['cancel', 1]
+      ])
+    })
+
+    it('rejects if no socket is authenticated', async () => {
+      m = new WS2Manager()
+
+      try {
+        await m.submitOrder({})
+        assert(false)
+      } catch (e) {
+        assert.strictEqual(e.message, 'no authenticated socket available')
+      }
+    })
+  })
 })
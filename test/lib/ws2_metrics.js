@@ -0,0 +1,114 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const WSv2 = require('../../lib/transports/ws2')
+const WS2Manager = require('../../lib/ws2_manager')
+const WS2Metrics = require('../../lib/ws2_metrics')
+const MemorySocket = require('../../lib/memory_socket')
+
+const hasLine = (text, line) => text.split('\n').includes(line)
+
+describe('WS2Metrics', () => {
+  let ws = null
+  let metrics = null
+
+  beforeEach(() => {
+    ws = new WSv2()
+    metrics = new WS2Metrics()
+    metrics.instrument(ws, { bot: 'test' })
+  })
+
+  it('counts messages & handler durations by channel type', () => {
+    ws._channelMap[42] = { channel: 'trades', chanId: 42, symbol: 'tBTCUSD' }
+    ws._onWSMessage('[42,"hb"]')
+    ws._onWSMessage('[42,"hb"]')
+    ws._onWSMessage('{"event":"info","version":2}')
+
+    const text = metrics.render()
+
+    assert(hasLine(text, '# TYPE bfx_ws2_messages_total counter'))
+    assert(hasLine(text, 'bfx_ws2_messages_total{bot="test",channel="trades"} 2'))
+    assert(hasLine(text, 'bfx_ws2_messages_total{bot="test",channel="event"} 1'))
+    assert(hasLine(text, '# TYPE bfx_ws2_handler_duration_seconds histogram'))
+    assert(hasLine(text, 'bfx_ws2_handler_duration_seconds_count{bot="test",channel="trades"} 2'))
+    assert(hasLine(text, 'bfx_ws2_handler_duration_seconds_bucket{bot="test",channel="trades",le="+Inf"} 2'))
+  })
+
+  it('counts reconnects, seq gaps & checksum mismatches', () => {
+    ws.emit('open')
+    ws.emit('open')
+    ws.emit('open')
+    ws.emit('seq-gap', { type: 'pub', expected: 2, received: 3 })
+    ws.emit('checksum-mismatch', { symbol: 'tBTCUSD', error: new Error('cs') })
+
+    const text = metrics.render()
+
+    assert(hasLine(text, 'bfx_ws2_reconnects_total{bot="test"} 2'))
+    assert(hasLine(text, 'bfx_ws2_seq_errors_total{bot="test",type="pub"} 1'))
+    assert(hasLine(text, 'bfx_ws2_checksum_errors_total{bot="test",symbol="tBTCUSD"} 1'))
+  })
+
+  it('records order op latency & errors by op type', () => {
+    ws.emit('order-op', { type: 'on', latency: 20, error: null })
+    ws.emit('order-op', { type: 'on', latency: 480, error: null })
+    ws.emit('order-op', { type: 'oc', latency: 10, error: new Error('closed') })
+
+    const text = metrics.render()
+
+    assert(hasLine(text, 'bfx_ws2_order_op_latency_seconds_bucket{bot="test",type="on",le="0.025"} 1'))
+    assert(hasLine(text, 'bfx_ws2_order_op_latency_seconds_bucket{bot="test",type="on",le="0.5"} 2'))
+    assert(hasLine(text, 'bfx_ws2_order_op_latency_seconds_sum{bot="test",type="on"} 0.5'))
+    assert(hasLine(text, 'bfx_ws2_order_op_latency_seconds_count{bot="test",type="on"} 2'))
+    assert(hasLine(text, 'bfx_ws2_order_op_errors_total{bot="test",type="oc"} 1'))
+  })
+
+  it('escapes label values', () => {
+    metrics = new WS2Metrics({ prefix: 'x_' })
+    metrics.instrument(ws, { name: 'a "b"\\c' })
+    ws.emit('seq-gap', { type: 'auth' })
+
+    assert(hasLine(metrics.render(), 'x_seq_errors_total{name="a \\"b\\"\\\\c",type="auth"} 1'))
+  })
+
+  it('instrumentManager: labels current & future sockets', async () => {
+    const m = new WS2Manager({ transport: () => MemorySocket.createPair()[0] })
+
+    metrics = new WS2Metrics()
+    m.openSocket()
+    metrics.instrumentManager(m)
+
+    const s = m.openSocket()
+    await new Promise(resolve => s.ws.once('open', resolve))
+
+    m.getSocket(0).ws._onWSMessage('{"event":"info","version":2}')
+    s.ws._onWSMessage('{"event":"info","version":2}')
+
+    const text = metrics.render()
+
+    assert(hasLine(text, 'bfx_ws2_messages_total{socket="1",channel="event"} 1'))
+    assert(hasLine(text, 'bfx_ws2_messages_total{socket="2",channel="event"} 1'))
+
+    await m.close()
+  })
+
+  it('handler: serves the rendered metrics', () => {
+    let status = null
+    let headers = null
+    let body = null
+
+    ws.emit('seq-gap', { type: 'pub' })
+    metrics.handler()({}, {
+      writeHead: (s, h) => {
+        status = s
+        headers = h
+      },
+
+      end: (b) => { body = b }
+    })
+
+    assert.strictEqual(status, 200)
+    assert(/^text\/plain; version=0\.0\.4/.test(headers['Content-Type']))
+    assert.strictEqual(body, metrics.render())
+  })
+})
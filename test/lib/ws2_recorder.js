@@ -0,0 +1,64 @@
+/* eslint-env mocha */
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const WSv2 = require('../../lib/transports/ws2')
+const WS2Recorder = require('../../lib/ws2_recorder')
+
+const RECORDING_PATH = path.join(os.tmpdir(), `bfx-ws2-recorder-test-${process.pid}.ndjson`)
+
+describe('WS2Recorder', () => {
+  afterEach(() => {
+    if (fs.existsSync(RECORDING_PATH)) {
+      fs.unlinkSync(RECORDING_PATH)
+    }
+  })
+
+  it('requires a path', () => {
+    assert.throws(() => new WS2Recorder(new WSv2()))
+  })
+
+  it('writes inbound & outbound frames as NDJSON', async () => {
+    const ws = new WSv2()
+    const rec = new WS2Recorder(ws, { path: RECORDING_PATH })
+
+    ws._isOpen = true
+    ws._ws = { send: () => {} }
+
+    rec.start()
+    assert(rec.isRecording())
+
+    ws._onWSMessage('{"event":"info","version":2}')
+    ws.send({ event: 'subscribe', channel: 'trades', symbol: 'tBTCUSD' })
+    ws._onWSMessage('[42,[[1,1574694475039,0.005,7245.1]]]')
+
+    await rec.stop()
+
+    ws._onWSMessage('[42,"hb"]') // not recorded
+
+    const frames = fs.readFileSync(RECORDING_PATH, 'utf-8')
+      .trim()
+      .split('\n')
+      .map(line => JSON.parse(line))
+
+    assert(!rec.isRecording())
+    assert.strictEqual(rec.getFrameCount(), 3)
+    assert.deepStrictEqual(frames.map(f => f.dir), ['in', 'out', 'in'])
+    assert.strictEqual(frames[0].data, '{"event":"info","version":2}')
+    assert.strictEqual(frames[1].data, '{"event":"subscribe","channel":"trades","symbol":"tBTCUSD"}')
+    assert.strictEqual(frames[2].data, '[42,[[1,1574694475039,0.005,7245.1]]]')
+
+    frames.forEach(({ ts }) => assert(ts > 0))
+  })
+
+  it('start: throws if already recording', async () => {
+    const rec = new WS2Recorder(new WSv2(), { path: RECORDING_PATH })
+
+    rec.start()
+    assert.throws(() => rec.start())
+    await rec.stop()
+  })
+})
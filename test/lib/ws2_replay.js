@@ -0,0 +1,141 @@
+/* eslint-env mocha */
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const Promise = require('bluebird')
+const WSv2 = require('../../lib/transports/ws2')
+const MemorySocket = require('../../lib/memory_socket')
+const WS2Replay = require('../../lib/ws2_replay')
+
+const RECORDING_PATH = path.join(os.tmpdir(), `bfx-ws2-replay-test-${process.pid}.ndjson`)
+
+const writeRecording = (frames) => {
+  fs.writeFileSync(RECORDING_PATH, frames.map(([ts, dir, data]) => (
+    JSON.stringify({ ts, dir, data: JSON.stringify(data) })
+  )).join('\n') + '\n')
+}
+
+describe('WS2Replay', () => {
+  beforeEach(() => {
+    writeRecording([
+      [1000, 'in', { event: 'info', version: 2 }],
+      [1000, 'out', { event: 'subscribe', channel: 'book', symbol: 'tBTCUSD' }],
+      [1010, 'in', {
+        event: 'subscribed',
+        channel: 'book',
+        chanId: 42,
+        symbol: 'tBTCUSD',
+        prec: 'P0',
+        freq: 'F0',
+        len: '25'
+      }],
+      [1020, 'in', [42, [[100, 1, 1], [101, 1, -1]]]],
+      [1100, 'in', [42, [100, 2, 3]]],
+      [1200, 'in', [42, [101, 0, -1]]]
+    ])
+  })
+
+  afterEach(() => {
+    fs.unlinkSync(RECORDING_PATH)
+  })
+
+  it('requires a path', () => {
+    assert.throws(() => new WS2Replay())
+  })
+
+  it('readFrames: streams inbound frames', async () => {
+    const frames = []
+
+    await WS2Replay.readFrames(RECORDING_PATH, (frame) => {
+      frames.push(frame)
+    })
+
+    assert.strictEqual(frames.length, 5)
+    assert.deepStrictEqual(frames.map(f => f.ts), [1000, 1010, 1020, 1100, 1200])
+  })
+
+  it('readFrames: waits for each frame to be handled & stops on false', async () => {
+    const handled = []
+
+    await WS2Replay.readFrames(RECORDING_PATH, async ({ ts }) => {
+      await Promise.delay(5)
+      handled.push(ts)
+
+      return handled.length < 3
+    })
+
+    assert.deepStrictEqual(handled, [1000, 1010, 1020])
+  })
+
+  it('feeds the recording into WSv2 & closes it at the end', async () => {
+    const replay = new WS2Replay({ path: RECORDING_PATH, speed: Infinity })
+    const ws = new WSv2({ manageOrderBooks: true, transport: replay.getTransport() })
+    const updates = []
+    let closed = false
+
+    ws.on('close', () => { closed = true })
+    ws.onOrderBook({ symbol: 'tBTCUSD' }, ob => updates.push(ob))
+
+    await replay.play(ws)
+
+    assert(closed)
+    assert(!ws.isOpen())
+    assert(!replay.isPlaying())
+    assert.strictEqual(updates.length, 3)
+    assert.deepStrictEqual(ws.getOB('tBTCUSD').bids, [[100, 2, 3]])
+    assert.deepStrictEqual(ws.getOB('tBTCUSD').asks, [])
+  })
+
+  it('preserves the recorded timing, scaled by speed', async () => {
+    const replay = new WS2Replay({ path: RECORDING_PATH, speed: 4 })
+    const ws = new WSv2({ transport: replay.getTransport() })
+    const start = Date.now()
+
+    await replay.play(ws)
+
+    assert(Date.now() - start >= 45) // 200ms recorded
+  })
+
+  it('stops when the WSv2 instance is closed', async () => {
+    const replay = new WS2Replay({ path: RECORDING_PATH })
+    const ws = new WSv2({ transport: replay.getTransport() })
+    let messages = 0
+
+    ws.on('message', () => {
+      if (++messages === 2) ws.close()
+    })
+
+    await replay.play(ws)
+
+    assert.strictEqual(messages, 2)
+    assert(!ws.isOpen())
+  })
+
+  it('rejects if the instance is already open', async () => {
+    const ws = new WSv2()
+    ws._isOpen = true
+
+    try {
+      await new WS2Replay({ path: RECORDING_PATH }).play(ws)
+      assert(false)
+    } catch (e) {
+      assert.strictEqual(e.message, 'already open')
+    }
+  })
+
+  it('rejects if the instance does not use the replay transport', async () => {
+    const ws = new WSv2({ transport: () => MemorySocket.createPair()[0] })
+
+    try {
+      await new WS2Replay({ path: RECORDING_PATH }).play(ws)
+      assert(false)
+    } catch (e) {
+      assert.strictEqual(e.message, 'instance not created with the replay transport')
+    }
+
+    assert(!ws.isOpen())
+  })
+})